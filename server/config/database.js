@@ -0,0 +1,25 @@
+/**
+ * Database Connection
+ *
+ * Connects Mongoose to MongoDB. Shared by the API server and
+ * the maintenance scripts in server/scripts.
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Connect to the database named in MONGODB_URI
+ * @returns {Promise} - Resolves once connected
+ */
+function connectDatabase() {
+  return mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/alzo', {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+    useCreateIndex: true,
+    useFindAndModify: false
+  });
+}
+
+module.exports = {
+  connectDatabase
+};
\ No newline at end of file
@@ -0,0 +1,170 @@
+/**
+ * Audit Middleware
+ *
+ * Single audit pipeline for the API. Each route declares its audit action
+ * with audit('action'); when the response finishes, one event is appended
+ * to the access log with the actor, the patient and record involved, the
+ * response status, IP address and user agent.
+ *
+ * Requests that fail are recorded as 'access_denied' (401 and 403) or
+ * 'request_failed', with the route's action in details.attemptedAction.
+ *
+ * Responses of routes that read patient records or health information
+ * (AccessLog.RECORD_READ_ACTIONS) are held until their event is written,
+ * and replaced by a 500 error if it can't be. Routes that stream files call
+ * commitAudit() first for the same guarantee. Other responses are sent
+ * right away and recorded when they finish.
+ */
+
+const mongoose = require('mongoose');
+const AccessLog = require('../models/AccessLog');
+
+/**
+ * Keep only values that are valid ObjectIds
+ */
+function toObjectId(value) {
+  return value && mongoose.Types.ObjectId.isValid(value) ? value : undefined;
+}
+
+/**
+ * Declare the audit action of a route.
+ * Place it first in the middleware chain so failed authentication and
+ * authorization are captured too.
+ *
+ * Handlers and other middleware can add to req.audit before responding:
+ *   - patientId, recordId: what the request touched
+ *   - breakGlassSessionId: the emergency access session the request used
+ *   - details: action-specific context
+ *   - action, reason: override the action (e.g. 'access_denied')
+ *   - actorId, actorRole: the actor for routes without req.user (login)
+ *   - endpoint: the endpoint to record, for URLs that contain secrets
+ *   - skip: don't record this request
+ *
+ * @param {string|Function} action - Audit action, or (req) => action
+ * @param {Object} options - { anonymous: record requests without a known actor }
+ */
+const audit = (action, { anonymous = false } = {}) => {
+  return (req, res, next) => {
+    req.audit = {};
+
+    const declared = () => typeof action === 'function' ? action(req) : action;
+
+    // Promise of the written event, once it is being recorded
+    let recorded = null;
+    const record = () => {
+      if (recorded) return recorded;
+
+      const context = req.audit;
+      const actorId = context.actorId || (req.user && req.user._id);
+      const actorRole = context.actorRole || (req.user ? req.user.role : 'anonymous');
+
+      if (context.skip || (!actorId && !anonymous)) {
+        recorded = Promise.resolve();
+        return recorded;
+      }
+
+      // Set by authorizePatient(), also for caregivers acting for the patient
+      const patientId = context.patientId ||
+        (req.record && req.record.patientId) ||
+        (req.patient && req.patient._id) ||
+        req.patientId ||
+        (actorRole === 'patient' ? actorId : undefined);
+
+      const recordId = context.recordId || (req.record && req.record._id);
+
+      // Set by the doctor access checks when access came from break-glass
+      const breakGlassSessionId = context.breakGlassSessionId || (req.breakGlass && req.breakGlass._id);
+
+      const declaredAction = declared();
+      let details = context.details;
+      let recordedAction = context.action || declaredAction;
+      if (!context.action && res.statusCode >= 400) {
+        recordedAction = [401, 403].includes(res.statusCode) ? 'access_denied' : 'request_failed';
+        details = { ...details, attemptedAction: declaredAction };
+      }
+
+      recorded = AccessLog.record({
+        actorId,
+        actorRole,
+        doctorId: actorRole === 'doctor' ? actorId : undefined,
+        patientId: toObjectId(patientId),
+        recordId: toObjectId(recordId),
+        breakGlassSessionId: toObjectId(breakGlassSessionId),
+        action: recordedAction,
+        reason: context.reason,
+        method: req.method,
+        endpoint: context.endpoint || req.originalUrl,
+        statusCode: res.statusCode,
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+        details
+      }).catch(error => {
+        // Let the finish handler record the failed response instead
+        recorded = null;
+        throw error;
+      });
+      return recorded;
+    };
+
+    const recordOnEnd = () => {
+      record().catch(error => {
+        console.error('Error recording audit event:', error);
+      });
+    };
+
+    // 'close' also fires when the client disconnects before the response finished
+    res.on('finish', recordOnEnd);
+    res.on('close', recordOnEnd);
+
+    // Hold reads of patient data until their event is written
+    const send = res.send;
+    res.send = function(body) {
+      if (!AccessLog.RECORD_READ_ACTIONS.includes(declared())) {
+        return send.call(this, body);
+      }
+
+      record().then(
+        () => send.call(this, body),
+        error => {
+          console.error('Error recording audit event:', error);
+          this.status(500).set('Content-Type', 'application/json');
+          send.call(this, JSON.stringify({ message: 'Server error while recording access' }));
+        }
+      );
+      return this;
+    };
+
+    req.recordAudit = record;
+
+    next();
+  };
+};
+
+/**
+ * Mark the current request as a denied access attempt
+ * @param {Object} req - Express request
+ * @param {Object} details - { patientId, recordId, reason }
+ */
+function auditDenied(req, { patientId, recordId, reason }) {
+  req.audit = req.audit || {};
+  Object.assign(req.audit, { action: 'access_denied', patientId, recordId, reason });
+}
+
+/**
+ * Write the audit event of the current request now, with the response
+ * status set so far, and wait for it. Call before sending PHI; rejects if
+ * the event couldn't be written, so the caller can fail instead.
+ * @param {Object} req - Express request of a route declared with audit()
+ */
+async function commitAudit(req) {
+  if (!req.recordAudit) {
+    throw new Error('Route has no audit action');
+  }
+  await req.recordAudit();
+}
+
+module.exports = {
+  audit,
+  auditDenied,
+  commitAudit
+};
\ No newline at end of file
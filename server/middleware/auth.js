@@ -73,35 +73,7 @@ const authorizeRole = (roles) => {
   };
 };
 
-/**
- * Log API access middleware
- * Records all API access for audit purposes
- */
-const logApiAccess = (req, res, next) => {
-  const AccessLog = require('../models/AccessLog');
-  
-  // Only log access for authenticated users
-  if (req.user) {
-    const log = {
-      userId: req.user.id,
-      endpoint: req.originalUrl,
-      method: req.method,
-      ipAddress: req.ip,
-      userAgent: req.headers['user-agent'],
-      timestamp: new Date()
-    };
-    
-    // Don't wait for log to be saved
-    AccessLog.create(log).catch(err => {
-      console.error('Error logging API access:', err);
-    });
-  }
-  
-  next();
-};
-
 module.exports = {
   authenticateToken,
-  authorizeRole,
-  logApiAccess
+  authorizeRole
 };
\ No newline at end of file
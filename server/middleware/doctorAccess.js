@@ -0,0 +1,141 @@
+/**
+ * Doctor Access Middleware
+ *
+ * Enforces consent-based access to patient data on doctor routes.
+ * A doctor may only see a patient's records when they are in the patient's
+ * care team and the patient has an active, unexpired record access consent.
+ * Record-level checks also apply the document type scope of the doctor's grant.
+ * Records the patient deleted respond with 410 Gone.
+ * Doctors without this access are let through while they have an active
+ * break-glass session for the patient; the session is attached to
+ * req.breakGlass so the audit pipeline flags the request.
+ * Denied attempts are recorded by the audit pipeline as 'access_denied'.
+ */
+
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const MedicalRecord = require('../models/MedicalRecord');
+const BreakGlassSession = require('../models/BreakGlassSession');
+const { auditDenied } = require('./audit');
+
+/**
+ * Fall back to emergency access when the regular checks deny a doctor.
+ * Attaches an active break-glass session to req.breakGlass.
+ * @param {Object} req - Express request
+ * @param {Object} access - Result of the regular check, { allowed, reason }
+ * @param {string} patientId - Patient ID
+ * @returns {Object} - { allowed, reason }
+ */
+async function withBreakGlass(req, access, patientId) {
+  if (access.allowed) {
+    return access;
+  }
+
+  const session = await BreakGlassSession.findActive(req.user.id, patientId);
+  if (!session) {
+    return access;
+  }
+
+  req.breakGlass = session;
+  return { allowed: true };
+}
+
+/**
+ * Require access to the patient named in a route parameter.
+ * Attaches the patient to req.patient.
+ * @param {string} paramName - Route parameter holding the patient ID
+ * @param {string} source - Where to read it: 'params' or 'body'
+ */
+const requirePatientAccess = (paramName = 'patientId', source = 'params') => {
+  return async (req, res, next) => {
+    try {
+      const patientId = req[source][paramName];
+
+      if (!mongoose.Types.ObjectId.isValid(patientId)) {
+        return res.status(404).json({ message: 'Patient not found' });
+      }
+
+      const patient = await Patient.findById(patientId);
+
+      if (!patient) {
+        return res.status(404).json({ message: 'Patient not found' });
+      }
+
+      const { allowed, reason } = await withBreakGlass(req, patient.checkDoctorAccess(req.user.id), patient._id);
+
+      if (!allowed) {
+        auditDenied(req, { patientId: patient._id, reason });
+        return res.status(403).json({
+          message: 'Access denied. You are not authorized to view this patient\'s records.'
+        });
+      }
+
+      req.patient = patient;
+      next();
+    } catch (error) {
+      console.error('Patient access check error:', error);
+      res.status(500).json({ message: 'Server error during access check' });
+    }
+  };
+};
+
+/**
+ * Require access to the medical record named in a route parameter.
+ * Attaches the record to req.record and its patient to req.patient.
+ * @param {string} paramName - Route parameter holding the record ID
+ * @param {string} source - Where to read it: 'params' or 'body'
+ */
+const requireRecordAccess = (paramName = 'id', source = 'params') => {
+  return async (req, res, next) => {
+    try {
+      const recordId = req[source][paramName];
+
+      if (!mongoose.Types.ObjectId.isValid(recordId)) {
+        return res.status(404).json({ message: 'Record not found' });
+      }
+
+      const record = await MedicalRecord.findById(recordId);
+
+      if (!record) {
+        return res.status(404).json({ message: 'Record not found' });
+      }
+
+      const patient = await Patient.findById(record.patientId);
+      const { allowed, reason } = patient
+        ? await withBreakGlass(req, patient.checkDoctorRecordAccess(req.user.id, record), patient._id)
+        : { allowed: false, reason: 'Patient account not found' };
+
+      if (!allowed) {
+        auditDenied(req, {
+          patientId: record.patientId,
+          recordId: record._id,
+          reason
+        });
+        return res.status(403).json({
+          message: 'Access denied. You are not authorized to view this record.'
+        });
+      }
+
+      // Deleted records stay listed, but their contents are no longer available
+      if (record.deletedAt) {
+        req.record = record;
+        return res.status(410).json({
+          message: 'This record was deleted by the patient',
+          deletedAt: record.deletedAt
+        });
+      }
+
+      req.record = record;
+      req.patient = patient;
+      next();
+    } catch (error) {
+      console.error('Record access check error:', error);
+      res.status(500).json({ message: 'Server error during access check' });
+    }
+  };
+};
+
+module.exports = {
+  requirePatientAccess,
+  requireRecordAccess
+};
\ No newline at end of file
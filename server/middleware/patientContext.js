@@ -0,0 +1,104 @@
+/**
+ * Patient Context Middleware
+ *
+ * Resolves the patient a patient route acts on. Patients act on their own
+ * records. Caregivers act on behalf of a linked, active patient, named in
+ * the X-On-Behalf-Of header, and only with the permissions of their link.
+ * The audit pipeline records the caregiver as the actor and the patient
+ * as the patient involved.
+ */
+
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const { auditDenied } = require('./audit');
+
+// Header naming the patient a caregiver acts for
+const ON_BEHALF_OF_HEADER = 'X-On-Behalf-Of';
+
+/**
+ * Authorize a patient route for the patient, or for a caregiver acting on
+ * the patient's behalf with the given permission. Use in place of
+ * authorizeRole('patient'). Sets req.patientId to the patient acted on.
+ * @param {string} permission - Caregiver permission the route needs:
+ *                              'view', 'upload', 'delete' or 'manage_care_team'
+ */
+const authorizePatient = (permission) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ message: 'Authentication required' });
+      }
+
+      const onBehalfOf = req.get(ON_BEHALF_OF_HEADER);
+
+      if (req.user.role === 'patient') {
+        if (onBehalfOf && onBehalfOf !== req.user.id) {
+          return res.status(403).json({ message: 'Patients can only act on their own records' });
+        }
+
+        req.patientId = req.user.id;
+        return next();
+      }
+
+      if (req.user.role !== 'caregiver') {
+        return res.status(403).json({
+          message: 'Access denied. You do not have permission to access this resource.'
+        });
+      }
+
+      if (!onBehalfOf) {
+        return res.status(400).json({ message: `Caregivers must name the patient in the ${ON_BEHALF_OF_HEADER} header` });
+      }
+
+      const patient = mongoose.Types.ObjectId.isValid(onBehalfOf)
+        ? await Patient.findById(onBehalfOf).select('caregivers isActive')
+        : null;
+
+      if (!patient) {
+        return res.status(404).json({ message: 'Patient not found' });
+      }
+
+      const { allowed, reason } = patient.checkCaregiverAccess(req.user.id, permission);
+
+      if (!allowed) {
+        auditDenied(req, { patientId: patient._id, reason });
+        return res.status(403).json({
+          message: 'Access denied. You are not authorized to do this for this patient.'
+        });
+      }
+
+      req.patientId = String(patient._id);
+      next();
+    } catch (error) {
+      console.error('Patient context error:', error);
+      res.status(500).json({ message: 'Server error during access check' });
+    }
+  };
+};
+
+/**
+ * Load the patient acted on into req.patient, as requirePatientAccess does
+ * on doctor routes: the patient set by authorizePatient(), or else the
+ * authenticated patient on routes for patients only
+ */
+async function loadOwnPatient(req, res, next) {
+  try {
+    const patient = await Patient.findById(req.patientId || req.user.id);
+
+    if (!patient) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+
+    req.patient = patient;
+    next();
+  } catch (error) {
+    console.error('Load patient error:', error);
+    res.status(500).json({ message: 'Server error while loading patient' });
+  }
+}
+
+module.exports = {
+  ON_BEHALF_OF_HEADER,
+  authorizePatient,
+  loadOwnPatient
+};
\ No newline at end of file
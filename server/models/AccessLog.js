@@ -1,23 +1,81 @@
 /**
  * Access Log Model
  * 
- * Tracks all access to patient medical records by doctors.
+ * Audit events for all API activity by patients, doctors and admins,
+ * including every access to patient medical records.
  * Used for audit trails and HIPAA compliance.
+ *
+ * Entries are append-only and hash-chained: each entry stores a SHA-256
+ * hash of its contents and of the previous entry's hash, so editing or
+ * deleting an entry breaks the chain. Write entries with AccessLog.record().
+ *
+ * Each entry is inserted at the next sequence number; the unique index on
+ * sequence makes concurrent writers retry instead of forking the chain.
+ * The chain head (see AccessLogHead) is then moved forward to the entry, so
+ * entries deleted from the end of the log are detected.
  */
 
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const AccessLogHead = require('./AccessLogHead');
+
+// prevHash of the first entry in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// ID of the chain head document
+const HEAD_ID = 'access_log';
+
+// Retries when another server process took the sequence number first,
+// with a randomized backoff that doubles up to MAX_APPEND_DELAY_MS
+const MAX_APPEND_ATTEMPTS = 20;
+const MAX_APPEND_DELAY_MS = 200;
+
+// Fields covered by the hash, per hash version
+const HASHED_FIELDS = {
+  1: ['sequence', 'prevHash', 'timestamp', 'doctorId', 'patientId', 'recordId',
+    'action', 'reason', 'ipAddress', 'userAgent'],
+  2: ['sequence', 'prevHash', 'timestamp', 'actorId', 'actorRole', 'doctorId',
+    'patientId', 'recordId', 'action', 'reason', 'method', 'endpoint',
+    'statusCode', 'ipAddress', 'userAgent', 'details'],
+  3: ['sequence', 'prevHash', 'timestamp', 'actorId', 'actorRole', 'doctorId',
+    'patientId', 'recordId', 'breakGlassSessionId', 'action', 'reason', 'method',
+    'endpoint', 'statusCode', 'ipAddress', 'userAgent', 'details']
+};
+const CURRENT_HASH_VERSION = 3;
+
+// Actions that read a patient's records or health information
+const RECORD_READ_ACTIONS = [
+  'view_records',
+  'view_file',
+  'download',
+  'view_thumbnail',
+  'view_profile',
+  'view_medical_history',
+  'search_records'
+];
 
 const AccessLogSchema = new mongoose.Schema({
+  // User who performed the action; unset for anonymous requests (e.g. failed
+  // logins) and for maintenance scripts (actorRole 'system')
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  actorRole: {
+    type: String,
+    enum: ['patient', 'doctor', 'caregiver', 'admin', 'anonymous', 'system']
+  },
+  // Doctor involved in the event; set to the actor for doctor actions
   doctorId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
     index: true
   },
+  // Patient whose data the event concerns, if any
   patientId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Patient',
-    required: true,
     index: true
   },
   recordId: {
@@ -25,17 +83,124 @@ const AccessLogSchema = new mongoose.Schema({
     ref: 'MedicalRecord',
     index: true
   },
+  // Emergency access session the event happened under, if any
+  breakGlassSessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BreakGlassSession',
+    index: true
+  },
   action: {
     type: String,
     required: true,
     enum: [
+      // Record access
       'view_records',     // Viewed list of patient records
       'view_thumbnail',   // Viewed record thumbnail
       'view_file',        // Viewed full-size record
       'download',         // Downloaded record
-      'search_patient'    // Searched for patient
+      'search_patient',   // Searched for patient
+      'search_records',   // Searched the text of a patient's records
+      'access_denied',    // Attempted access without authorization
+      'request_failed',   // Request failed; the route's action is in details.attemptedAction
+      'upload_record',    // Uploaded a medical record
+      'start_upload',     // Started a resumable upload
+      'upload_chunk',     // Sent a chunk of a resumable upload
+      'view_upload',      // Checked the progress of a resumable upload
+      'abort_upload',     // Cancelled a resumable upload
+      'add_pages',        // Added pages to a medical record
+      'reorder_pages',    // Reordered the pages of a medical record
+      'remove_page',      // Removed a page from a medical record
+      'replace_file',     // Replaced the file of a page with a new version
+      'update_record',    // Edited the type, date or notes of a medical record
+      'view_record_history', // Viewed the metadata change history of a record
+      'delete_record',    // Deleted a medical record
+      'restore_record',   // Restored a deleted medical record
+      'purge_record',     // Purged the files of a record after its retention period
+      'view_access_history', // Viewed who accessed their records
+
+      // Authentication
+      'register',
+      'login',
+      'logout',
+      'refresh_token',
+      'request_password_reset',
+      'reset_password',
+
+      // Care team
+      'view_care_team',
+      'invite_doctor',
+      'approve_access',
+      'reject_access',
+      'update_access',
+      'revoke_access',
+      'request_access',
+      'view_access_requests',
+
+      // Patient profile
+      'view_profile',
+      'update_profile',
+      'view_medical_history',
+      'update_medical_history',
+
+      // Doctor dashboard
+      'view_caseload',
+      'view_recent_activity',
+
+      // Notifications
+      'view_notifications',
+      'update_notifications',
+      'view_notification_preferences',
+      'update_notification_preferences',
+      'subscribe_notifications',
+
+      // Caregivers
+      'view_caregivers',
+      'link_caregiver',
+      'update_caregiver',
+      'revoke_caregiver',
+      'view_linked_patients',
+
+      // Emergency access
+      'break_glass',           // Started emergency access to a patient
+      'end_break_glass',       // Ended emergency access early
+      'view_break_glass',      // Listed emergency access sessions
+      'review_break_glass',    // Approved or flagged an emergency access session
+
+      // Share links
+      'share_record',          // Created a share link for a record
+      'view_share_links',      // Listed share links
+      'revoke_share_link',     // Revoked a share link
+      'view_shared_record',    // Opened a record through a share link
+
+      // Annotations
+      'view_annotations',
+      'add_annotation',
+      'update_annotation',
+      'delete_annotation',
+
+      // Compliance
+      'query_audit_log',
+      'export_audit_log',
+      'view_audit_report',
+      'verify_audit_chain'
     ]
   },
+  reason: {
+    type: String
+  },
+  method: {
+    type: String
+  },
+  endpoint: {
+    type: String
+  },
+  statusCode: {
+    type: Number
+  },
+  // Action-specific context, e.g. what changed
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
   timestamp: {
     type: Date,
     default: Date.now,
@@ -46,33 +211,320 @@ const AccessLogSchema = new mongoose.Schema({
   },
   userAgent: {
     type: String
+  },
+  sequence: {
+    type: Number,
+    unique: true,
+    sparse: true
+  },
+  prevHash: {
+    type: String
+  },
+  hash: {
+    type: String
+  },
+  hashVersion: {
+    type: Number
   }
 }, {
   timestamps: true
 });
 
+/**
+ * Compute the chain hash of an access log entry
+ * @param {Object} entry - Access log document or plain object
+ * @param {number} version - Hash version the entry was written with
+ * @returns {string} - SHA-256 hex digest
+ */
+function computeHash(entry, version = CURRENT_HASH_VERSION) {
+  const values = HASHED_FIELDS[version].map(field => {
+    const value = entry[field];
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date) return value.toISOString();
+    if (value._bsontype) return value.toString(); // ObjectId
+    if (typeof value === 'object') return canonicalize(value);
+    return value;
+  });
+
+  return crypto.createHash('sha256').update(JSON.stringify(values)).digest('hex');
+}
+
+/**
+ * Convert a value to JSON with object keys in sorted order, so the
+ * hash doesn't depend on the order keys come back from the database
+ * @param {*} value - Value to serialize
+ * @returns {string} - Canonical JSON
+ */
+function canonicalize(value) {
+  return JSON.stringify(value, (key, item) => {
+    if (item && typeof item === 'object' && !Array.isArray(item)) {
+      return Object.keys(item).sort().reduce((sorted, name) => {
+        sorted[name] = item[name];
+        return sorted;
+      }, {});
+    }
+    return item;
+  });
+}
+
+// Entries can only be created through AccessLog.record(), never changed
+AccessLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Access log entries are append-only'));
+  }
+  if (!this.hash) {
+    return next(new Error('Access log entries must be written with AccessLog.record()'));
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove', 'remove']
+  .forEach(operation => {
+    AccessLogSchema.pre(operation, function(next) {
+      next(new Error('Access log entries are append-only'));
+    });
+  });
+
 // Create compound indices for efficient querying
 AccessLogSchema.index({ doctorId: 1, timestamp: -1 });
 AccessLogSchema.index({ patientId: 1, timestamp: -1 });
 AccessLogSchema.index({ recordId: 1, timestamp: -1 });
 
+/**
+ * Find the entry the next one chains onto: the last entry, or the chain
+ * head if it is further along. A head ahead of the log means entries were
+ * deleted from the end; chaining onto the head keeps that gap detectable.
+ * @param {Model} AccessLog - Access log model
+ * @returns {Promise<Object>} - { sequence, hash }
+ */
+async function loadTail(AccessLog) {
+  const [head, last] = await Promise.all([
+    AccessLogHead.findById(HEAD_ID).lean(),
+    AccessLog.findOne({ sequence: { $exists: true } })
+      .sort({ sequence: -1 })
+      .select('sequence hash')
+      .lean()
+  ]);
+
+  if (head && (!last || head.sequence > last.sequence)) {
+    return { sequence: head.sequence, hash: head.hash };
+  }
+  return last ? { sequence: last.sequence, hash: last.hash } : { sequence: 0, hash: GENESIS_HASH };
+}
+
+/**
+ * Move the chain head forward to an entry that was written. Never moves it
+ * back, so appends finishing out of order leave it at the latest entry.
+ * @param {Object} entry - Saved access log entry
+ */
+async function advanceHead(entry) {
+  try {
+    await AccessLogHead.updateOne(
+      { _id: HEAD_ID, sequence: { $lt: entry.sequence } },
+      { $set: { sequence: entry.sequence, hash: entry.hash } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // The head is already at or past the entry
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+}
+
+// Entry the next append from this process chains onto, so it needn't be
+// read back from the database each time; reloaded when another process
+// appended first
+let knownTail = null;
+
+// Inserts from this process, one at a time, so they don't compete for the
+// same sequence number. Only the insert itself waits here.
+let insertQueue = Promise.resolve();
+
+/**
+ * Insert an entry at the sequence number after the known tail
+ * @param {Model} AccessLog - Access log model
+ * @param {Object} entry - Validated entry without its chain fields
+ * @returns {Promise<boolean>} - false if another process took the sequence number
+ */
+function insertNext(AccessLog, entry) {
+  const insert = insertQueue.then(async () => {
+    const tail = knownTail || await loadTail(AccessLog);
+
+    entry.set({
+      timestamp: new Date(),
+      sequence: tail.sequence + 1,
+      prevHash: tail.hash,
+      hashVersion: CURRENT_HASH_VERSION
+    });
+    entry.hash = computeHash(entry);
+
+    try {
+      await entry.save();
+    } catch (error) {
+      knownTail = null;
+      // The unique index on sequence refused it
+      if (error.code === 11000) {
+        return false;
+      }
+      throw error;
+    }
+
+    knownTail = { sequence: entry.sequence, hash: entry.hash };
+    return true;
+  });
+  insertQueue = insert.catch(() => {});
+  return insert;
+}
+
+// Static method to append an entry to the hash chain.
+// The timestamp is always set by the server. Rejects if the entry
+// couldn't be written, so callers can refuse to go on without it.
+AccessLogSchema.statics.record = async function(data) {
+  // An invalid entry must fail before it takes a sequence number
+  const entry = new this({ ...data, timestamp: new Date() });
+  await entry.validate();
+
+  let delay = 5;
+
+  for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+    if (await insertNext(this, entry)) {
+      // The entry is written; a head left behind is caught up by later appends
+      advanceHead(entry).catch(error => {
+        console.error('Error moving the access log chain head:', error);
+      });
+      return entry;
+    }
+
+    // Another server process appended first; reload the tail and retry
+    await new Promise(resolve => setTimeout(resolve, Math.random() * delay));
+    delay = Math.min(delay * 2, MAX_APPEND_DELAY_MS);
+  }
+
+  throw new Error(`Could not append to the access log after ${MAX_APPEND_ATTEMPTS} attempts`);
+};
+
+// Static method to walk the hash chain and report the first broken link
+AccessLogSchema.statics.verifyChain = async function() {
+  const cursor = this.find({ sequence: { $exists: true } })
+    .sort({ sequence: 1 })
+    .lean()
+    .cursor();
+
+  let expectedSequence = 1;
+  let expectedPrevHash = GENESIS_HASH;
+  let checked = 0;
+  let brokenAt = null;
+
+  for (let entry = await cursor.next(); entry; entry = await cursor.next()) {
+    let reason = null;
+
+    if (entry.sequence !== expectedSequence) {
+      reason = `Expected sequence ${expectedSequence}, found ${entry.sequence} (entries missing)`;
+    } else if (entry.prevHash !== expectedPrevHash) {
+      reason = 'Previous hash does not match the preceding entry';
+    } else if (!HASHED_FIELDS[entry.hashVersion] ||
+               computeHash(entry, entry.hashVersion) !== entry.hash) {
+      reason = 'Entry contents do not match its hash';
+    }
+
+    if (reason) {
+      brokenAt = { id: entry._id, sequence: entry.sequence, reason };
+      break;
+    }
+
+    checked++;
+    expectedSequence = entry.sequence + 1;
+    expectedPrevHash = entry.hash;
+  }
+
+  await cursor.close();
+
+  // Read the head after the walk, since it only ever points at an entry
+  // that was written. Entries deleted from the end of the log leave it
+  // pointing at an entry that is gone or was replaced.
+  const anchor = brokenAt ? null : await AccessLogHead.findById(HEAD_ID).lean();
+  if (anchor && anchor.sequence > 0) {
+    const anchored = await this.findOne({ sequence: anchor.sequence }).select('hash').lean();
+
+    if (!anchored) {
+      brokenAt = {
+        id: null,
+        sequence: anchor.sequence,
+        reason: `Expected entries up to the chain head at sequence ${anchor.sequence} (entries missing)`
+      };
+    } else if (anchored.hash !== anchor.hash) {
+      brokenAt = { id: anchored._id, sequence: anchor.sequence, reason: 'Entry does not match the chain head' };
+    }
+  }
+
+  const unchained = await this.countDocuments({ sequence: { $exists: false } });
+
+  return {
+    valid: !brokenAt,
+    checked,
+    head: checked ? { sequence: expectedSequence - 1, hash: expectedPrevHash } : null,
+    brokenAt,
+    unchained
+  };
+};
+
+// Static method to build a query from common audit filters
+AccessLogSchema.statics.buildFilter = function({ actorId, actorRole, doctorId, patientId, recordId, breakGlassSessionId, action, from, to } = {}) {
+  const filter = {};
+
+  if (actorId) filter.actorId = actorId;
+  if (actorRole) filter.actorRole = actorRole;
+  if (doctorId) filter.doctorId = doctorId;
+  if (patientId) filter.patientId = patientId;
+  if (recordId) filter.recordId = recordId;
+  if (breakGlassSessionId) filter.breakGlassSessionId = breakGlassSessionId;
+  if (action) filter.action = Array.isArray(action) ? { $in: action } : action;
+
+  if (from || to) {
+    filter.timestamp = {};
+    if (from) filter.timestamp.$gte = from;
+    if (to) filter.timestamp.$lte = to;
+  }
+
+  return filter;
+};
+
+// Static method to build the query for other users' access to a patient's data
+AccessLogSchema.statics.buildPatientAccessFilter = function(patientId, filters = {}) {
+  return {
+    ...this.buildFilter({ ...filters, patientId }),
+    actorId: { $ne: patientId }
+  };
+};
+
 // Static method to get recent access logs for a patient
-AccessLogSchema.statics.getRecentAccessForPatient = async function(patientId, limit = 10) {
-  return this.find({ patientId })
+// (excluding the patient's own activity)
+AccessLogSchema.statics.getRecentAccessForPatient = async function(patientId, limit = 10, { skip = 0, ...filters } = {}) {
+  return this.find(this.buildPatientAccessFilter(patientId, filters))
     .sort({ timestamp: -1 })
+    .skip(skip)
     .limit(limit)
+    .populate('actorId', 'name role')
     .populate('doctorId', 'name')
+    .populate('recordId', 'fileName documentType')
     .lean();
 };
 
-// Static method to get recent access logs by a doctor
-AccessLogSchema.statics.getRecentAccessByDoctor = async function(doctorId, limit = 10) {
-  return this.find({ doctorId })
+// Static method to get recent access logs by a doctor, optionally
+// narrowed by more conditions, e.g. { action: { $in: [...] } }
+AccessLogSchema.statics.getRecentAccessByDoctor = async function(doctorId, limit = 10, filter = {}) {
+  return this.find({ ...filter, doctorId })
     .sort({ timestamp: -1 })
     .limit(limit)
     .populate('patientId', 'name')
-    .populate('recordId', 'fileName documentType')
+    .populate('recordId', 'fileName documentType deletedAt')
     .lean();
 };
 
-module.exports = mongoose.model('AccessLog', AccessLogSchema);
\ No newline at end of file
+const AccessLog = mongoose.model('AccessLog', AccessLogSchema);
+
+AccessLog.RECORD_READ_ACTIONS = RECORD_READ_ACTIONS;
+
+module.exports = AccessLog;
\ No newline at end of file
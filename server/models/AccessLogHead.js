@@ -0,0 +1,30 @@
+/**
+ * Access Log Head Model
+ *
+ * A single document holding the sequence number and hash of the last
+ * entry written to the access log hash chain. Writers move it forward after
+ * each entry is saved and never back, and chain verification checks that
+ * the entry it points at is still there, so entries deleted from the end
+ * of the log are detected.
+ */
+
+const mongoose = require('mongoose');
+
+const AccessLogHeadSchema = new mongoose.Schema({
+  // Always 'access_log'; there is one head
+  _id: {
+    type: String
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('AccessLogHead', AccessLogHeadSchema);
\ No newline at end of file
@@ -0,0 +1,60 @@
+/**
+ * Annotation Model
+ *
+ * Clinical comments doctors leave on a medical record. The annotations of
+ * a record form one thread that every doctor with access to the record can
+ * read; the author decides whether the patient can see each annotation.
+ */
+
+const mongoose = require('mongoose');
+
+// Longest annotation text accepted
+const MAX_ANNOTATION_LENGTH = 5000;
+
+const AnnotationSchema = new mongoose.Schema({
+  recordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MedicalRecord',
+    required: true
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true,
+    index: true
+  },
+  // Doctor who wrote the annotation
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: MAX_ANNOTATION_LENGTH
+  },
+  visibleToPatient: {
+    type: Boolean,
+    default: false
+  },
+  // Set when the author changed the text
+  editedAt: {
+    type: Date
+  },
+  // Annotations are hidden rather than deleted, so the thread stays complete
+  deletedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Thread of a record, oldest first
+AnnotationSchema.index({ recordId: 1, createdAt: 1 });
+
+// Static for the longest annotation text accepted
+AnnotationSchema.statics.MAX_LENGTH = MAX_ANNOTATION_LENGTH;
+
+module.exports = mongoose.model('Annotation', AnnotationSchema);
\ No newline at end of file
@@ -0,0 +1,151 @@
+/**
+ * Break-Glass Session Model
+ *
+ * Emergency access by a doctor to the records of a patient outside their
+ * care team, e.g. during an ER visit. The doctor gives a reason and gets
+ * access to all of the patient's records for a limited time. Everything
+ * the doctor does meanwhile is flagged in the access log with the session
+ * ID, and admins review each session afterward.
+ */
+
+const mongoose = require('mongoose');
+
+// How long emergency access lasts
+const SESSION_DURATION_MS = 4 * 60 * 60 * 1000;
+
+// Shortest reason accepted, so a reason says something
+const MIN_REASON_LENGTH = 10;
+
+const BreakGlassSessionSchema = new mongoose.Schema({
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Set when the doctor or a reviewer ended the session before it expired
+  endedAt: {
+    type: Date
+  },
+  // "doctorId:patientId" until the session ends; unique, so a doctor has
+  // at most one session per patient. Cleared lazily once it expires.
+  activeKey: {
+    type: String
+  },
+  review: {
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'flagged'],
+      default: 'pending'
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    notes: {
+      type: String,
+      trim: true
+    }
+  }
+}, {
+  timestamps: true
+});
+
+BreakGlassSessionSchema.index({ doctorId: 1, patientId: 1, expiresAt: -1 });
+BreakGlassSessionSchema.index({ 'review.status': 1, startedAt: -1 });
+BreakGlassSessionSchema.index(
+  { activeKey: 1 },
+  { unique: true, partialFilterExpression: { activeKey: { $exists: true } } }
+);
+
+// Virtual for whether the session still gives access
+BreakGlassSessionSchema.virtual('isActive').get(function() {
+  return !this.endedAt && this.expiresAt > new Date();
+});
+
+// Method to end the session now
+BreakGlassSessionSchema.methods.end = function() {
+  if (this.isActive) {
+    this.endedAt = new Date();
+    this.activeKey = undefined;
+  }
+};
+
+// Method to format a session for API responses
+BreakGlassSessionSchema.methods.toResponse = function() {
+  const person = (value) => value && value.name
+    ? { id: value._id, name: value.name }
+    : { id: value };
+
+  return {
+    id: this._id,
+    doctor: person(this.doctorId),
+    patient: person(this.patientId),
+    reason: this.reason,
+    startedAt: this.startedAt,
+    expiresAt: this.expiresAt,
+    endedAt: this.endedAt || null,
+    active: this.isActive,
+    review: {
+      status: this.review.status,
+      reviewedBy: this.review.reviewedBy || null,
+      reviewedAt: this.review.reviewedAt || null,
+      notes: this.review.notes || null
+    }
+  };
+};
+
+// Static method to find a doctor's active session for a patient
+BreakGlassSessionSchema.statics.findActive = function(doctorId, patientId) {
+  return this.findOne({
+    doctorId,
+    patientId,
+    endedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to start a session. Concurrent starts for the same doctor
+// and patient can't both succeed: the loser fails with a duplicate key
+// error (code 11000).
+BreakGlassSessionSchema.statics.start = async function({ doctorId, patientId, reason }) {
+  const now = new Date();
+  const activeKey = `${doctorId}:${patientId}`;
+
+  // Release the key of a session that has expired
+  await this.updateOne({ activeKey, expiresAt: { $lte: now } }, { $unset: { activeKey: 1 } });
+
+  return this.create({
+    doctorId,
+    patientId,
+    reason,
+    activeKey,
+    startedAt: now,
+    expiresAt: new Date(now.getTime() + SESSION_DURATION_MS)
+  });
+};
+
+const BreakGlassSession = mongoose.model('BreakGlassSession', BreakGlassSessionSchema);
+
+BreakGlassSession.SESSION_DURATION_MS = SESSION_DURATION_MS;
+BreakGlassSession.MIN_REASON_LENGTH = MIN_REASON_LENGTH;
+
+module.exports = BreakGlassSession;
\ No newline at end of file
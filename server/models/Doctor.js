@@ -0,0 +1,42 @@
+/**
+ * Doctor Model
+ *
+ * Extends the User model with doctor-specific fields.
+ */
+
+const mongoose = require('mongoose');
+const User = require('./User');
+
+// Longest text accepted in a profile field
+const MAX_PROFILE_FIELD_LENGTH = 200;
+
+const DoctorSchema = new mongoose.Schema({
+  specialty: {
+    type: String,
+    trim: true,
+    maxlength: MAX_PROFILE_FIELD_LENGTH
+  },
+  // Medical license number, as issued by the licensing board
+  licenseNumber: {
+    type: String,
+    trim: true,
+    maxlength: MAX_PROFILE_FIELD_LENGTH
+  },
+  // Hospital, clinic or practice the doctor works for
+  affiliation: {
+    type: String,
+    trim: true,
+    maxlength: MAX_PROFILE_FIELD_LENGTH
+  }
+}, {
+  timestamps: true
+});
+
+// Create the Doctor model as a discriminator of User
+const Doctor = User.discriminator('Doctor', DoctorSchema);
+
+// Fields doctors can fill in on their profile
+Doctor.PROFILE_FIELDS = ['specialty', 'licenseNumber', 'affiliation'];
+Doctor.MAX_PROFILE_FIELD_LENGTH = MAX_PROFILE_FIELD_LENGTH;
+
+module.exports = Doctor;
\ No newline at end of file
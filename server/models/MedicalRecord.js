@@ -1,11 +1,160 @@
 /**
  * Medical Record Model
  * 
- * Stores metadata about uploaded medical record files.
- * The actual files are stored on the filesystem with encryption.
+ * Stores metadata about uploaded medical records. A record is a document
+ * with one or more pages, each an uploaded file. The actual files are
+ * encrypted and kept in the storage backend (local disk or S3), referenced
+ * by storage key.
+ *
+ * Nothing is deleted right away: deleted records, removed pages and
+ * replaced files are kept for the retention period (RECORD_RETENTION_DAYS)
+ * and then purged by scripts/purgeDeletedRecords.js. Purged records stay
+ * behind without their files, so doctors can see that a record was removed.
  */
 
 const mongoose = require('mongoose');
+const { SUPPORTED_FILE_TYPES } = require('../utils/documentPreview');
+
+// Days deleted records, removed pages and replaced files are kept before
+// they are purged (default about seven years)
+const RECORD_RETENTION_DAYS = parseInt(process.env.RECORD_RETENTION_DAYS) || 2557;
+
+/**
+ * Time until which something deleted now must be kept
+ * @param {Date} deletedAt - Deletion time
+ * @returns {Date} - End of the retention period
+ */
+function retentionEnd(deletedAt = new Date()) {
+  return new Date(deletedAt.getTime() + RECORD_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// An earlier file of a page, kept when the page's file was replaced
+const PageVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  fileType: {
+    type: String,
+    required: true,
+    enum: SUPPORTED_FILE_TYPES
+  },
+  fileSize: {
+    type: Number,
+    required: true
+  },
+  // Storage key of the encrypted file; renditions aren't kept
+  storageKey: {
+    type: String,
+    required: true
+  },
+  replacedAt: {
+    type: Date,
+    required: true
+  },
+  purgeAfter: {
+    type: Date,
+    required: true
+  }
+});
+
+// Fields of the document details that can be edited after upload
+const METADATA_FIELDS = ['documentType', 'documentDate', 'notes'];
+
+// An edit of the document details, for the change history
+const MetadataChangeSchema = new mongoose.Schema({
+  changedAt: {
+    type: Date,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      enum: METADATA_FIELDS
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }]
+});
+
+// One page of a record: an uploaded file and its renditions
+const PageSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    required: true
+  },
+  fileType: {
+    type: String,
+    required: true,
+    enum: SUPPORTED_FILE_TYPES
+  },
+  fileSize: {
+    type: Number,
+    required: true
+  },
+  // Storage key of the encrypted file
+  storageKey: {
+    type: String,
+    required: true
+  },
+  // Storage keys of the encrypted JPEG thumbnails by size; unset when
+  // nothing could be rendered (e.g. compressed DICOM)
+  thumbnails: {
+    small: String,
+    medium: String,
+    large: String
+  },
+  // Storage key of the encrypted full-size preview for PDFs and DICOM files
+  previewKey: {
+    type: String
+  },
+  // Plaintext thumbnail of pages uploaded before thumbnails were
+  // encrypted; replaced by scripts/regenerateThumbnails.js
+  legacyThumbnailKey: {
+    type: String
+  },
+  // Study tags read from DICOM uploads
+  dicom: {
+    studyDate: Date,
+    modality: String,
+    studyDescription: String,
+    seriesDescription: String,
+    bodyPartExamined: String,
+    numberOfFrames: Number
+  },
+  // Text extraction (see utils/recordSearch.js): unset until the page has
+  // been processed. The text itself is stored encrypted under textKey,
+  // which is unset if the file has no text.
+  textStatus: {
+    type: String,
+    enum: ['done', 'failed']
+  },
+  textKey: {
+    type: String
+  },
+  // Version of the current file, counting from 1; earlier files in `versions`
+  version: {
+    type: Number,
+    default: 1
+  },
+  versions: [PageVersionSchema],
+  // Set on pages in `removedPages`
+  removedAt: {
+    type: Date
+  },
+  purgeAfter: {
+    type: Date
+  }
+});
 
 const MedicalRecordSchema = new mongoose.Schema({
   patientId: {
@@ -14,6 +163,8 @@ const MedicalRecordSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Name, type and total size of the document, kept in sync with the
+  // pages (name and type of the first page)
   fileName: {
     type: String,
     required: true
@@ -21,19 +172,49 @@ const MedicalRecordSchema = new mongoose.Schema({
   fileType: {
     type: String,
     required: true,
-    enum: ['image/jpeg', 'image/png']
+    enum: SUPPORTED_FILE_TYPES
   },
   fileSize: {
     type: Number,
     required: true
   },
-  filePath: {
-    type: String,
-    required: true
+  // Pages of the document, in order. All pages are encrypted with the
+  // record's data key.
+  pages: [PageSchema],
+  // Pages removed from the document, kept until their purgeAfter
+  removedPages: [PageSchema],
+  // Single file of records stored before records had pages;
+  // moved into `pages` by scripts/migratePages.js
+  storageKey: String,
+  thumbnails: {
+    small: String,
+    medium: String,
+    large: String
   },
-  thumbnailPath: {
-    type: String,
-    required: true
+  previewKey: String,
+  legacyThumbnailKey: String,
+  dicom: {
+    studyDate: Date,
+    modality: String,
+    studyDescription: String,
+    seriesDescription: String,
+    bodyPartExamined: String,
+    numberOfFrames: Number
+  },
+  // Absolute local paths of records stored before storage keys were
+  // introduced; converted by scripts/migrateStorage.js
+  filePath: String,
+  previewPath: String,
+  thumbnailPath: String,
+  // Per-record data key, wrapped by master key `keyVersion`.
+  // Unset for files stored before authenticated encryption.
+  encryption: {
+    algorithm: String,
+    keyVersion: {
+      type: Number,
+      index: true
+    },
+    wrappedKey: String
   },
   documentType: {
     type: String,
@@ -54,13 +235,52 @@ const MedicalRecordSchema = new mongoose.Schema({
   notes: {
     type: String,
     trim: true
+  },
+  // Edits of documentType, documentDate and notes, oldest first
+  metadataHistory: [MetadataChangeSchema],
+  // Blind index of the words in the text of the pages: keyed hashes, so
+  // records can be searched without storing their text in the clear
+  searchTokens: {
+    type: [String],
+    select: false
+  },
+  // Soft delete: deleted records can be restored until purgeAfter
+  deletedAt: {
+    type: Date,
+    index: true
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  purgeAfter: {
+    type: Date,
+    index: true
+  },
+  // Set once the files of a deleted record have been purged; the record
+  // itself stays so the deletion remains visible
+  purgedAt: {
+    type: Date
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Concurrent changes to the pages (or a key rotation) must not overwrite each other
+  optimisticConcurrency: true
+});
+
+// Keep the document summary in sync with the pages
+MedicalRecordSchema.pre('validate', function(next) {
+  if (this.pages.length) {
+    this.fileName = this.pages[0].fileName;
+    this.fileType = this.pages[0].fileType;
+    this.fileSize = this.pages.reduce((total, page) => total + page.fileSize, 0);
+  }
+  next();
 });
 
 // Create compound index for efficient queries
 MedicalRecordSchema.index({ patientId: 1, documentType: 1, documentDate: -1 });
+MedicalRecordSchema.index({ patientId: 1, searchTokens: 1 });
 
 // Virtual for creating public URLs (not stored in DB)
 MedicalRecordSchema.virtual('thumbnailUrl').get(function() {
@@ -71,6 +291,91 @@ MedicalRecordSchema.virtual('fileUrl').get(function() {
   return `/api/patient/medical-records/${this._id}/file`;
 });
 
+// Method to edit the document details, recording the change in the history.
+// Returns the changes; fields that already have the new value are skipped.
+MedicalRecordSchema.methods.updateMetadata = function(updates, userId) {
+  const changes = [];
+
+  METADATA_FIELDS.forEach(field => {
+    if (updates[field] === undefined) {
+      return;
+    }
+
+    const from = this[field];
+    const to = updates[field];
+    const unchanged = from instanceof Date
+      ? from.getTime() === new Date(to).getTime()
+      : (from || '') === (to || '');
+
+    if (!unchanged) {
+      changes.push({ field, from, to });
+      this[field] = to;
+    }
+  });
+
+  if (changes.length) {
+    this.metadataHistory.push({ changedAt: new Date(), changedBy: userId, changes });
+  }
+
+  return changes;
+};
+
+// Method to delete the record, keeping it for the retention period
+MedicalRecordSchema.methods.softDelete = function(userId) {
+  this.deletedAt = new Date();
+  this.deletedBy = userId;
+  this.purgeAfter = retentionEnd(this.deletedAt);
+};
+
+// Method to undo a soft delete
+MedicalRecordSchema.methods.restore = function() {
+  this.deletedAt = undefined;
+  this.deletedBy = undefined;
+  this.purgeAfter = undefined;
+};
+
+// Method to move a page to `removedPages`, keeping it for the retention period
+MedicalRecordSchema.methods.removePage = function(page) {
+  const removed = page.toObject();
+  removed.removedAt = new Date();
+  removed.purgeAfter = retentionEnd(removed.removedAt);
+
+  this.pages.pull(page._id);
+  this.removedPages.push(removed);
+};
+
+// Method to replace the file of a page, keeping the current file as a version
+MedicalRecordSchema.methods.replacePageFile = function(page, file) {
+  const replacedAt = new Date();
+
+  page.versions.push({
+    version: page.version || 1,
+    fileName: page.fileName,
+    fileType: page.fileType,
+    fileSize: page.fileSize,
+    storageKey: page.storageKey,
+    replacedAt,
+    purgeAfter: retentionEnd(replacedAt)
+  });
+
+  Object.assign(page, {
+    fileName: file.fileName,
+    fileType: file.fileType,
+    fileSize: file.fileSize,
+    storageKey: file.storageKey,
+    thumbnails: file.thumbnails,
+    previewKey: file.previewKey,
+    legacyThumbnailKey: undefined,
+    dicom: file.dicom,
+    textStatus: undefined,
+    textKey: undefined,
+    version: (page.version || 1) + 1
+  });
+};
+
+// Static method for the end of the retention period of something deleted now
+MedicalRecordSchema.statics.retentionEnd = retentionEnd;
+
 // Add method to check if a doctor has access to this record
 MedicalRecordSchema.methods.isAccessibleByDoctor = async function(doctorId) {
   const Patient = mongoose.model('Patient');
@@ -80,7 +385,7 @@ MedicalRecordSchema.methods.isAccessibleByDoctor = async function(doctorId) {
     return false;
   }
   
-  return patient.doctors.includes(doctorId);
+  return patient.checkDoctorRecordAccess(doctorId, this).allowed;
 };
 
 module.exports = mongoose.model('MedicalRecord', MedicalRecordSchema);
\ No newline at end of file
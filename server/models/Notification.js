@@ -0,0 +1,108 @@
+/**
+ * Notification Model
+ *
+ * In-app notifications about activity that concerns a user: new records
+ * from patients in a doctor's care team, changes to access grants, and
+ * emergency (break-glass) access to a patient's records.
+ * Create notifications with utils/notifications.js, which also honors the
+ * user's preferences, sends email and pushes them to open browser pages.
+ */
+
+const mongoose = require('mongoose');
+
+// Notifications each role can receive
+const TYPES_BY_ROLE = {
+  patient: ['access_requested', 'break_glass'],
+  doctor: ['new_record', 'access_granted', 'access_revoked'],
+  caregiver: [],
+  admin: ['break_glass']
+};
+
+// Notifications that can't be turned off: patients and admins always
+// hear about emergency access to a patient's records
+const REQUIRED_TYPES = ['break_glass'];
+
+// Notifications are removed this long after they were created
+const RETENTION_DAYS = 180;
+
+const NotificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: [
+      'new_record',       // A patient in the care team added a record
+      'access_requested', // A doctor asked the patient for access
+      'access_granted',   // The patient gave the doctor access
+      'access_revoked',   // The patient revoked the doctor's access
+      'break_glass'       // A doctor used emergency access to the patient's records
+    ]
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String
+  },
+  // What the notification is about, for linking to it
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient'
+  },
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  recordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MedicalRecord'
+  },
+  grantId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  breakGlassSessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BreakGlassSession'
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+NotificationSchema.index({ userId: 1, createdAt: -1 });
+NotificationSchema.index({ userId: 1, readAt: 1 });
+NotificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Method to format a notification for API responses and the event stream
+NotificationSchema.methods.toResponse = function() {
+  return {
+    id: this._id,
+    type: this.type,
+    title: this.title,
+    message: this.message || null,
+    patientId: this.patientId || null,
+    doctorId: this.doctorId || null,
+    recordId: this.recordId || null,
+    grantId: this.grantId || null,
+    breakGlassSessionId: this.breakGlassSessionId || null,
+    read: Boolean(this.readAt),
+    readAt: this.readAt,
+    createdAt: this.createdAt
+  };
+};
+
+const Notification = mongoose.model('Notification', NotificationSchema);
+
+Notification.TYPES = NotificationSchema.path('type').enumValues;
+Notification.TYPES_BY_ROLE = TYPES_BY_ROLE;
+Notification.REQUIRED_TYPES = REQUIRED_TYPES;
+
+module.exports = Notification;
\ No newline at end of file
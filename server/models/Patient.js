@@ -7,6 +7,107 @@
 const mongoose = require('mongoose');
 const User = require('./User');
 
+// Consent form type that authorizes doctors to access medical records
+const RECORD_ACCESS_CONSENT = 'record_access';
+
+// A doctor's access to this patient's records, requested by the doctor
+// or offered by the patient, and limited in time and scope
+const AccessGrantSchema = new mongoose.Schema({
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'rejected', 'revoked'],
+    default: 'pending'
+  },
+  initiatedBy: {
+    type: String,
+    enum: ['patient', 'doctor'],
+    required: true
+  },
+  scope: {
+    type: String,
+    enum: ['all', 'document_types'],
+    default: 'all'
+  },
+  // Document types the doctor may see when scope is 'document_types'
+  documentTypes: [String],
+  expiresAt: Date,
+  message: {
+    type: String,
+    trim: true
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  respondedAt: Date,
+  revokedAt: Date
+});
+
+// What a caregiver may do on the patient's behalf
+const CAREGIVER_PERMISSIONS = ['view', 'upload', 'delete', 'manage_care_team'];
+
+// Legal authority an admin relied on to link a caregiver for a patient
+const CAREGIVER_AUTHORITY_TYPES = ['power_of_attorney', 'guardianship', 'healthcare_proxy', 'other'];
+
+// A caregiver (e.g. a family member) who manages the patient's records on
+// their behalf, linked by the patient or by an admin with documented authority
+const CaregiverLinkSchema = new mongoose.Schema({
+  caregiverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  permissions: [{
+    type: String,
+    enum: CAREGIVER_PERMISSIONS
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active'
+  },
+  // Relationship to the patient, e.g. "Daughter"
+  relationship: {
+    type: String,
+    trim: true
+  },
+  linkedBy: {
+    type: String,
+    enum: ['patient', 'admin'],
+    required: true
+  },
+  // Admin who linked the caregiver, and the authority they relied on
+  linkedByAdmin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  authority: {
+    type: {
+      type: String,
+      enum: CAREGIVER_AUTHORITY_TYPES
+    },
+    // Reference of the document, e.g. a court order or registration number
+    reference: {
+      type: String,
+      trim: true
+    },
+    notes: {
+      type: String,
+      trim: true
+    }
+  },
+  linkedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: Date
+});
+
 const PatientSchema = new mongoose.Schema({
   dob: {
     type: Date,
@@ -55,8 +156,22 @@ const PatientSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  accessGrants: [AccessGrantSchema],
+  caregivers: [CaregiverLinkSchema],
+  // Words of the name without accents, lowercase, for patient searches
+  nameWords: {
+    type: [String],
+    select: false
+  },
   consentForms: [{
     formType: String,
+    // Access grant this consent was created for, if any
+    grantId: mongoose.Schema.Types.ObjectId,
+    // Doctor the consent applies to; unset means it covers the whole care team
+    doctorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     signedDate: Date,
     expirationDate: Date,
     documentPath: String
@@ -68,6 +183,28 @@ const PatientSchema = new mongoose.Schema({
 // Create a compound index for efficient patient searches
 PatientSchema.index({ 'name': 'text', 'email': 'text' });
 PatientSchema.index({ dob: 1 });
+PatientSchema.index({ 'caregivers.caregiverId': 1 });
+PatientSchema.index({ nameWords: 1 });
+
+/**
+ * Normalized words of a name: lowercase, without accents
+ * @param {string} name - Name
+ * @returns {string[]} - Words
+ */
+function nameWords(name) {
+  return (name.match(/[\p{L}\p{N}]+/gu) || [])
+    .map(word => word.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase());
+}
+
+// Keep the searchable name words in sync with the name
+PatientSchema.pre('validate', function(next) {
+  if (this.isModified('name')) {
+    this.nameWords = nameWords(this.name || '');
+  }
+  next();
+});
+
+PatientSchema.statics.nameWords = nameWords;
 
 // Virtual for age calculation
 PatientSchema.virtual('age').get(function() {
@@ -85,9 +222,179 @@ PatientSchema.virtual('age').get(function() {
   return age;
 });
 
-// Method to check if a doctor has access to this patient
+// Method to check if a doctor is in this patient's care team
 PatientSchema.methods.isDoctorAuthorized = function(doctorId) {
-  return this.doctors.includes(doctorId);
+  return this.doctors.some(id => id.toString() === doctorId.toString());
+};
+
+// Method to check if the patient has an active, unexpired consent
+// allowing a doctor to access their medical records
+PatientSchema.methods.hasActiveConsent = function(doctorId) {
+  const now = new Date();
+
+  return this.consentForms.some(form =>
+    form.formType === RECORD_ACCESS_CONSENT &&
+    (!form.doctorId || form.doctorId.toString() === doctorId.toString()) &&
+    form.signedDate && form.signedDate <= now &&
+    (!form.expirationDate || form.expirationDate > now)
+  );
+};
+
+// Method to decide whether a doctor may access this patient's records.
+// Returns { allowed, reason } so denials can be audited.
+PatientSchema.methods.checkDoctorAccess = function(doctorId) {
+  if (!this.isDoctorAuthorized(doctorId)) {
+    return { allowed: false, reason: 'Doctor is not in the patient\'s care team' };
+  }
+
+  if (!this.hasActiveConsent(doctorId)) {
+    return { allowed: false, reason: 'No active consent for record access' };
+  }
+
+  return { allowed: true };
+};
+
+// Method to get a doctor's current, unexpired access grant
+PatientSchema.methods.getActiveGrant = function(doctorId) {
+  const now = new Date();
+
+  return this.accessGrants.find(grant =>
+    grant.doctorId.toString() === doctorId.toString() &&
+    grant.status === 'active' &&
+    (!grant.expiresAt || grant.expiresAt > now)
+  );
+};
+
+// Method to get the document types a doctor is limited to.
+// Returns null when the doctor may see all records.
+PatientSchema.methods.getDoctorRecordScope = function(doctorId) {
+  const grant = this.getActiveGrant(doctorId);
+
+  if (!grant || grant.scope === 'all') {
+    return null;
+  }
+
+  return grant.documentTypes;
+};
+
+// Method to decide whether a doctor may access a specific record,
+// taking the scope of their grant into account
+PatientSchema.methods.checkDoctorRecordAccess = function(doctorId, record) {
+  const access = this.checkDoctorAccess(doctorId);
+
+  if (!access.allowed) {
+    return access;
+  }
+
+  const scope = this.getDoctorRecordScope(doctorId);
+  if (scope && !scope.includes(record.documentType)) {
+    return { allowed: false, reason: 'Record type is outside the granted access scope' };
+  }
+
+  return { allowed: true };
+};
+
+// Method to activate an access grant: adds the doctor to the care team
+// and records the patient's consent for the grant's lifetime
+PatientSchema.methods.activateGrant = async function(grant, { scope, documentTypes, expiresAt } = {}) {
+  const now = new Date();
+
+  if (scope) {
+    grant.scope = scope;
+    grant.documentTypes = scope === 'document_types' ? documentTypes : [];
+  }
+  if (expiresAt !== undefined) {
+    grant.expiresAt = expiresAt;
+  }
+
+  grant.status = 'active';
+  grant.respondedAt = now;
+
+  if (!this.isDoctorAuthorized(grant.doctorId)) {
+    this.doctors.push(grant.doctorId);
+  }
+
+  this.consentForms.push({
+    formType: RECORD_ACCESS_CONSENT,
+    grantId: grant._id,
+    doctorId: grant.doctorId,
+    signedDate: now,
+    expirationDate: grant.expiresAt
+  });
+
+  await this.save();
+  return grant;
+};
+
+// Method to change the expiry date or scope of an active grant
+PatientSchema.methods.updateGrant = async function(grant, { scope, documentTypes, expiresAt } = {}) {
+  if (scope) {
+    grant.scope = scope;
+    grant.documentTypes = scope === 'document_types' ? documentTypes : [];
+  }
+
+  if (expiresAt !== undefined) {
+    grant.expiresAt = expiresAt;
+
+    this.consentForms
+      .filter(form => form.grantId && form.grantId.equals(grant._id))
+      .forEach(form => {
+        form.expirationDate = expiresAt;
+      });
+  }
+
+  await this.save();
+  return grant;
+};
+
+// Method to revoke an access grant: ends the consent and removes
+// the doctor from the care team
+PatientSchema.methods.revokeGrant = async function(grant) {
+  const now = new Date();
+
+  grant.status = 'revoked';
+  grant.revokedAt = now;
+
+  this.consentForms
+    .filter(form => form.doctorId && form.doctorId.toString() === grant.doctorId.toString())
+    .filter(form => !form.expirationDate || form.expirationDate > now)
+    .forEach(form => {
+      form.expirationDate = now;
+    });
+
+  this.doctors = this.doctors.filter(id => id.toString() !== grant.doctorId.toString());
+
+  await this.save();
+  return grant;
+};
+
+// Method to get a caregiver's active link to this patient
+PatientSchema.methods.getCaregiverLink = function(caregiverId) {
+  return this.caregivers.find(link =>
+    link.caregiverId.toString() === caregiverId.toString() &&
+    link.status === 'active'
+  );
+};
+
+// Method to decide whether a caregiver may act for this patient with a
+// permission. Returns { allowed, reason } so denials can be audited.
+// Needs the isActive and caregivers fields.
+PatientSchema.methods.checkCaregiverAccess = function(caregiverId, permission) {
+  if (this.isActive === false) {
+    return { allowed: false, reason: 'Patient account is deactivated' };
+  }
+
+  const link = this.getCaregiverLink(caregiverId);
+
+  if (!link) {
+    return { allowed: false, reason: 'Caregiver is not linked to the patient' };
+  }
+
+  if (!link.permissions.includes(permission)) {
+    return { allowed: false, reason: `Caregiver lacks the ${permission} permission` };
+  }
+
+  return { allowed: true };
 };
 
 // Method to add a doctor to this patient
@@ -113,4 +420,8 @@ PatientSchema.methods.removeDoctor = async function(doctorId) {
 // Create the Patient model as a discriminator of User
 const Patient = User.discriminator('Patient', PatientSchema);
 
+Patient.RECORD_ACCESS_CONSENT = RECORD_ACCESS_CONSENT;
+Patient.CAREGIVER_PERMISSIONS = CAREGIVER_PERMISSIONS;
+Patient.CAREGIVER_AUTHORITY_TYPES = CAREGIVER_AUTHORITY_TYPES;
+
 module.exports = Patient;
\ No newline at end of file
@@ -0,0 +1,139 @@
+/**
+ * Refresh Token Model
+ *
+ * Stores hashed refresh tokens issued at login.
+ * Tokens are single-use: every refresh rotates the token, and reusing a
+ * rotated token revokes the whole token family (likely theft).
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Refresh tokens are valid for 30 days unless rotated or revoked
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const RefreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  replacedBy: {
+    type: String
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB remove expired tokens automatically
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Hash a raw refresh token for storage and lookup
+ * @param {string} token - Raw token as sent to the client
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Static method to issue a new refresh token for a user
+RefreshTokenSchema.statics.issue = async function(userId, { family, ipAddress, userAgent } = {}) {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  await this.create({
+    userId,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomBytes(16).toString('hex'),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    ipAddress,
+    userAgent
+  });
+
+  return token;
+};
+
+// Static method to exchange a refresh token for a new one.
+// Returns null if the token is unknown, expired or was already used.
+RefreshTokenSchema.statics.rotate = async function(token, { ipAddress, userAgent } = {}) {
+  const tokenHash = hashToken(token);
+  const now = new Date();
+
+  // Claim the token atomically, so of two refreshes racing with the same
+  // token only one succeeds and the other counts as reuse
+  const claimed = await this.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    // A rotated or revoked token being presented again means it leaked:
+    // revoke every token in the family so the attacker's copy dies too
+    const existing = await this.findOne({ tokenHash });
+    if (existing && existing.expiresAt > now) {
+      await this.revokeFamily(existing.family);
+    }
+    return null;
+  }
+
+  const newToken = await this.issue(claimed.userId, {
+    family: claimed.family,
+    ipAddress,
+    userAgent
+  });
+
+  await this.updateOne({ _id: claimed._id }, { $set: { replacedBy: hashToken(newToken) } });
+
+  return { userId: claimed.userId, token: newToken };
+};
+
+// Static method to revoke a single refresh token
+RefreshTokenSchema.statics.revoke = async function(token) {
+  return this.updateOne(
+    { tokenHash: hashToken(token), revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+// Static method to revoke every token descended from the same login
+RefreshTokenSchema.statics.revokeFamily = async function(family) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+// Static method to revoke all refresh tokens of a user (e.g. after password reset)
+RefreshTokenSchema.statics.revokeAllForUser = async function(userId) {
+  return this.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
\ No newline at end of file
@@ -0,0 +1,205 @@
+/**
+ * Share Link Model
+ *
+ * A link a patient creates to hand one medical record file to someone who
+ * isn't on the platform, e.g. a specialist. Anyone with the link can open
+ * the file without signing in until it expires, is revoked or has been
+ * opened maxViews times. Links can also require a PIN, which the patient
+ * passes on separately.
+ *
+ * The link token is signed with an HMAC, so forged or altered tokens are
+ * rejected before the database is queried, and it carries the link's
+ * expiry so expired links are too.
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+// Failed PIN attempts after which the link stops working
+const MAX_PIN_ATTEMPTS = 5;
+
+/**
+ * Key share link tokens are signed with
+ * @returns {string} - Secret
+ */
+function signingKey() {
+  return process.env.SHARE_LINK_SECRET || process.env.JWT_SECRET || 'your_jwt_secret';
+}
+
+/**
+ * Sign a token payload
+ * @param {string} payload - "<linkId>.<expiry in ms>"
+ * @returns {string} - URL-safe HMAC-SHA256
+ */
+function sign(payload) {
+  return crypto.createHmac('sha256', signingKey()).update(payload).digest('base64url');
+}
+
+const ShareLinkSchema = new mongoose.Schema({
+  recordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MedicalRecord',
+    required: true
+  },
+  // Page whose file the link serves
+  pageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true,
+    index: true
+  },
+  // Patient, or caregiver acting for them, who created the link
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Who the link is for, e.g. "Dr. Lee, neurology"; shown to the patient only
+  label: {
+    type: String,
+    trim: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  maxViews: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: {
+    type: Date
+  },
+  pinHash: {
+    type: String,
+    select: false
+  },
+  failedPinAttempts: {
+    type: Number,
+    default: 0
+  },
+  revokedAt: {
+    type: Date
+  },
+  // Why the link stopped working before it expired
+  revokedReason: {
+    type: String,
+    enum: ['patient', 'pin_attempts']
+  }
+}, {
+  timestamps: true
+});
+
+ShareLinkSchema.index({ patientId: 1, createdAt: -1 });
+
+// Virtual for whether the link can still be opened
+ShareLinkSchema.virtual('isActive').get(function() {
+  return !this.revokedAt &&
+    this.expiresAt > new Date() &&
+    this.viewCount < this.maxViews;
+});
+
+// Method to build the token for the link's URL
+ShareLinkSchema.methods.createToken = function() {
+  const payload = `${this._id}.${this.expiresAt.getTime()}`;
+  return `${payload}.${sign(payload)}`;
+};
+
+// Method to set or clear the link's PIN
+ShareLinkSchema.methods.setPin = async function(pin) {
+  this.pinHash = pin ? await bcrypt.hash(pin, await bcrypt.genSalt(10)) : undefined;
+};
+
+// Method to check a PIN, counting failures. Failures are counted in the
+// database, so parallel guesses all count, and the link is locked once
+// they reach MAX_PIN_ATTEMPTS. Returns { correct, attemptsLeft }.
+ShareLinkSchema.methods.checkPin = async function(pin) {
+  const ShareLink = this.constructor;
+
+  if (typeof pin === 'string' && await bcrypt.compare(pin, this.pinHash)) {
+    await ShareLink.updateOne(
+      { _id: this._id, revokedAt: null, failedPinAttempts: { $gt: 0 } },
+      { $set: { failedPinAttempts: 0 } }
+    );
+    return { correct: true };
+  }
+
+  const counted = await ShareLink.findOneAndUpdate(
+    { _id: this._id, revokedAt: null },
+    { $inc: { failedPinAttempts: 1 } },
+    { new: true }
+  );
+
+  // Revoked or locked by another request meanwhile
+  if (!counted) {
+    return { correct: false, attemptsLeft: 0 };
+  }
+
+  if (counted.failedPinAttempts >= MAX_PIN_ATTEMPTS) {
+    await ShareLink.updateOne(
+      { _id: this._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'pin_attempts' } }
+    );
+    return { correct: false, attemptsLeft: 0 };
+  }
+
+  return { correct: false, attemptsLeft: MAX_PIN_ATTEMPTS - counted.failedPinAttempts };
+};
+
+// Method to format a link for API responses to the patient
+ShareLinkSchema.methods.toResponse = function() {
+  return {
+    id: this._id,
+    recordId: this.recordId,
+    pageId: this.pageId,
+    label: this.label || null,
+    expiresAt: this.expiresAt,
+    maxViews: this.maxViews,
+    viewCount: this.viewCount,
+    lastViewedAt: this.lastViewedAt || null,
+    pinProtected: Boolean(this.pinHash),
+    active: this.isActive,
+    revokedAt: this.revokedAt || null,
+    revokedReason: this.revokedReason || null,
+    createdAt: this.createdAt
+  };
+};
+
+// Static method to find the link of a token. Returns null for forged,
+// malformed or expired tokens without querying the database.
+ShareLinkSchema.statics.findByToken = async function(token) {
+  const match = /^([0-9a-f]{24})\.(\d+)\.([\w-]+)$/.exec(token || '');
+  if (!match) {
+    return null;
+  }
+
+  const [, linkId, expiry, signature] = match;
+  const expected = Buffer.from(sign(`${linkId}.${expiry}`));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return null;
+  }
+
+  if (Number(expiry) <= Date.now()) {
+    return null;
+  }
+
+  const link = await this.findById(linkId).select('+pinHash');
+  return link && link.expiresAt.getTime() === Number(expiry) ? link : null;
+};
+
+const ShareLink = mongoose.model('ShareLink', ShareLinkSchema);
+
+ShareLink.MAX_PIN_ATTEMPTS = MAX_PIN_ATTEMPTS;
+
+module.exports = ShareLink;
\ No newline at end of file
@@ -0,0 +1,133 @@
+/**
+ * Upload Session Model
+ *
+ * Tracks a resumable upload of a medical record file. The client sends the
+ * file in fixed-size chunks, each with a SHA-256 checksum; received chunks
+ * are encrypted with the session's own data key and kept in the storage
+ * backend until the upload is completed and turned into a record.
+ *
+ * Expired sessions and their chunks are removed by scripts/cleanupUploads.js.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Sessions expire 24 hours after the last chunk was received
+const UPLOAD_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Expiry time of a session that is in use now
+ * @returns {Date} - Expiry time
+ */
+function nextExpiry() {
+  return new Date(Date.now() + UPLOAD_SESSION_TTL_MS);
+}
+
+const UploadSessionSchema = new mongoose.Schema({
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true,
+    index: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  fileSize: {
+    type: Number,
+    required: true
+  },
+  chunkSize: {
+    type: Number,
+    required: true
+  },
+  totalChunks: {
+    type: Number,
+    required: true
+  },
+  // Optional SHA-256 of the whole file, checked when the upload completes
+  sha256: {
+    type: String
+  },
+  // Record metadata, applied when the upload completes; unset for
+  // uploads that add a page to an existing record
+  documentType: {
+    type: String
+  },
+  documentDate: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  chunks: [{
+    _id: false,
+    index: Number,
+    size: Number,
+    sha256: String,
+    storageKey: String
+  }],
+  // Data key the chunks are encrypted with, wrapped like a record's
+  encryption: {
+    algorithm: String,
+    keyVersion: Number,
+    wrappedKey: String
+  },
+  status: {
+    type: String,
+    enum: ['active', 'completing', 'completed'],
+    default: 'active'
+  },
+  // Record the upload adds a page to, or the record created from it
+  // once completed
+  recordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MedicalRecord'
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: true,
+    default: nextExpiry
+  }
+}, {
+  timestamps: true
+});
+
+// New storage key for a chunk. A random tag keeps concurrent uploads of
+// the same chunk from overwriting each other; only the copy recorded in
+// `chunks` is kept.
+UploadSessionSchema.methods.chunkKey = function(index) {
+  return `uploads/${this.patientId}/${this._id}/${index}.${crypto.randomBytes(4).toString('hex')}.enc`;
+};
+
+// Storage keys of the received chunks
+UploadSessionSchema.methods.chunkKeys = function() {
+  return this.chunks.map(chunk => chunk.storageKey);
+};
+
+// Expected size of a chunk; only the last chunk may be shorter
+UploadSessionSchema.methods.expectedChunkSize = function(index) {
+  return index === this.totalChunks - 1
+    ? this.fileSize - index * this.chunkSize
+    : this.chunkSize;
+};
+
+// Indexes of the chunks that haven't been received yet
+UploadSessionSchema.methods.missingChunks = function() {
+  const received = new Set(this.chunks.map(chunk => chunk.index));
+  const missing = [];
+
+  for (let index = 0; index < this.totalChunks; index++) {
+    if (!received.has(index)) missing.push(index);
+  }
+
+  return missing;
+};
+
+// Static method for the expiry of a session that has just been used
+UploadSessionSchema.statics.nextExpiry = nextExpiry;
+
+module.exports = mongoose.model('UploadSession', UploadSessionSchema);
\ No newline at end of file
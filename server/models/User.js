@@ -6,6 +6,7 @@
  */
 
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 
@@ -31,7 +32,7 @@ const UserSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['patient', 'doctor', 'admin'],
+    enum: ['patient', 'doctor', 'caregiver', 'admin'],
     required: true
   },
   phone: {
@@ -48,6 +49,11 @@ const UserSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Notification types the user turned off, per channel
+  notificationPreferences: {
+    mutedInApp: [String],
+    mutedEmail: [String]
+  },
   passwordResetToken: String,
   passwordResetExpires: Date
 }, {
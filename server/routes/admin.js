@@ -0,0 +1,509 @@
+/**
+ * Admin API Routes
+ *
+ * Compliance audit endpoints over the access log: filtered log queries,
+ * aggregate reports and CSV/JSON exports.
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const AccessLog = require('../models/AccessLog');
+const User = require('../models/User');
+const Patient = require('../models/Patient');
+const { parseDateParam, parsePagination } = require('../utils/queryParams');
+const { toCsv } = require('../utils/csv');
+
+// Upper bound on rows in a single export
+const EXPORT_LIMIT = 50000;
+
+const LOG_COLUMNS = [
+  { key: 'sequence', header: 'Sequence' },
+  { key: 'timestamp', header: 'Timestamp' },
+  { key: 'action', header: 'Action' },
+  { key: 'actorId', header: 'Actor ID' },
+  { key: 'actorName', header: 'Actor Name' },
+  { key: 'actorRole', header: 'Actor Role' },
+  { key: 'doctorId', header: 'Doctor ID' },
+  { key: 'doctorName', header: 'Doctor Name' },
+  { key: 'patientId', header: 'Patient ID' },
+  { key: 'patientName', header: 'Patient Name' },
+  { key: 'recordId', header: 'Record ID' },
+  { key: 'fileName', header: 'File Name' },
+  { key: 'breakGlassSessionId', header: 'Break-Glass Session' },
+  { key: 'reason', header: 'Reason' },
+  { key: 'method', header: 'Method' },
+  { key: 'endpoint', header: 'Endpoint' },
+  { key: 'statusCode', header: 'Status' },
+  { key: 'ipAddress', header: 'IP Address' },
+  { key: 'userAgent', header: 'User Agent' }
+];
+
+/**
+ * Parse and validate audit filters from the query string.
+ * IDs are cast to ObjectIds so the filter also works in aggregations.
+ * @param {Object} query - req.query
+ * @returns {Object} - { error } or { filters }
+ */
+function parseAuditFilters(query) {
+  const filters = {};
+
+  for (const key of ['actorId', 'doctorId', 'patientId', 'recordId', 'breakGlassSessionId']) {
+    if (query[key]) {
+      if (!mongoose.Types.ObjectId.isValid(query[key])) {
+        return { error: `Invalid ${key}` };
+      }
+      filters[key] = new mongoose.Types.ObjectId(query[key]);
+    }
+  }
+
+  if (query.actorRole) {
+    const validRoles = AccessLog.schema.path('actorRole').enumValues;
+    if (!validRoles.includes(query.actorRole)) {
+      return { error: 'Invalid actorRole' };
+    }
+    filters.actorRole = query.actorRole;
+  }
+
+  if (query.action) {
+    // Repeated parameters (action=a&action=b) arrive as an array
+    const actions = [].concat(query.action).join(',').split(',');
+    const validActions = AccessLog.schema.path('action').enumValues;
+    if (!actions.every(action => validActions.includes(action))) {
+      return { error: 'Invalid action' };
+    }
+    filters.action = actions.length === 1 ? actions[0] : actions;
+  }
+
+  const from = parseDateParam(query.from);
+  const to = parseDateParam(query.to, true);
+  if (from === false || to === false) {
+    return { error: 'Invalid date range' };
+  }
+  filters.from = from;
+  filters.to = to;
+
+  return { filters };
+}
+
+/**
+ * Flatten a populated access log entry into an export row
+ * @param {Object} log - Lean access log with populated references
+ * @returns {Object} - Row keyed by LOG_COLUMNS
+ */
+function toLogRow(log) {
+  return {
+    id: log._id,
+    sequence: log.sequence,
+    timestamp: log.timestamp,
+    action: log.action,
+    actorId: log.actorId ? log.actorId._id : null,
+    actorName: log.actorId ? log.actorId.name : null,
+    actorRole: log.actorRole,
+    doctorId: log.doctorId ? log.doctorId._id : null,
+    doctorName: log.doctorId ? log.doctorId.name : null,
+    patientId: log.patientId ? log.patientId._id : null,
+    patientName: log.patientId ? log.patientId.name : null,
+    recordId: log.recordId ? log.recordId._id : null,
+    fileName: log.recordId ? log.recordId.fileName : null,
+    breakGlassSessionId: log.breakGlassSessionId || null,
+    reason: log.reason,
+    method: log.method,
+    endpoint: log.endpoint,
+    statusCode: log.statusCode,
+    details: log.details,
+    ipAddress: log.ipAddress,
+    userAgent: log.userAgent
+  };
+}
+
+/**
+ * Find access logs with their doctor, patient and record populated
+ */
+function findLogs(filter) {
+  return AccessLog.find(filter)
+    .sort({ timestamp: -1 })
+    .populate('actorId', 'name')
+    .populate('doctorId', 'name')
+    .populate('patientId', 'name')
+    .populate('recordId', 'fileName')
+    .lean();
+}
+
+/**
+ * Send report rows as JSON or as a CSV download
+ * @param {Object} res - Express response
+ * @param {Object[]} rows - Report rows
+ * @param {Object[]} columns - CSV columns
+ * @param {string} format - 'json' or 'csv'
+ * @param {string} name - Base name for the download
+ * @param {boolean} download - Send JSON as a file download too
+ */
+function sendExport(res, rows, columns, format, name, download = false) {
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${name}-${stamp}.csv"`);
+    return res.send(toCsv(rows, columns));
+  }
+
+  if (download) {
+    res.setHeader('Content-Disposition', `attachment; filename="${name}-${stamp}.json"`);
+  }
+  res.json(rows);
+}
+
+/**
+ * Validate the export format query parameter
+ */
+function parseFormat(query) {
+  const format = query.format || 'json';
+  return ['json', 'csv'].includes(format) ? format : null;
+}
+
+/**
+ * @route   GET /api/admin/audit/logs
+ * @desc    Query the access log by doctor, patient, record, action and time window
+ * @access  Private (Admin only)
+ */
+router.get('/admin/audit/logs',
+  audit('query_audit_log'),
+  authenticateToken,
+  authorizeRole('admin'),
+  async (req, res) => {
+    try {
+      const { error, filters } = parseAuditFilters(req.query);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      req.audit.details = { query: req.query };
+
+      const { page, limit, skip } = parsePagination(req.query, { defaultLimit: 50, maxLimit: 500 });
+      const filter = AccessLog.buildFilter(filters);
+
+      const [logs, total] = await Promise.all([
+        findLogs(filter).skip(skip).limit(limit),
+        AccessLog.countDocuments(filter)
+      ]);
+
+      res.json({
+        entries: logs.map(toLogRow),
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      });
+    } catch (error) {
+      console.error('Audit log query error:', error);
+      res.status(500).json({ message: 'Server error while querying audit logs' });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/admin/audit/logs/export
+ * @desc    Export all matching access log entries as CSV or JSON
+ * @access  Private (Admin only)
+ */
+router.get('/admin/audit/logs/export',
+  audit('export_audit_log'),
+  authenticateToken,
+  authorizeRole('admin'),
+  async (req, res) => {
+    try {
+      const format = parseFormat(req.query);
+      if (!format) {
+        return res.status(400).json({ message: 'Format must be json or csv' });
+      }
+
+      const { error, filters } = parseAuditFilters(req.query);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      req.audit.details = { query: req.query };
+
+      const filter = AccessLog.buildFilter(filters);
+      const total = await AccessLog.countDocuments(filter);
+
+      if (total > EXPORT_LIMIT) {
+        return res.status(413).json({
+          message: `Export would contain ${total} entries. Narrow the filters to at most ${EXPORT_LIMIT}.`
+        });
+      }
+
+      const logs = await findLogs(filter);
+
+      sendExport(res, logs.map(toLogRow), LOG_COLUMNS, format, 'access-log', true);
+    } catch (error) {
+      console.error('Audit log export error:', error);
+      res.status(500).json({ message: 'Server error while exporting audit logs' });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/admin/audit/verify
+ * @desc    Walk the access log hash chain and report the first broken link
+ * @access  Private (Admin only)
+ */
+router.get('/admin/audit/verify',
+  audit('verify_audit_chain'),
+  authenticateToken,
+  authorizeRole('admin'),
+  async (req, res) => {
+    try {
+      const result = await AccessLog.verifyChain();
+
+      res.json(result);
+    } catch (error) {
+      console.error('Audit chain verification error:', error);
+      res.status(500).json({ message: 'Server error while verifying audit chain' });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/admin/audit/reports/daily-access
+ * @desc    Number of accesses per doctor per day, broken down by action
+ * @access  Private (Admin only)
+ */
+router.get('/admin/audit/reports/daily-access',
+  audit('view_audit_report'),
+  authenticateToken,
+  authorizeRole('admin'),
+  async (req, res) => {
+    try {
+      const format = parseFormat(req.query);
+      if (!format) {
+        return res.status(400).json({ message: 'Format must be json or csv' });
+      }
+
+      const { error, filters } = parseAuditFilters(req.query);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      req.audit.details = { query: req.query };
+
+      const results = await AccessLog.aggregate([
+        {
+          $match: {
+            ...AccessLog.buildFilter(filters),
+            doctorId: filters.doctorId || { $ne: null }
+          }
+        },
+        {
+          $group: {
+            _id: {
+              doctorId: '$doctorId',
+              date: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } },
+              action: '$action'
+            },
+            count: { $sum: 1 }
+          }
+        },
+        {
+          $group: {
+            _id: { doctorId: '$_id.doctorId', date: '$_id.date' },
+            total: { $sum: '$count' },
+            actions: { $push: { k: '$_id.action', v: '$count' } }
+          }
+        },
+        {
+          $lookup: {
+            from: User.collection.name,
+            localField: '_id.doctorId',
+            foreignField: '_id',
+            as: 'doctor'
+          }
+        },
+        { $sort: { '_id.date': -1, total: -1 } }
+      ]);
+
+      const rows = results.map(result => {
+        const actions = Object.fromEntries(result.actions.map(({ k, v }) => [k, v]));
+        return {
+          date: result._id.date,
+          doctorId: result._id.doctorId,
+          doctorName: result.doctor[0] ? result.doctor[0].name : null,
+          total: result.total,
+          viewRecords: actions.view_records || 0,
+          viewThumbnail: actions.view_thumbnail || 0,
+          viewFile: actions.view_file || 0,
+          download: actions.download || 0,
+          accessDenied: actions.access_denied || 0
+        };
+      });
+
+      sendExport(res, rows, [
+        { key: 'date', header: 'Date' },
+        { key: 'doctorId', header: 'Doctor ID' },
+        { key: 'doctorName', header: 'Doctor Name' },
+        { key: 'total', header: 'Total' },
+        { key: 'viewRecords', header: 'Viewed Record Lists' },
+        { key: 'viewThumbnail', header: 'Viewed Thumbnails' },
+        { key: 'viewFile', header: 'Viewed Files' },
+        { key: 'download', header: 'Downloads' },
+        { key: 'accessDenied', header: 'Denied Attempts' }
+      ], format, 'daily-access');
+    } catch (error) {
+      console.error('Daily access report error:', error);
+      res.status(500).json({ message: 'Server error while building report' });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/admin/audit/reports/outside-care-team
+ * @desc    Doctors who accessed (or tried to access) patients outside their care team
+ * @access  Private (Admin only)
+ */
+router.get('/admin/audit/reports/outside-care-team',
+  audit('view_audit_report'),
+  authenticateToken,
+  authorizeRole('admin'),
+  async (req, res) => {
+    try {
+      const format = parseFormat(req.query);
+      if (!format) {
+        return res.status(400).json({ message: 'Format must be json or csv' });
+      }
+
+      const { error, filters } = parseAuditFilters(req.query);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      req.audit.details = { query: req.query };
+
+      // Record reads and refused attempts, narrowed by the action filter.
+      // Other doctor actions involving a patient, such as asking for access
+      // or starting emergency access, are not accesses.
+      const reportActions = [...AccessLog.RECORD_READ_ACTIONS, 'access_denied']
+        .filter(action => !filters.action || [].concat(filters.action).includes(action));
+
+      const results = await AccessLog.aggregate([
+        {
+          $match: {
+            ...AccessLog.buildFilter(filters),
+            doctorId: filters.doctorId || { $ne: null },
+            patientId: filters.patientId || { $ne: null },
+            action: { $in: reportActions }
+          }
+        },
+        {
+          $lookup: {
+            from: User.collection.name,
+            localField: 'patientId',
+            foreignField: '_id',
+            as: 'patient'
+          }
+        },
+        { $unwind: '$patient' },
+        // The patient's record access consents are the history of their care
+        // team: each covers a doctor, or the whole team, from signing until it
+        // expired or the doctor's access was revoked
+        {
+          $addFields: {
+            inCareTeam: {
+              $anyElementTrue: [{
+                $map: {
+                  input: { $ifNull: ['$patient.consentForms', []] },
+                  as: 'form',
+                  in: {
+                    $and: [
+                      { $eq: ['$$form.formType', Patient.RECORD_ACCESS_CONSENT] },
+                      {
+                        $or: [
+                          { $eq: ['$$form.doctorId', '$doctorId'] },
+                          {
+                            $and: [
+                              { $eq: [{ $ifNull: ['$$form.doctorId', null] }, null] },
+                              { $in: ['$doctorId', { $ifNull: ['$patient.doctors', []] }] }
+                            ]
+                          }
+                        ]
+                      },
+                      { $ne: [{ $ifNull: ['$$form.signedDate', null] }, null] },
+                      { $lte: ['$$form.signedDate', '$timestamp'] },
+                      {
+                        $or: [
+                          { $eq: [{ $ifNull: ['$$form.expirationDate', null] }, null] },
+                          { $gt: ['$$form.expirationDate', '$timestamp'] }
+                        ]
+                      }
+                    ]
+                  }
+                }
+              }]
+            },
+            // Entries written before status codes were recorded count as served
+            served: {
+              $and: [
+                { $ne: ['$action', 'access_denied'] },
+                { $lt: [{ $ifNull: ['$statusCode', 0] }, 400] }
+              ]
+            }
+          }
+        },
+        { $match: { inCareTeam: false } },
+        {
+          $group: {
+            _id: { doctorId: '$doctorId', patientId: '$patientId' },
+            patientName: { $first: '$patient.name' },
+            accesses: { $sum: { $cond: ['$served', 1, 0] } },
+            deniedAttempts: { $sum: { $cond: [{ $eq: ['$action', 'access_denied'] }, 1, 0] } },
+            emergencyAccesses: {
+              $sum: { $cond: [{ $and: ['$served', { $ne: [{ $ifNull: ['$breakGlassSessionId', null] }, null] }] }, 1, 0] }
+            },
+            firstAccess: { $min: '$timestamp' },
+            lastAccess: { $max: '$timestamp' }
+          }
+        },
+        {
+          $lookup: {
+            from: User.collection.name,
+            localField: '_id.doctorId',
+            foreignField: '_id',
+            as: 'doctor'
+          }
+        },
+        { $sort: { accesses: -1, deniedAttempts: -1 } }
+      ]);
+
+      const rows = results.map(result => ({
+        doctorId: result._id.doctorId,
+        doctorName: result.doctor[0] ? result.doctor[0].name : null,
+        patientId: result._id.patientId,
+        patientName: result.patientName,
+        accesses: result.accesses,
+        deniedAttempts: result.deniedAttempts,
+        emergencyAccesses: result.emergencyAccesses,
+        firstAccess: result.firstAccess,
+        lastAccess: result.lastAccess
+      }));
+
+      sendExport(res, rows, [
+        { key: 'doctorId', header: 'Doctor ID' },
+        { key: 'doctorName', header: 'Doctor Name' },
+        { key: 'patientId', header: 'Patient ID' },
+        { key: 'patientName', header: 'Patient Name' },
+        { key: 'accesses', header: 'Accesses' },
+        { key: 'deniedAttempts', header: 'Denied Attempts' },
+        { key: 'emergencyAccesses', header: 'Emergency Accesses' },
+        { key: 'firstAccess', header: 'First Access' },
+        { key: 'lastAccess', header: 'Last Access' }
+      ], format, 'outside-care-team');
+    } catch (error) {
+      console.error('Outside care team report error:', error);
+      res.status(500).json({ message: 'Server error while building report' });
+    }
+  }
+);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,270 @@
+/**
+ * Annotation API Routes
+ *
+ * Lets doctors keep a thread of clinical comments on each medical record.
+ * Every doctor with access to the record reads the whole thread; only the
+ * author can edit or delete an annotation. Patients see the annotations
+ * their doctors made visible to them.
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { authorizePatient } = require('../middleware/patientContext');
+const { requireRecordAccess } = require('../middleware/doctorAccess');
+const { audit } = require('../middleware/audit');
+const Annotation = require('../models/Annotation');
+const MedicalRecord = require('../models/MedicalRecord');
+
+/**
+ * Validate the text and visibility of an annotation
+ * @param {Object} body - Request body
+ * @param {boolean} isNew - Whether the text is required
+ * @returns {Object} - { error } or { text, visibleToPatient }
+ */
+function parseAnnotation(body, isNew) {
+  const options = {};
+
+  if (body.text !== undefined || isNew) {
+    const text = typeof body.text === 'string' ? body.text.trim() : '';
+    if (!text) {
+      return { error: 'Annotation text is required' };
+    }
+    if (text.length > Annotation.MAX_LENGTH) {
+      return { error: `Annotations can be at most ${Annotation.MAX_LENGTH} characters` };
+    }
+    options.text = text;
+  }
+
+  if (body.visibleToPatient !== undefined) {
+    if (typeof body.visibleToPatient !== 'boolean') {
+      return { error: 'visibleToPatient must be true or false' };
+    }
+    options.visibleToPatient = body.visibleToPatient;
+  }
+
+  return options;
+}
+
+/**
+ * Format an annotation for API responses
+ * @param {Object} annotation - Annotation with its author populated
+ * @param {string} userId - Requesting user, to mark their own annotations
+ * @returns {Object} - Annotation fields with author details
+ */
+function formatAnnotation(annotation, userId) {
+  const author = annotation.authorId && annotation.authorId.name
+    ? { id: annotation.authorId._id, name: annotation.authorId.name }
+    : { id: annotation.authorId };
+
+  return {
+    id: annotation._id,
+    recordId: annotation.recordId,
+    author,
+    text: annotation.text,
+    visibleToPatient: annotation.visibleToPatient,
+    edited: Boolean(annotation.editedAt),
+    createdAt: annotation.createdAt,
+    updatedAt: annotation.updatedAt,
+    isOwn: String(author.id) === String(userId)
+  };
+}
+
+/**
+ * Load an annotation of the record in req.record written by the requesting doctor
+ * @returns {Object} - { annotation } or { status, message } if it can't be changed
+ */
+async function loadOwnAnnotation(req) {
+  const annotation = mongoose.Types.ObjectId.isValid(req.params.annotationId)
+    ? await Annotation.findOne({ _id: req.params.annotationId, recordId: req.record._id, deletedAt: null })
+    : null;
+
+  if (!annotation) {
+    return { status: 404, message: 'Annotation not found' };
+  }
+  if (String(annotation.authorId) !== req.user.id) {
+    return { status: 403, message: 'Only the author can change this annotation' };
+  }
+
+  return { annotation };
+}
+
+/**
+ * @route   GET /api/doctor/medical-records/:id/annotations
+ * @desc    List the annotations on a medical record, oldest first
+ * @access  Private (Doctor with patient consent)
+ */
+router.get('/doctor/medical-records/:id/annotations',
+  audit('view_annotations'),
+  authenticateToken,
+  authorizeRole('doctor'),
+  requireRecordAccess('id'),
+  async (req, res) => {
+    try {
+      const annotations = await Annotation.find({ recordId: req.record._id, deletedAt: null })
+        .sort({ createdAt: 1 })
+        .populate('authorId', 'name');
+
+      res.json(annotations.map(annotation => formatAnnotation(annotation, req.user.id)));
+    } catch (error) {
+      console.error('Fetch annotations error:', error);
+      res.status(500).json({ message: 'Server error while fetching annotations' });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/doctor/medical-records/:id/annotations
+ * @desc    Add an annotation to a medical record
+ * @access  Private (Doctor with patient consent)
+ */
+router.post('/doctor/medical-records/:id/annotations',
+  audit('add_annotation'),
+  authenticateToken,
+  authorizeRole('doctor'),
+  requireRecordAccess('id'),
+  async (req, res) => {
+    try {
+      const options = parseAnnotation(req.body, true);
+      if (options.error) {
+        return res.status(400).json({ message: options.error });
+      }
+
+      const annotation = await Annotation.create({
+        recordId: req.record._id,
+        patientId: req.record.patientId,
+        authorId: req.user.id,
+        ...options
+      });
+      await annotation.populate('authorId', 'name');
+
+      req.audit.details = { annotationId: annotation._id, visibleToPatient: annotation.visibleToPatient };
+
+      res.status(201).json({
+        message: 'Annotation added',
+        annotation: formatAnnotation(annotation, req.user.id)
+      });
+    } catch (error) {
+      console.error('Add annotation error:', error);
+      res.status(500).json({ message: 'Server error while adding annotation' });
+    }
+  }
+);
+
+/**
+ * @route   PATCH /api/doctor/medical-records/:id/annotations/:annotationId
+ * @desc    Change the text or patient visibility of your own annotation
+ * @access  Private (Doctor with patient consent)
+ */
+router.patch('/doctor/medical-records/:id/annotations/:annotationId',
+  audit('update_annotation'),
+  authenticateToken,
+  authorizeRole('doctor'),
+  requireRecordAccess('id'),
+  async (req, res) => {
+    try {
+      const options = parseAnnotation(req.body, false);
+      if (options.error) {
+        return res.status(400).json({ message: options.error });
+      }
+
+      const { annotation, status, message } = await loadOwnAnnotation(req);
+      if (!annotation) {
+        return res.status(status).json({ message });
+      }
+
+      if (options.text !== undefined && options.text !== annotation.text) {
+        annotation.text = options.text;
+        annotation.editedAt = new Date();
+      }
+      if (options.visibleToPatient !== undefined) {
+        annotation.visibleToPatient = options.visibleToPatient;
+      }
+      await annotation.save();
+      await annotation.populate('authorId', 'name');
+
+      req.audit.details = { annotationId: annotation._id, visibleToPatient: annotation.visibleToPatient };
+
+      res.json({
+        message: 'Annotation updated',
+        annotation: formatAnnotation(annotation, req.user.id)
+      });
+    } catch (error) {
+      console.error('Update annotation error:', error);
+      res.status(500).json({ message: 'Server error while updating annotation' });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/doctor/medical-records/:id/annotations/:annotationId
+ * @desc    Delete your own annotation
+ * @access  Private (Doctor with patient consent)
+ */
+router.delete('/doctor/medical-records/:id/annotations/:annotationId',
+  audit('delete_annotation'),
+  authenticateToken,
+  authorizeRole('doctor'),
+  requireRecordAccess('id'),
+  async (req, res) => {
+    try {
+      const { annotation, status, message } = await loadOwnAnnotation(req);
+      if (!annotation) {
+        return res.status(status).json({ message });
+      }
+
+      annotation.deletedAt = new Date();
+      await annotation.save();
+
+      req.audit.details = { annotationId: annotation._id };
+
+      res.json({ message: 'Annotation deleted' });
+    } catch (error) {
+      console.error('Delete annotation error:', error);
+      res.status(500).json({ message: 'Server error while deleting annotation' });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/patient/medical-records/:id/annotations
+ * @desc    List the annotations doctors made visible on one of the patient's records
+ * @access  Private (Patient, or caregiver with view permission)
+ */
+router.get('/patient/medical-records/:id/annotations',
+  audit('view_annotations'),
+  authenticateToken,
+  authorizePatient('view'),
+  async (req, res) => {
+    try {
+      const record = mongoose.Types.ObjectId.isValid(req.params.id)
+        ? await MedicalRecord.findOne({ _id: req.params.id, patientId: req.patientId, deletedAt: null })
+        : null;
+
+      if (!record) {
+        return res.status(404).json({ message: 'Record not found' });
+      }
+
+      req.audit.recordId = record._id;
+
+      const annotations = await Annotation.find({
+        recordId: record._id,
+        visibleToPatient: true,
+        deletedAt: null
+      })
+        .sort({ createdAt: 1 })
+        .populate('authorId', 'name');
+
+      res.json(annotations.map(annotation => {
+        const { id, author, text, edited, createdAt, updatedAt } = formatAnnotation(annotation, req.user.id);
+        return { id, author, text, edited, createdAt, updatedAt };
+      }));
+    } catch (error) {
+      console.error('Fetch annotations error:', error);
+      res.status(500).json({ message: 'Server error while fetching annotations' });
+    }
+  }
+);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,351 @@
+/**
+ * Authentication API Routes
+ *
+ * Handles registration, login, token verification and refresh,
+ * and the password reset flow.
+ */
+
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const { authenticateToken } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const User = require('../models/User');
+const Patient = require('../models/Patient');
+const Doctor = require('../models/Doctor');
+const RefreshToken = require('../models/RefreshToken');
+const { sendMail } = require('../utils/mailer');
+
+// Roles that can sign up on their own; admins are created by operators.
+// Caregivers can only act for patients once a patient or admin links them.
+const SELF_REGISTER_ROLES = ['patient', 'doctor', 'caregiver'];
+
+/**
+ * Build the public user object returned to clients
+ * @param {Object} user - User document
+ * @returns {Object} - Safe user fields
+ */
+function toPublicUser(user) {
+  return {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role
+  };
+}
+
+/**
+ * Attribute the request's audit event to a user.
+ * Needed on routes where req.user isn't set by authenticateToken.
+ * @param {Object} req - Express request
+ * @param {Object} user - User document
+ */
+function setAuditActor(req, user) {
+  req.audit.actorId = user._id;
+  req.audit.actorRole = user.role;
+}
+
+/**
+ * Issue an access token and a refresh token for a user
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (for IP and user agent)
+ * @returns {Object} - { token, refreshToken }
+ */
+async function issueTokens(user, req) {
+  const refreshToken = await RefreshToken.issue(user._id, {
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  return {
+    token: user.generateAuthToken(),
+    refreshToken
+  };
+}
+
+/**
+ * @route   POST /api/auth/register
+ * @desc    Register a new patient, doctor or caregiver account
+ * @access  Public
+ */
+router.post('/register', audit('register', { anonymous: true }), async (req, res) => {
+  try {
+    const { name, email, password, role, phone, dob, gender, specialty, licenseNumber, affiliation } = req.body;
+
+    if (!name || !email || !password || !role) {
+      return res.status(400).json({ message: 'Missing required fields' });
+    }
+
+    if (!SELF_REGISTER_ROLES.includes(role)) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+
+    if (role === 'patient' && (!dob || !gender)) {
+      return res.status(400).json({ message: 'Date of birth and gender are required for patients' });
+    }
+
+    const existingUser = await User.findOne({ email: email.toLowerCase().trim() });
+    if (existingUser) {
+      return res.status(409).json({ message: 'An account with this email already exists' });
+    }
+
+    let user;
+    if (role === 'patient') {
+      user = new Patient({ name, email, password, role, phone, dob, gender });
+    } else if (role === 'doctor') {
+      user = new Doctor({ name, email, password, role, phone, specialty, licenseNumber, affiliation });
+    } else {
+      user = new User({ name, email, password, role, phone });
+    }
+
+    user.lastLogin = new Date();
+    await user.save();
+    setAuditActor(req, user);
+
+    const tokens = await issueTokens(user, req);
+
+    res.status(201).json({
+      ...tokens,
+      user: toPublicUser(user)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'An account with this email already exists' });
+    }
+
+    console.error('Registration error:', error);
+    res.status(500).json({ message: 'Server error during registration' });
+  }
+});
+
+/**
+ * @route   POST /api/auth/login
+ * @desc    Log in with email and password
+ * @access  Public
+ */
+router.post('/login', audit('login', { anonymous: true }), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ message: 'Email and password are required' });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() }).select('+password');
+
+    // Failed logins for known accounts are attributed to that account
+    if (user) {
+      setAuditActor(req, user);
+    }
+
+    // Use the same message for unknown email and wrong password
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({ message: 'Invalid email or password' });
+    }
+
+    if (!user.isActive) {
+      return res.status(403).json({ message: 'Account is disabled' });
+    }
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    const tokens = await issueTokens(user, req);
+
+    res.json({
+      ...tokens,
+      user: toPublicUser(user)
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
+/**
+ * @route   GET /api/auth/verify
+ * @desc    Verify the access token and return the current user
+ * @access  Private
+ */
+router.get('/verify', authenticateToken, (req, res) => {
+  res.json(toPublicUser(req.user));
+});
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access token and refresh token
+ * @access  Public (requires a valid refresh token)
+ */
+router.post('/refresh', audit('refresh_token', { anonymous: true }), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const rotated = await RefreshToken.rotate(refreshToken, {
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    if (!rotated) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    const user = await User.findById(rotated.userId);
+    if (user) {
+      setAuditActor(req, user);
+    }
+
+    if (!user || !user.isActive) {
+      await RefreshToken.revokeAllForUser(rotated.userId);
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    res.json({
+      token: user.generateAuthToken(),
+      refreshToken: rotated.token,
+      user: toPublicUser(user)
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ message: 'Server error during token refresh' });
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Revoke a refresh token
+ * @access  Public (requires the refresh token being revoked)
+ */
+router.post('/logout', audit('logout', { anonymous: true }), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (refreshToken) {
+      await RefreshToken.revoke(refreshToken);
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link
+ * @access  Public
+ */
+router.post('/forgot-password', audit('request_password_reset', { anonymous: true }), async (req, res) => {
+  // Always return the same response so the endpoint can't be used
+  // to find out which emails have accounts
+  const genericResponse = {
+    message: 'If an account exists for this email, a password reset link has been sent'
+  };
+
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+    if (!user || !user.isActive) {
+      return res.json(genericResponse);
+    }
+
+    setAuditActor(req, user);
+
+    const resetToken = user.generatePasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    const appUrl = process.env.APP_URL || 'http://localhost:5000';
+    const resetUrl = `${appUrl}/reset-password?token=${resetToken}`;
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your ALZO password',
+        text: `Hello ${user.name},\n\n` +
+          `We received a request to reset your ALZO password. ` +
+          `Use the link below within the next hour to choose a new password:\n\n` +
+          `${resetUrl}\n\n` +
+          `If you didn't request this, you can ignore this email.`
+      });
+    } catch (mailError) {
+      // Don't leave a usable token around if the user never received it
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+      throw mailError;
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error while requesting password reset' });
+  }
+});
+
+/**
+ * @route   POST /api/auth/reset-password/:token
+ * @desc    Set a new password using a reset token
+ * @access  Public (requires a valid reset token)
+ */
+router.post('/reset-password/:token', audit('reset_password', { anonymous: true }), async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({ message: 'New password is required' });
+    }
+
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    const user = await User.findOne({
+      passwordResetToken: hashedToken,
+      passwordResetExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Password reset token is invalid or has expired' });
+    }
+
+    setAuditActor(req, user);
+
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    // Sign out every existing session
+    await RefreshToken.revokeAllForUser(user._id);
+
+    res.json({ message: 'Password has been reset successfully' });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error while resetting password' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
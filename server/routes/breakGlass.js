@@ -0,0 +1,315 @@
+/**
+ * Break-Glass API Routes
+ *
+ * Emergency access for doctors outside a patient's care team, e.g. during
+ * an ER visit. The doctor gives a reason and gets time-limited access to
+ * all of the patient's records through the regular doctor routes. Every
+ * request made with the session is flagged in the access log, the patient
+ * and admins are notified, and admins approve or flag each session in a
+ * review queue afterward.
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const BreakGlassSession = require('../models/BreakGlassSession');
+const Patient = require('../models/Patient');
+const AccessLog = require('../models/AccessLog');
+const { parsePagination } = require('../utils/queryParams');
+const { notifyBreakGlass } = require('../utils/notifications');
+
+// Review decisions an admin can make
+const REVIEW_DECISIONS = ['approved', 'flagged'];
+
+/**
+ * Load the break-glass session named in the route into req.breakGlassSession.
+ * Doctors can only load their own sessions.
+ */
+async function loadSession(req, res, next) {
+  try {
+    const filter = { _id: req.params.id };
+    if (req.user.role === 'doctor') {
+      filter.doctorId = req.user.id;
+    }
+
+    const session = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await BreakGlassSession.findOne(filter)
+        .populate('doctorId', 'name')
+        .populate('patientId', 'name')
+      : null;
+
+    if (!session) {
+      return res.status(404).json({ message: 'Break-glass session not found' });
+    }
+
+    req.breakGlassSession = session;
+    req.audit.patientId = session.patientId._id;
+    req.audit.details = { sessionId: session._id };
+    next();
+  } catch (error) {
+    console.error('Load break-glass session error:', error);
+    res.status(500).json({ message: 'Server error while loading break-glass session' });
+  }
+}
+
+/**
+ * @route   POST /api/doctor/patients/:patientId/break-glass
+ * @desc    Start emergency access to a patient outside the doctor's care
+ *          team. Requires a reason; access lasts four hours.
+ * @access  Private (Doctor only)
+ */
+router.post('/doctor/patients/:patientId/break-glass',
+  audit('break_glass'),
+  authenticateToken,
+  authorizeRole('doctor'),
+  async (req, res) => {
+    try {
+      const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+      if (reason.length < BreakGlassSession.MIN_REASON_LENGTH) {
+        return res.status(400).json({
+          message: `Give the reason for emergency access in at least ${BreakGlassSession.MIN_REASON_LENGTH} characters`
+        });
+      }
+
+      const patient = mongoose.Types.ObjectId.isValid(req.params.patientId)
+        ? await Patient.findById(req.params.patientId)
+        : null;
+
+      if (!patient) {
+        return res.status(404).json({ message: 'Patient not found' });
+      }
+
+      req.audit.patientId = patient._id;
+
+      if (patient.checkDoctorAccess(req.user.id).allowed) {
+        return res.status(409).json({ message: 'You already have access to this patient\'s records' });
+      }
+
+      let session;
+      try {
+        session = await BreakGlassSession.start({ doctorId: req.user._id, patientId: patient._id, reason });
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+
+        const active = await BreakGlassSession.findActive(req.user.id, patient._id);
+        return res.status(409).json({
+          message: 'You already have emergency access to this patient',
+          session: active ? active.toResponse() : undefined
+        });
+      }
+
+      req.breakGlass = session;
+      req.audit.details = { sessionId: session._id, expiresAt: session.expiresAt };
+
+      notifyBreakGlass(session, req.user, patient);
+
+      res.status(201).json({ message: 'Emergency access started', session: session.toResponse() });
+    } catch (error) {
+      console.error('Break-glass error:', error);
+      res.status(500).json({ message: 'Server error while starting emergency access' });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/doctor/break-glass
+ * @desc    List the doctor's active break-glass sessions
+ * @access  Private (Doctor only)
+ */
+router.get('/doctor/break-glass',
+  audit('view_break_glass'),
+  authenticateToken,
+  authorizeRole('doctor'),
+  async (req, res) => {
+    try {
+      const sessions = await BreakGlassSession.find({
+        doctorId: req.user.id,
+        endedAt: null,
+        expiresAt: { $gt: new Date() }
+      })
+        .populate('patientId', 'name')
+        .sort({ startedAt: -1 });
+
+      res.json(sessions.map(session => session.toResponse()));
+    } catch (error) {
+      console.error('Fetch break-glass sessions error:', error);
+      res.status(500).json({ message: 'Server error while fetching break-glass sessions' });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/doctor/break-glass/:id/end
+ * @desc    End emergency access before it expires
+ * @access  Private (Doctor only)
+ */
+router.post('/doctor/break-glass/:id/end',
+  audit('end_break_glass'),
+  authenticateToken,
+  authorizeRole('doctor'),
+  loadSession,
+  async (req, res) => {
+    try {
+      if (!req.breakGlassSession.isActive) {
+        return res.status(409).json({ message: 'Emergency access already ended' });
+      }
+
+      req.breakGlassSession.end();
+      await req.breakGlassSession.save();
+
+      res.json({ message: 'Emergency access ended', session: req.breakGlassSession.toResponse() });
+    } catch (error) {
+      console.error('End break-glass error:', error);
+      res.status(500).json({ message: 'Server error while ending emergency access' });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/admin/break-glass
+ * @desc    Review queue of break-glass sessions, oldest first, with the
+ *          number of requests made with each. Lists pending sessions
+ *          unless status=approved, flagged or all.
+ * @access  Private (Admin only)
+ */
+router.get('/admin/break-glass',
+  audit('view_break_glass'),
+  authenticateToken,
+  authorizeRole('admin'),
+  async (req, res) => {
+    try {
+      const status = req.query.status || 'pending';
+      if (![...BreakGlassSession.schema.path('review.status').enumValues, 'all'].includes(status)) {
+        return res.status(400).json({ message: 'status must be pending, approved, flagged or all' });
+      }
+
+      const { page, limit, skip } = parsePagination(req.query);
+      const filter = status === 'all' ? {} : { 'review.status': status };
+
+      const [sessions, total] = await Promise.all([
+        BreakGlassSession.find(filter)
+          .populate('doctorId', 'name')
+          .populate('patientId', 'name')
+          .sort({ startedAt: 1 })
+          .skip(skip)
+          .limit(limit),
+        BreakGlassSession.countDocuments(filter)
+      ]);
+
+      const counts = await AccessLog.aggregate([
+        { $match: { breakGlassSessionId: { $in: sessions.map(session => session._id) } } },
+        { $group: { _id: '$breakGlassSessionId', count: { $sum: 1 } } }
+      ]);
+      const countsById = new Map(counts.map(count => [String(count._id), count.count]));
+
+      req.audit.details = { status, results: sessions.length };
+
+      res.json({
+        sessions: sessions.map(session => ({
+          ...session.toResponse(),
+          requests: countsById.get(String(session._id)) || 0
+        })),
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      });
+    } catch (error) {
+      console.error('Break-glass queue error:', error);
+      res.status(500).json({ message: 'Server error while fetching break-glass sessions' });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/admin/break-glass/:id
+ * @desc    Get a break-glass session with every request made with it
+ * @access  Private (Admin only)
+ */
+router.get('/admin/break-glass/:id',
+  audit('view_break_glass'),
+  authenticateToken,
+  authorizeRole('admin'),
+  loadSession,
+  async (req, res) => {
+    try {
+      const logs = await AccessLog.find({ breakGlassSessionId: req.breakGlassSession._id })
+        .sort({ timestamp: 1 })
+        .populate('recordId', 'fileName documentType')
+        .lean();
+
+      res.json({
+        ...req.breakGlassSession.toResponse(),
+        requests: logs.map(log => ({
+          id: log._id,
+          action: log.action,
+          record: log.recordId
+            ? { id: log.recordId._id, fileName: log.recordId.fileName, documentType: log.recordId.documentType }
+            : null,
+          method: log.method,
+          endpoint: log.endpoint,
+          statusCode: log.statusCode,
+          ipAddress: log.ipAddress,
+          timestamp: log.timestamp
+        }))
+      });
+    } catch (error) {
+      console.error('Fetch break-glass session error:', error);
+      res.status(500).json({ message: 'Server error while fetching break-glass session' });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/admin/break-glass/:id/review
+ * @desc    Approve or flag a break-glass session, with optional notes.
+ *          Flagging a session that is still active ends it.
+ * @access  Private (Admin only)
+ */
+router.post('/admin/break-glass/:id/review',
+  audit('review_break_glass'),
+  authenticateToken,
+  authorizeRole('admin'),
+  loadSession,
+  async (req, res) => {
+    try {
+      const { status, notes } = req.body;
+
+      if (!REVIEW_DECISIONS.includes(status)) {
+        return res.status(400).json({ message: `status must be one of: ${REVIEW_DECISIONS.join(', ')}` });
+      }
+      if (notes !== undefined && typeof notes !== 'string') {
+        return res.status(400).json({ message: 'notes must be text' });
+      }
+
+      if (req.breakGlassSession.review.status !== 'pending') {
+        return res.status(409).json({ message: 'This session was already reviewed' });
+      }
+
+      if (status === 'flagged') {
+        req.breakGlassSession.end();
+      }
+
+      req.breakGlassSession.review = {
+        status,
+        reviewedBy: req.user._id,
+        reviewedAt: new Date(),
+        notes
+      };
+      await req.breakGlassSession.save();
+
+      req.audit.details = { sessionId: req.breakGlassSession._id, status };
+
+      res.json({ message: 'Review saved', session: req.breakGlassSession.toResponse() });
+    } catch (error) {
+      console.error('Review break-glass error:', error);
+      res.status(500).json({ message: 'Server error while reviewing break-glass session' });
+    }
+  }
+);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,471 @@
+/**
+ * Care Team API Routes
+ *
+ * Lets patients control which doctors can access their records:
+ * inviting doctors, answering doctors' access requests, limiting each
+ * grant in time and scope, and revoking grants.
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { authorizePatient } = require('../middleware/patientContext');
+const { audit } = require('../middleware/audit');
+const User = require('../models/User');
+const Patient = require('../models/Patient');
+const MedicalRecord = require('../models/MedicalRecord');
+const { notifyAccessChange } = require('../utils/notifications');
+
+const DOCUMENT_TYPES = MedicalRecord.schema.path('documentType').enumValues;
+
+/**
+ * Validate the scope and expiry options of a grant
+ * @param {Object} body - Request body
+ * @returns {Object} - { error } or { scope, documentTypes, expiresAt }
+ */
+function parseGrantOptions(body) {
+  const options = {};
+
+  if (body.scope !== undefined) {
+    if (!['all', 'document_types'].includes(body.scope)) {
+      return { error: 'Scope must be "all" or "document_types"' };
+    }
+
+    if (body.scope === 'document_types') {
+      const types = body.documentTypes;
+      if (!Array.isArray(types) || !types.length ||
+          !types.every(type => DOCUMENT_TYPES.includes(type))) {
+        return { error: `documentTypes must list one or more of: ${DOCUMENT_TYPES.join(', ')}` };
+      }
+      options.documentTypes = [...new Set(types)];
+    }
+
+    options.scope = body.scope;
+  }
+
+  if (body.expiresAt !== undefined) {
+    if (body.expiresAt === null) {
+      options.expiresAt = null;
+    } else {
+      const expiresAt = new Date(body.expiresAt);
+      if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+        return { error: 'expiresAt must be a date in the future' };
+      }
+      options.expiresAt = expiresAt;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Format a grant for API responses
+ * @param {Object} grant - Access grant subdocument
+ * @returns {Object} - Grant fields with doctor details
+ */
+function formatGrant(grant) {
+  const doctor = grant.doctorId && grant.doctorId.name
+    ? { id: grant.doctorId._id, name: grant.doctorId.name, email: grant.doctorId.email }
+    : { id: grant.doctorId };
+
+  return {
+    id: grant._id,
+    doctor,
+    status: grant.status,
+    initiatedBy: grant.initiatedBy,
+    scope: grant.scope,
+    documentTypes: grant.documentTypes,
+    expiresAt: grant.expiresAt,
+    message: grant.message,
+    requestedAt: grant.requestedAt,
+    respondedAt: grant.respondedAt,
+    revokedAt: grant.revokedAt
+  };
+}
+
+/**
+ * Attach a grant's state to the request's audit event
+ * @param {Object} req - Express request
+ * @param {Object} grant - Access grant subdocument
+ */
+function auditGrant(req, grant) {
+  req.audit.details = {
+    grantId: grant._id,
+    doctorId: grant.doctorId._id || grant.doctorId,
+    status: grant.status,
+    scope: grant.scope,
+    documentTypes: grant.documentTypes,
+    expiresAt: grant.expiresAt
+  };
+}
+
+/**
+ * Load a patient and one of their grants
+ * @returns {Object} - { patient, grant } (grant is undefined if not found)
+ */
+async function loadPatientGrant(patientId, grantId) {
+  const patient = await Patient.findById(patientId);
+  const grant = patient && mongoose.Types.ObjectId.isValid(grantId)
+    ? patient.accessGrants.id(grantId)
+    : undefined;
+
+  return { patient, grant };
+}
+
+/**
+ * @route   GET /api/patient/care-team
+ * @desc    List the patient's access grants and pending requests
+ * @access  Private (Patient, or caregiver with manage_care_team permission)
+ */
+router.get('/patient/care-team',
+  audit('view_care_team'),
+  authenticateToken,
+  authorizePatient('manage_care_team'),
+  async (req, res) => {
+    try {
+      const patient = await Patient.findById(req.patientId)
+        .populate('accessGrants.doctorId', 'name email');
+
+      if (!patient) {
+        return res.status(404).json({ message: 'Patient not found' });
+      }
+
+      const grants = patient.accessGrants
+        .map(formatGrant)
+        .sort((a, b) => b.requestedAt - a.requestedAt);
+
+      res.json(grants);
+    } catch (error) {
+      console.error('Fetch care team error:', error);
+      res.status(500).json({ message: 'Server error while fetching care team' });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/patient/care-team
+ * @desc    Invite a doctor (by ID or email) and grant them access
+ * @access  Private (Patient, or caregiver with manage_care_team permission)
+ */
+router.post('/patient/care-team',
+  audit('invite_doctor'),
+  authenticateToken,
+  authorizePatient('manage_care_team'),
+  async (req, res) => {
+    try {
+      const { doctorId, email } = req.body;
+
+      if (!doctorId && !email) {
+        return res.status(400).json({ message: 'Doctor ID or email is required' });
+      }
+
+      const options = parseGrantOptions(req.body);
+      if (options.error) {
+        return res.status(400).json({ message: options.error });
+      }
+
+      let doctor = null;
+      if (doctorId) {
+        if (mongoose.Types.ObjectId.isValid(doctorId)) {
+          doctor = await User.findOne({ _id: doctorId, role: 'doctor', isActive: true });
+        }
+      } else {
+        doctor = await User.findOne({ email: email.toLowerCase().trim(), role: 'doctor', isActive: true });
+      }
+
+      if (!doctor) {
+        return res.status(404).json({ message: 'Doctor not found' });
+      }
+
+      const patient = await Patient.findById(req.patientId);
+
+      if (patient.getActiveGrant(doctor._id)) {
+        return res.status(409).json({ message: 'This doctor already has access' });
+      }
+
+      // Inviting a doctor who already asked for access approves their request
+      let grant = patient.accessGrants.find(g =>
+        g.doctorId.equals(doctor._id) && g.status === 'pending'
+      );
+
+      if (!grant) {
+        patient.accessGrants.push({
+          doctorId: doctor._id,
+          initiatedBy: 'patient',
+          requestedAt: new Date()
+        });
+        grant = patient.accessGrants[patient.accessGrants.length - 1];
+      }
+
+      await patient.activateGrant(grant, options);
+      auditGrant(req, grant);
+      notifyAccessChange('access_granted', patient, grant);
+
+      res.status(201).json({
+        message: 'Doctor added to care team',
+        grant: formatGrant({ ...grant.toObject(), doctorId: doctor })
+      });
+    } catch (error) {
+      console.error('Invite doctor error:', error);
+      res.status(500).json({ message: 'Server error while inviting doctor' });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/patient/care-team/:grantId/approve
+ * @desc    Approve a doctor's access request, optionally limiting scope and expiry
+ * @access  Private (Patient, or caregiver with manage_care_team permission)
+ */
+router.post('/patient/care-team/:grantId/approve',
+  audit('approve_access'),
+  authenticateToken,
+  authorizePatient('manage_care_team'),
+  async (req, res) => {
+    try {
+      const options = parseGrantOptions(req.body);
+      if (options.error) {
+        return res.status(400).json({ message: options.error });
+      }
+
+      const { patient, grant } = await loadPatientGrant(req.patientId, req.params.grantId);
+
+      if (!grant) {
+        return res.status(404).json({ message: 'Access request not found' });
+      }
+
+      if (grant.status !== 'pending') {
+        return res.status(409).json({ message: `Access request is already ${grant.status}` });
+      }
+
+      await patient.activateGrant(grant, options);
+      auditGrant(req, grant);
+      notifyAccessChange('access_granted', patient, grant);
+
+      res.json({ message: 'Access request approved', grant: formatGrant(grant) });
+    } catch (error) {
+      console.error('Approve access error:', error);
+      res.status(500).json({ message: 'Server error while approving access request' });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/patient/care-team/:grantId/reject
+ * @desc    Reject a doctor's access request
+ * @access  Private (Patient, or caregiver with manage_care_team permission)
+ */
+router.post('/patient/care-team/:grantId/reject',
+  audit('reject_access'),
+  authenticateToken,
+  authorizePatient('manage_care_team'),
+  async (req, res) => {
+    try {
+      const { patient, grant } = await loadPatientGrant(req.patientId, req.params.grantId);
+
+      if (!grant) {
+        return res.status(404).json({ message: 'Access request not found' });
+      }
+
+      if (grant.status !== 'pending') {
+        return res.status(409).json({ message: `Access request is already ${grant.status}` });
+      }
+
+      grant.status = 'rejected';
+      grant.respondedAt = new Date();
+      await patient.save();
+      auditGrant(req, grant);
+
+      res.json({ message: 'Access request rejected', grant: formatGrant(grant) });
+    } catch (error) {
+      console.error('Reject access error:', error);
+      res.status(500).json({ message: 'Server error while rejecting access request' });
+    }
+  }
+);
+
+/**
+ * @route   PATCH /api/patient/care-team/:grantId
+ * @desc    Change the expiry date or scope of an active grant
+ * @access  Private (Patient, or caregiver with manage_care_team permission)
+ */
+router.patch('/patient/care-team/:grantId',
+  audit('update_access'),
+  authenticateToken,
+  authorizePatient('manage_care_team'),
+  async (req, res) => {
+    try {
+      const options = parseGrantOptions(req.body);
+      if (options.error) {
+        return res.status(400).json({ message: options.error });
+      }
+
+      const { patient, grant } = await loadPatientGrant(req.patientId, req.params.grantId);
+
+      if (!grant) {
+        return res.status(404).json({ message: 'Access grant not found' });
+      }
+
+      if (grant.status !== 'active') {
+        return res.status(409).json({ message: 'Only active grants can be changed' });
+      }
+
+      await patient.updateGrant(grant, options);
+      auditGrant(req, grant);
+
+      res.json({ message: 'Access grant updated', grant: formatGrant(grant) });
+    } catch (error) {
+      console.error('Update access error:', error);
+      res.status(500).json({ message: 'Server error while updating access grant' });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/patient/care-team/:grantId
+ * @desc    Revoke a doctor's access
+ * @access  Private (Patient, or caregiver with manage_care_team permission)
+ */
+router.delete('/patient/care-team/:grantId',
+  audit('revoke_access'),
+  authenticateToken,
+  authorizePatient('manage_care_team'),
+  async (req, res) => {
+    try {
+      const { patient, grant } = await loadPatientGrant(req.patientId, req.params.grantId);
+
+      if (!grant) {
+        return res.status(404).json({ message: 'Access grant not found' });
+      }
+
+      if (grant.status !== 'active') {
+        return res.status(409).json({ message: 'Only active grants can be revoked' });
+      }
+
+      await patient.revokeGrant(grant);
+      auditGrant(req, grant);
+      notifyAccessChange('access_revoked', patient, grant);
+
+      res.json({ message: 'Access revoked', grant: formatGrant(grant) });
+    } catch (error) {
+      console.error('Revoke access error:', error);
+      res.status(500).json({ message: 'Server error while revoking access' });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/doctor/patients/:patientId/access-requests
+ * @desc    Ask a patient for access to their records
+ * @access  Private (Doctor only)
+ */
+router.post('/doctor/patients/:patientId/access-requests',
+  audit('request_access'),
+  authenticateToken,
+  authorizeRole('doctor'),
+  async (req, res) => {
+    try {
+      const { message } = req.body;
+
+      const options = parseGrantOptions({ scope: req.body.scope, documentTypes: req.body.documentTypes });
+      if (options.error) {
+        return res.status(400).json({ message: options.error });
+      }
+
+      const patient = mongoose.Types.ObjectId.isValid(req.params.patientId)
+        ? await Patient.findById(req.params.patientId)
+        : null;
+
+      if (!patient) {
+        return res.status(404).json({ message: 'Patient not found' });
+      }
+
+      if (patient.getActiveGrant(req.user.id)) {
+        return res.status(409).json({ message: 'You already have access to this patient' });
+      }
+
+      const pending = patient.accessGrants.find(g =>
+        g.doctorId.toString() === req.user.id && g.status === 'pending'
+      );
+      if (pending) {
+        return res.status(409).json({ message: 'An access request is already pending' });
+      }
+
+      patient.accessGrants.push({
+        doctorId: req.user.id,
+        initiatedBy: 'doctor',
+        scope: options.scope || 'all',
+        documentTypes: options.documentTypes || [],
+        message,
+        requestedAt: new Date()
+      });
+      await patient.save();
+
+      const grant = patient.accessGrants[patient.accessGrants.length - 1];
+      req.audit.patientId = patient._id;
+      auditGrant(req, grant);
+      notifyAccessChange('access_requested', patient, grant);
+
+      res.status(201).json({
+        message: 'Access request sent',
+        request: {
+          id: grant._id,
+          patientId: patient._id,
+          status: grant.status,
+          scope: grant.scope,
+          documentTypes: grant.documentTypes,
+          requestedAt: grant.requestedAt
+        }
+      });
+    } catch (error) {
+      console.error('Access request error:', error);
+      res.status(500).json({ message: 'Server error while requesting access' });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/doctor/access-requests
+ * @desc    List the doctor's access requests and grants across patients
+ * @access  Private (Doctor only)
+ */
+router.get('/doctor/access-requests',
+  audit('view_access_requests'),
+  authenticateToken,
+  authorizeRole('doctor'),
+  async (req, res) => {
+    try {
+      const patients = await Patient.find({ 'accessGrants.doctorId': req.user.id })
+        .select('name accessGrants');
+
+      const requests = [];
+      patients.forEach(patient => {
+        patient.accessGrants
+          .filter(grant => grant.doctorId.toString() === req.user.id)
+          .forEach(grant => {
+            requests.push({
+              id: grant._id,
+              patient: { id: patient._id, name: patient.name },
+              status: grant.status,
+              initiatedBy: grant.initiatedBy,
+              scope: grant.scope,
+              documentTypes: grant.documentTypes,
+              expiresAt: grant.expiresAt,
+              requestedAt: grant.requestedAt,
+              respondedAt: grant.respondedAt
+            });
+          });
+      });
+
+      requests.sort((a, b) => b.requestedAt - a.requestedAt);
+
+      res.json(requests);
+    } catch (error) {
+      console.error('Fetch access requests error:', error);
+      res.status(500).json({ message: 'Server error while fetching access requests' });
+    }
+  }
+);
+
+module.exports = router;
\ No newline at end of file
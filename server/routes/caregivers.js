@@ -0,0 +1,408 @@
+/**
+ * Caregiver API Routes
+ *
+ * Links caregivers, such as family members, to the patients they look
+ * after. A link grants some of these permissions on the patient's behalf:
+ *   - view: see the patient's records, profile, medical history and access history
+ *   - upload: upload and edit records, profile and medical history
+ *   - delete: delete and restore records, and remove pages
+ *   - manage_care_team: invite doctors and answer, change or revoke their access
+ *
+ * Patients link their own caregivers. Admins can link caregivers for
+ * patients who can't, and must record the legal authority they relied on.
+ * Caregivers then call the patient routes with the X-On-Behalf-Of header.
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { loadOwnPatient } = require('../middleware/patientContext');
+const { audit } = require('../middleware/audit');
+const User = require('../models/User');
+const Patient = require('../models/Patient');
+
+/**
+ * Validate the permissions of a link
+ * @param {*} permissions - Requested permissions
+ * @returns {Object} - { error } or { value }
+ */
+function parsePermissions(permissions) {
+  if (!Array.isArray(permissions) || !permissions.length ||
+      !permissions.every(permission => Patient.CAREGIVER_PERMISSIONS.includes(permission))) {
+    return { error: `permissions must list one or more of: ${Patient.CAREGIVER_PERMISSIONS.join(', ')}` };
+  }
+
+  return { value: [...new Set(permissions)] };
+}
+
+/**
+ * Validate the legal authority an admin relied on to link a caregiver
+ * @param {*} authority - { type, reference, notes }
+ * @returns {Object} - { error } or { value }
+ */
+function parseAuthority(authority) {
+  if (!authority || typeof authority !== 'object') {
+    return { error: 'authority is required when an admin links a caregiver' };
+  }
+
+  if (!Patient.CAREGIVER_AUTHORITY_TYPES.includes(authority.type)) {
+    return { error: `authority.type must be one of: ${Patient.CAREGIVER_AUTHORITY_TYPES.join(', ')}` };
+  }
+
+  if (typeof authority.reference !== 'string' || !authority.reference.trim()) {
+    return { error: 'authority.reference must name the document the authority is based on' };
+  }
+
+  if (authority.notes !== undefined && typeof authority.notes !== 'string') {
+    return { error: 'authority.notes must be text' };
+  }
+
+  return {
+    value: {
+      type: authority.type,
+      reference: authority.reference.trim(),
+      notes: authority.notes ? authority.notes.trim() : undefined
+    }
+  };
+}
+
+/**
+ * Format a caregiver link for API responses
+ * @param {Object} link - Caregiver link subdocument
+ * @param {Object} caregiver - Caregiver account, if loaded
+ * @returns {Object} - Link fields with caregiver details
+ */
+function formatLink(link, caregiver) {
+  return {
+    id: link._id,
+    caregiver: caregiver
+      ? { id: caregiver._id, name: caregiver.name, email: caregiver.email }
+      : { id: link.caregiverId },
+    permissions: link.permissions,
+    relationship: link.relationship || null,
+    status: link.status,
+    linkedBy: link.linkedBy,
+    authority: link.authority && link.authority.type
+      ? { type: link.authority.type, reference: link.authority.reference, notes: link.authority.notes || null }
+      : null,
+    linkedAt: link.linkedAt,
+    revokedAt: link.revokedAt || null
+  };
+}
+
+/**
+ * Attach a link's state to the request's audit event
+ * @param {Object} req - Express request
+ * @param {Object} link - Caregiver link subdocument
+ */
+function auditLink(req, link) {
+  req.audit.details = {
+    linkId: link._id,
+    caregiverId: link.caregiverId,
+    status: link.status,
+    permissions: link.permissions,
+    linkedBy: link.linkedBy,
+    authority: link.authority && link.authority.type
+      ? { type: link.authority.type, reference: link.authority.reference }
+      : undefined
+  };
+}
+
+/**
+ * Load the patient named in the route into req.patient, for admins
+ */
+async function loadPatientParam(req, res, next) {
+  try {
+    const patient = mongoose.Types.ObjectId.isValid(req.params.patientId)
+      ? await Patient.findById(req.params.patientId)
+      : null;
+
+    if (!patient) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+
+    req.patient = patient;
+    next();
+  } catch (error) {
+    console.error('Load patient error:', error);
+    res.status(500).json({ message: 'Server error while loading patient' });
+  }
+}
+
+// Handlers shared by the patient and admin routes; they act on req.patient
+
+async function listCaregivers(req, res) {
+  try {
+    const caregivers = await User.find({ _id: { $in: req.patient.caregivers.map(link => link.caregiverId) } })
+      .select('name email');
+    const caregiversById = new Map(caregivers.map(caregiver => [String(caregiver._id), caregiver]));
+
+    const links = req.patient.caregivers
+      .map(link => formatLink(link, caregiversById.get(String(link.caregiverId))))
+      .sort((a, b) => b.linkedAt - a.linkedAt);
+
+    res.json(links);
+  } catch (error) {
+    console.error('Fetch caregivers error:', error);
+    res.status(500).json({ message: 'Server error while fetching caregivers' });
+  }
+}
+
+async function linkCaregiver(req, res) {
+  try {
+    const { caregiverId, email, relationship } = req.body;
+    const byAdmin = req.user.role === 'admin';
+
+    if (!caregiverId && !email) {
+      return res.status(400).json({ message: 'Caregiver ID or email is required' });
+    }
+
+    const permissions = parsePermissions(req.body.permissions);
+    if (permissions.error) {
+      return res.status(400).json({ message: permissions.error });
+    }
+
+    const authority = byAdmin ? parseAuthority(req.body.authority) : {};
+    if (authority.error) {
+      return res.status(400).json({ message: authority.error });
+    }
+
+    if (relationship !== undefined && typeof relationship !== 'string') {
+      return res.status(400).json({ message: 'relationship must be text' });
+    }
+
+    let caregiver = null;
+    if (caregiverId) {
+      if (mongoose.Types.ObjectId.isValid(caregiverId)) {
+        caregiver = await User.findOne({ _id: caregiverId, role: 'caregiver', isActive: true });
+      }
+    } else {
+      caregiver = await User.findOne({ email: email.toLowerCase().trim(), role: 'caregiver', isActive: true });
+    }
+
+    if (!caregiver) {
+      return res.status(404).json({ message: 'Caregiver not found' });
+    }
+
+    if (req.patient.getCaregiverLink(caregiver._id)) {
+      return res.status(409).json({ message: 'This caregiver is already linked' });
+    }
+
+    req.patient.caregivers.push({
+      caregiverId: caregiver._id,
+      permissions: permissions.value,
+      relationship,
+      linkedBy: byAdmin ? 'admin' : 'patient',
+      linkedByAdmin: byAdmin ? req.user._id : undefined,
+      authority: authority.value,
+      linkedAt: new Date()
+    });
+    await req.patient.save();
+
+    const link = req.patient.caregivers[req.patient.caregivers.length - 1];
+    auditLink(req, link);
+
+    res.status(201).json({ message: 'Caregiver linked', caregiver: formatLink(link, caregiver) });
+  } catch (error) {
+    console.error('Link caregiver error:', error);
+    res.status(500).json({ message: 'Server error while linking caregiver' });
+  }
+}
+
+async function revokeCaregiver(req, res) {
+  try {
+    const link = mongoose.Types.ObjectId.isValid(req.params.linkId)
+      ? req.patient.caregivers.id(req.params.linkId)
+      : null;
+
+    if (!link) {
+      return res.status(404).json({ message: 'Caregiver link not found' });
+    }
+
+    if (link.status !== 'active') {
+      return res.status(409).json({ message: 'Only active links can be revoked' });
+    }
+
+    link.status = 'revoked';
+    link.revokedAt = new Date();
+    await req.patient.save();
+    auditLink(req, link);
+
+    res.json({ message: 'Caregiver access revoked', caregiver: formatLink(link) });
+  } catch (error) {
+    console.error('Revoke caregiver error:', error);
+    res.status(500).json({ message: 'Server error while revoking caregiver' });
+  }
+}
+
+/**
+ * @route   GET /api/patient/caregivers
+ * @desc    List the patient's caregivers, including revoked links
+ * @access  Private (Patient only)
+ */
+router.get('/patient/caregivers',
+  audit('view_caregivers'),
+  authenticateToken,
+  authorizeRole('patient'),
+  loadOwnPatient,
+  listCaregivers
+);
+
+/**
+ * @route   POST /api/patient/caregivers
+ * @desc    Link a caregiver (by ID or email) with the given permissions
+ * @access  Private (Patient only)
+ */
+router.post('/patient/caregivers',
+  audit('link_caregiver'),
+  authenticateToken,
+  authorizeRole('patient'),
+  loadOwnPatient,
+  linkCaregiver
+);
+
+/**
+ * @route   PATCH /api/patient/caregivers/:linkId
+ * @desc    Change the permissions or relationship of a caregiver
+ * @access  Private (Patient only)
+ */
+router.patch('/patient/caregivers/:linkId',
+  audit('update_caregiver'),
+  authenticateToken,
+  authorizeRole('patient'),
+  loadOwnPatient,
+  async (req, res) => {
+    try {
+      const { relationship } = req.body;
+
+      const permissions = req.body.permissions !== undefined
+        ? parsePermissions(req.body.permissions)
+        : {};
+      if (permissions.error) {
+        return res.status(400).json({ message: permissions.error });
+      }
+      if (relationship !== undefined && typeof relationship !== 'string') {
+        return res.status(400).json({ message: 'relationship must be text' });
+      }
+      if (!permissions.value && relationship === undefined) {
+        return res.status(400).json({ message: 'No caregiver changes given' });
+      }
+
+      const link = mongoose.Types.ObjectId.isValid(req.params.linkId)
+        ? req.patient.caregivers.id(req.params.linkId)
+        : null;
+
+      if (!link) {
+        return res.status(404).json({ message: 'Caregiver link not found' });
+      }
+
+      if (link.status !== 'active') {
+        return res.status(409).json({ message: 'Only active links can be changed' });
+      }
+
+      if (permissions.value) {
+        link.permissions = permissions.value;
+      }
+      if (relationship !== undefined) {
+        link.relationship = relationship;
+      }
+      await req.patient.save();
+      auditLink(req, link);
+
+      res.json({ message: 'Caregiver updated', caregiver: formatLink(link) });
+    } catch (error) {
+      console.error('Update caregiver error:', error);
+      res.status(500).json({ message: 'Server error while updating caregiver' });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/patient/caregivers/:linkId
+ * @desc    Revoke a caregiver's access
+ * @access  Private (Patient only)
+ */
+router.delete('/patient/caregivers/:linkId',
+  audit('revoke_caregiver'),
+  authenticateToken,
+  authorizeRole('patient'),
+  loadOwnPatient,
+  revokeCaregiver
+);
+
+/**
+ * @route   GET /api/admin/patients/:patientId/caregivers
+ * @desc    List a patient's caregivers
+ * @access  Private (Admin only)
+ */
+router.get('/admin/patients/:patientId/caregivers',
+  audit('view_caregivers'),
+  authenticateToken,
+  authorizeRole('admin'),
+  loadPatientParam,
+  listCaregivers
+);
+
+/**
+ * @route   POST /api/admin/patients/:patientId/caregivers
+ * @desc    Link a caregiver for a patient who can't do it themselves.
+ *          Requires the legal authority relied on, e.g. a power of attorney.
+ * @access  Private (Admin only)
+ */
+router.post('/admin/patients/:patientId/caregivers',
+  audit('link_caregiver'),
+  authenticateToken,
+  authorizeRole('admin'),
+  loadPatientParam,
+  linkCaregiver
+);
+
+/**
+ * @route   DELETE /api/admin/patients/:patientId/caregivers/:linkId
+ * @desc    Revoke a caregiver's access to a patient
+ * @access  Private (Admin only)
+ */
+router.delete('/admin/patients/:patientId/caregivers/:linkId',
+  audit('revoke_caregiver'),
+  authenticateToken,
+  authorizeRole('admin'),
+  loadPatientParam,
+  revokeCaregiver
+);
+
+/**
+ * @route   GET /api/caregiver/patients
+ * @desc    List the patients the caregiver acts for, with their permissions
+ * @access  Private (Caregiver only)
+ */
+router.get('/caregiver/patients',
+  audit('view_linked_patients'),
+  authenticateToken,
+  authorizeRole('caregiver'),
+  async (req, res) => {
+    try {
+      const patients = await Patient.find({
+        caregivers: { $elemMatch: { caregiverId: req.user.id, status: 'active' } },
+        isActive: { $ne: false }
+      })
+        .select('name dob caregivers')
+        .sort({ name: 1 });
+
+      res.json(patients.map(patient => {
+        const link = patient.getCaregiverLink(req.user.id);
+        return {
+          patient: { id: patient._id, name: patient.name, dob: patient.dob },
+          permissions: link.permissions,
+          relationship: link.relationship || null,
+          linkedAt: link.linkedAt
+        };
+      }));
+    } catch (error) {
+      console.error('Fetch linked patients error:', error);
+      res.status(500).json({ message: 'Server error while fetching patients' });
+    }
+  }
+);
+
+module.exports = router;
\ No newline at end of file
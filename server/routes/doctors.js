@@ -0,0 +1,347 @@
+/**
+ * Doctor API Routes
+ *
+ * The doctor's own profile, and a dashboard of their caseload: the
+ * patients in their care team with what is new in each patient's records,
+ * and the patients and records they viewed most recently.
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const User = require('../models/User');
+const Doctor = require('../models/Doctor');
+const Patient = require('../models/Patient');
+const MedicalRecord = require('../models/MedicalRecord');
+const AccessLog = require('../models/AccessLog');
+const { parsePagination } = require('../utils/queryParams');
+
+// Actions that count as the doctor looking at a patient or record
+const VIEW_ACTIONS = ['view_records', 'view_file', 'download', 'view_profile', 'view_medical_history'];
+
+// Longest recently viewed feed
+const MAX_RECENT = 50;
+
+/**
+ * Validate a profile update
+ * @param {Object} body - Request body
+ * @returns {Object} - { error } or the fields to update
+ */
+function parseDoctorProfile(body) {
+  const updates = {};
+
+  for (const field of ['name', 'phone', ...Doctor.PROFILE_FIELDS]) {
+    if (body[field] === undefined) continue;
+
+    if (body[field] !== null && typeof body[field] !== 'string') {
+      return { error: `${field} must be text` };
+    }
+
+    const value = (body[field] || '').trim();
+    if (!value && field === 'name') {
+      return { error: 'Name is required' };
+    }
+    if (value.length > Doctor.MAX_PROFILE_FIELD_LENGTH) {
+      return { error: `${field} can be at most ${Doctor.MAX_PROFILE_FIELD_LENGTH} characters` };
+    }
+    updates[field] = value || undefined;
+  }
+
+  return updates;
+}
+
+/**
+ * Format a doctor's profile for API responses
+ * @param {Object} doctor - Doctor, or a doctor account from before the Doctor model
+ * @returns {Object} - Profile fields
+ */
+function formatDoctorProfile(doctor) {
+  return {
+    id: doctor._id,
+    name: doctor.name,
+    email: doctor.email,
+    phone: doctor.phone || null,
+    specialty: doctor.specialty || null,
+    licenseNumber: doctor.licenseNumber || null,
+    affiliation: doctor.affiliation || null
+  };
+}
+
+/**
+ * When the doctor last listed the records of each patient
+ * @param {string} doctorId - Doctor ID
+ * @param {ObjectId[]} patientIds - Patients
+ * @returns {Map} - Patient ID to date
+ */
+async function lastViews(doctorId, patientIds) {
+  const views = await AccessLog.aggregate([
+    {
+      $match: {
+        doctorId: new mongoose.Types.ObjectId(doctorId),
+        patientId: { $in: patientIds },
+        action: 'view_records',
+        statusCode: { $lt: 400 }
+      }
+    },
+    { $group: { _id: '$patientId', lastViewedAt: { $max: '$timestamp' } } }
+  ]);
+
+  return new Map(views.map(view => [String(view._id), view.lastViewedAt]));
+}
+
+/**
+ * Record counts and dates of patients, for the records the doctor may see
+ * @param {Object[]} patients - [{ patient, scope }] scope as from getDoctorRecordScope()
+ * @param {Map} viewed - Patient ID to the date the doctor last listed their records
+ * @returns {Map} - Patient ID to { recordCount, newestRecordDate, newRecords }
+ */
+async function recordStats(patients, viewed) {
+  if (!patients.length) {
+    return new Map();
+  }
+
+  const visible = ({ patient, scope }) => ({
+    patientId: patient._id,
+    ...(scope ? { documentType: { $in: scope } } : {})
+  });
+
+  const [totals, added] = await Promise.all([
+    MedicalRecord.aggregate([
+      { $match: { deletedAt: null, $or: patients.map(visible) } },
+      {
+        $group: {
+          _id: '$patientId',
+          recordCount: { $sum: 1 },
+          newestRecordDate: { $max: '$documentDate' }
+        }
+      }
+    ]),
+    MedicalRecord.aggregate([
+      {
+        $match: {
+          deletedAt: null,
+          $or: patients.map(entry => ({
+            ...visible(entry),
+            uploadDate: { $gt: viewed.get(String(entry.patient._id)) || new Date(0) }
+          }))
+        }
+      },
+      { $group: { _id: '$patientId', newRecords: { $sum: 1 } } }
+    ])
+  ]);
+
+  const stats = new Map(totals.map(total => [String(total._id), {
+    recordCount: total.recordCount,
+    newestRecordDate: total.newestRecordDate,
+    newRecords: 0
+  }]));
+  added.forEach(entry => {
+    stats.get(String(entry._id)).newRecords = entry.newRecords;
+  });
+
+  return stats;
+}
+
+/**
+ * @route   GET /api/doctor/profile
+ * @desc    Get the doctor's own profile
+ * @access  Private (Doctor only)
+ */
+router.get('/doctor/profile',
+  audit('view_profile'),
+  authenticateToken,
+  authorizeRole('doctor'),
+  async (req, res) => {
+    try {
+      // Doctors registered before the Doctor model existed are plain users
+      const doctor = await User.findById(req.user.id);
+
+      if (!doctor) {
+        return res.status(404).json({ message: 'Doctor not found' });
+      }
+
+      res.json(formatDoctorProfile(doctor));
+    } catch (error) {
+      console.error('Fetch doctor profile error:', error);
+      res.status(500).json({ message: 'Server error while fetching profile' });
+    }
+  }
+);
+
+/**
+ * @route   PATCH /api/doctor/profile
+ * @desc    Update the doctor's name, phone, specialty, license number or affiliation
+ * @access  Private (Doctor only)
+ */
+router.patch('/doctor/profile',
+  audit('update_profile'),
+  authenticateToken,
+  authorizeRole('doctor'),
+  async (req, res) => {
+    try {
+      const updates = parseDoctorProfile(req.body);
+      if (updates.error) {
+        return res.status(400).json({ message: updates.error });
+      }
+      if (!Object.keys(updates).length) {
+        return res.status(400).json({ message: 'No profile changes given' });
+      }
+
+      const doctor = await Doctor.findById(req.user.id);
+      if (!doctor) {
+        // Accounts from before the Doctor model need scripts/migrateDoctors.js
+        return (await User.exists({ _id: req.user.id }))
+          ? res.status(409).json({ message: 'This profile can\'t be changed until the account has been migrated' })
+          : res.status(404).json({ message: 'Doctor not found' });
+      }
+
+      doctor.set(updates);
+      await doctor.save();
+
+      req.audit.details = { section: 'profile', change: 'update', fields: Object.keys(updates) };
+
+      res.json({ message: 'Profile updated', profile: formatDoctorProfile(doctor) });
+    } catch (error) {
+      console.error('Update doctor profile error:', error);
+      res.status(500).json({ message: 'Server error while updating profile' });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/doctor/caseload
+ * @desc    List the patients in the doctor's care team, with their newest
+ *          record date and the records added since the doctor last listed
+ *          their records. Order with sort: 'name' (default) or 'new'.
+ * @access  Private (Doctor only)
+ */
+router.get('/doctor/caseload',
+  audit('view_caseload'),
+  authenticateToken,
+  authorizeRole('doctor'),
+  async (req, res) => {
+    try {
+      const sort = req.query.sort || 'name';
+      if (!['name', 'new'].includes(sort)) {
+        return res.status(400).json({ message: 'Sort must be name or new' });
+      }
+      const { page, limit } = parsePagination(req.query, { defaultLimit: 20, maxLimit: 100 });
+
+      const patients = await Patient.find({ doctors: req.user.id })
+        .select('name dob gender doctors accessGrants consentForms')
+        .sort({ name: 1 });
+
+      // Record details only for patients whose consent is still active
+      const accessible = patients
+        .filter(patient => patient.checkDoctorAccess(req.user.id).allowed)
+        .map(patient => ({ patient, scope: patient.getDoctorRecordScope(req.user.id) }));
+
+      const viewed = await lastViews(req.user.id, accessible.map(({ patient }) => patient._id));
+      const stats = await recordStats(accessible, viewed);
+      const accessibleIds = new Set(accessible.map(({ patient }) => String(patient._id)));
+
+      const entries = patients.map(patient => {
+        const id = String(patient._id);
+        const grant = patient.getActiveGrant(req.user.id);
+        const entry = {
+          patient: { id: patient._id, name: patient.name, dob: patient.dob, gender: patient.gender },
+          hasAccess: accessibleIds.has(id),
+          accessExpiresAt: grant ? grant.expiresAt || null : null
+        };
+
+        if (entry.hasAccess) {
+          const patientStats = stats.get(id) || { recordCount: 0, newestRecordDate: null, newRecords: 0 };
+          Object.assign(entry, patientStats, { lastViewedAt: viewed.get(id) || null });
+        }
+
+        return entry;
+      });
+
+      // Patients with the most new records first; ties keep name order
+      if (sort === 'new') {
+        entries.sort((a, b) => (b.newRecords || 0) - (a.newRecords || 0));
+      }
+
+      req.audit.details = { patients: entries.length };
+
+      res.json({
+        patients: entries.slice((page - 1) * limit, page * limit),
+        page,
+        limit,
+        total: entries.length,
+        totalPages: Math.ceil(entries.length / limit)
+      });
+    } catch (error) {
+      console.error('Caseload error:', error);
+      res.status(500).json({ message: 'Server error while fetching caseload' });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/doctor/recently-viewed
+ * @desc    The patients and records the doctor viewed most recently, newest
+ *          first, one entry per record (or per patient for views of their
+ *          record list or profile). Entries of patients the doctor can no
+ *          longer access are left out.
+ * @access  Private (Doctor only)
+ */
+router.get('/doctor/recently-viewed',
+  audit('view_recent_activity'),
+  authenticateToken,
+  authorizeRole('doctor'),
+  async (req, res) => {
+    try {
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), MAX_RECENT);
+
+      // Repeated views of the same record collapse into one entry
+      const logs = await AccessLog.getRecentAccessByDoctor(req.user.id, limit * 5, {
+        action: { $in: VIEW_ACTIONS },
+        statusCode: { $lt: 400 },
+        patientId: { $ne: null }
+      });
+
+      const patients = await Patient.find({ _id: { $in: logs.map(log => log.patientId && log.patientId._id) } })
+        .select('doctors accessGrants consentForms');
+      const patientsById = new Map(patients.map(patient => [String(patient._id), patient]));
+
+      const seen = new Set();
+      const entries = [];
+      for (const log of logs) {
+        if (entries.length >= limit) break;
+        if (!log.patientId) continue;
+
+        const patient = patientsById.get(String(log.patientId._id));
+        const record = log.recordId && log.recordId._id ? log.recordId : null;
+        const access = !patient
+          ? { allowed: false }
+          : record
+            ? patient.checkDoctorRecordAccess(req.user.id, record)
+            : patient.checkDoctorAccess(req.user.id);
+        if (!access.allowed) continue;
+
+        const key = `${log.patientId._id}:${record ? record._id : ''}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        entries.push({
+          patient: { id: log.patientId._id, name: log.patientId.name },
+          record: record
+            ? { id: record._id, fileName: record.fileName, documentType: record.documentType, deleted: Boolean(record.deletedAt) }
+            : null,
+          action: log.action,
+          viewedAt: log.timestamp
+        });
+      }
+
+      res.json(entries);
+    } catch (error) {
+      console.error('Recently viewed error:', error);
+      res.status(500).json({ message: 'Server error while fetching recently viewed records' });
+    }
+  }
+);
+
+module.exports = router;
\ No newline at end of file
@@ -13,19 +13,42 @@ const fs = require('fs');
 const crypto = require('crypto');
 const mongoose = require('mongoose');
 const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { authorizePatient } = require('../middleware/patientContext');
+const { requirePatientAccess, requireRecordAccess } = require('../middleware/doctorAccess');
+const { audit } = require('../middleware/audit');
 const MedicalRecord = require('../models/MedicalRecord');
-const Patient = require('../models/Patient');
 const AccessLog = require('../models/AccessLog');
+const {
+  parseDateParam,
+  parsePagination,
+  encodeCursor,
+  decodeCursor,
+  escapeRegExp
+} = require('../utils/queryParams');
+const { FILE_TYPES, THUMBNAIL_SIZES, THUMBNAIL_TYPE } = require('../utils/documentPreview');
+const { openStoredFile } = require('../utils/fileEncryption');
+const { streamFile } = require('../utils/fileResponse');
+const { parseSearchQuery, searchFilter, recordSnippets, queueTextIndexing } = require('../utils/recordSearch');
+const { parsePatientSearch, searchPatients } = require('../utils/patientSearch');
+const {
+  UPLOAD_TMP_DIR,
+  MAX_PAGES,
+  isAcceptedUpload,
+  ingestRecordFiles,
+  addRecordPages,
+  replacePageFile,
+  toUploadedRecord
+} = require('../utils/recordUpload');
+
+// Actions doctors' clients may report through POST /doctor/access-logs
+const CLIENT_REPORTED_ACTIONS = ['view_records', 'view_thumbnail', 'view_file', 'download'];
+
+const DOCUMENT_TYPES = MedicalRecord.schema.path('documentType').enumValues;
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: function(req, file, cb) {
-    // Create patient-specific directory if it doesn't exist
-    const patientDir = path.join(__dirname, '../uploads/medical-records', req.user.id);
-    if (!fs.existsSync(patientDir)) {
-      fs.mkdirSync(patientDir, { recursive: true });
-    }
-    cb(null, patientDir);
+    fs.mkdir(UPLOAD_TMP_DIR, { recursive: true, mode: 0o700 }, error => cb(error, UPLOAD_TMP_DIR));
   },
   filename: function(req, file, cb) {
     // Generate unique filename with timestamp and random string
@@ -34,17 +57,17 @@ const storage = multer.diskStorage({
   }
 });
 
-// File filter to only allow image files
+// File filter to only allow images, PDFs and DICOM files
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = ['image/jpeg', 'image/png'];
-  if (allowedTypes.includes(file.mimetype)) {
+  if (isAcceptedUpload(file.originalname, file.mimetype)) {
     cb(null, true);
   } else {
-    cb(new Error('Invalid file type. Only JPEG and PNG images are allowed.'), false);
+    cb(new Error('Invalid file type. Only JPEG, PNG, PDF and DICOM files are allowed.'), false);
   }
 };
 
-// Configure upload middleware
+// Configure upload middleware.
+// Larger files go through the resumable upload API (routes/uploads.js).
 const upload = multer({
   storage: storage,
   limits: {
@@ -55,54 +78,56 @@ const upload = multer({
 
 /**
  * @route   POST /api/patient/medical-records
- * @desc    Upload a new medical record
- * @access  Private (Patient only)
+ * @desc    Upload a new medical record. Send one file as `file`, or several
+ *          files as `files` to create a record with one page per file.
+ * @access  Private (Patient, or caregiver with upload permission)
  */
 router.post('/patient/medical-records', 
+  audit('upload_record'), 
   authenticateToken, 
-  authorizeRole('patient'), 
-  upload.single('file'), 
+  authorizePatient('upload'), 
+  upload.fields([{ name: 'file', maxCount: 1 }, { name: 'files', maxCount: MAX_PAGES }]), 
   async (req, res) => {
     try {
-      const { documentType, documentDate, notes } = req.body;
+      const { documentType, notes } = req.body;
+      const files = uploadedFiles(req);
       
-      if (!req.file || !documentType || !documentDate) {
+      if (!files.length || !documentType) {
+        removeTempFiles(req);
         return res.status(400).json({ message: 'Missing required fields' });
       }
       
-      // Generate thumbnail
-      const thumbnailPath = await generateThumbnail(req.file.path);
+      if (!DOCUMENT_TYPES.includes(documentType)) {
+        removeTempFiles(req);
+        return res.status(400).json({ message: `documentType must be one of: ${DOCUMENT_TYPES.join(', ')}` });
+      }
       
-      // Encrypt the file
-      const encryptedFilePath = await encryptFile(req.file.path);
+      // DICOM uploads can leave the date empty to use the study date
+      const documentDate = parseDateParam(req.body.documentDate);
+      if (documentDate === false) {
+        removeTempFiles(req);
+        return res.status(400).json({ message: 'A valid documentDate is required' });
+      }
       
-      // Create record in database
-      const newRecord = new MedicalRecord({
-        patientId: req.user.id,
-        fileName: req.file.originalname,
-        fileType: req.file.mimetype,
-        fileSize: req.file.size,
-        filePath: encryptedFilePath,
-        thumbnailPath: thumbnailPath,
+      const newRecord = await ingestRecordFiles({
+        patientId: req.patientId,
+        files,
         documentType,
         documentDate,
-        notes,
-        uploadDate: new Date()
+        notes
       });
       
-      await newRecord.save();
+      req.audit.recordId = newRecord._id;
       
       res.status(201).json({
         message: 'Medical record uploaded successfully',
-        record: {
-          id: newRecord._id,
-          fileName: newRecord.fileName,
-          documentType: newRecord.documentType,
-          documentDate: newRecord.documentDate,
-          uploadDate: newRecord.uploadDate
-        }
+        record: toUploadedRecord(newRecord)
       });
     } catch (error) {
+      removeTempFiles(req);
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
       console.error('Upload error:', error);
       res.status(500).json({ message: 'Server error during upload' });
     }
@@ -111,26 +136,29 @@ router.post('/patient/medical-records',
 
 /**
  * @route   GET /api/patient/medical-records
- * @desc    Get all medical records for the authenticated patient
- * @access  Private (Patient only)
+ * @desc    Get a page of the authenticated patient's medical records
+ *          (?deleted=true for deleted records that can still be restored).
+ *          Filter with documentType, from, to and search; order with sort;
+ *          page with limit and cursor.
+ * @access  Private (Patient, or caregiver with view permission)
  */
 router.get('/patient/medical-records', 
+  audit('view_records'), 
   authenticateToken, 
-  authorizeRole('patient'), 
+  authorizePatient('view'), 
   async (req, res) => {
     try {
-      const records = await MedicalRecord.find({ patientId: req.user.id })
-        .sort({ documentDate: -1 })
-        .select('-filePath -__v');
-      
-      // Transform records to include URLs
-      const recordsWithUrls = records.map(record => ({
-        ...record.toObject(),
-        thumbnailUrl: `/api/patient/medical-records/${record._id}/thumbnail`,
-        fileUrl: `/api/patient/medical-records/${record._id}/file`
-      }));
+      const listQuery = parseRecordListQuery(req.query, null);
+      if (listQuery.error) {
+        return res.status(400).json({ message: listQuery.error });
+      }
       
-      res.json(recordsWithUrls);
+      const query = { patientId: req.patientId, deletedAt: null };
+      if (req.query.deleted === 'true') {
+        Object.assign(query, { deletedAt: { $ne: null }, purgedAt: null });
+      }
+      
+      res.json(await findRecordPage(query, listQuery, 'patient'));
     } catch (error) {
       console.error('Fetch records error:', error);
       res.status(500).json({ message: 'Server error while fetching records' });
@@ -138,26 +166,68 @@ router.get('/patient/medical-records',
   }
 );
 
+/**
+ * @route   GET /api/patient/medical-records/search
+ * @desc    Search the text of the patient's records for all the words in q.
+ *          Takes the filters, sort and pagination of the record list.
+ *          Each record lists snippets of its matching text in `matches`.
+ * @access  Private (Patient, or caregiver with view permission)
+ */
+router.get('/patient/medical-records/search', 
+  audit('search_records'), 
+  authenticateToken, 
+  authorizePatient('view'), 
+  async (req, res) => {
+    try {
+      const search = parseSearchQuery(req.query.q);
+      if (search.error) {
+        return res.status(400).json({ message: search.error });
+      }
+      
+      const listQuery = parseRecordListQuery(req.query, null);
+      if (listQuery.error) {
+        return res.status(400).json({ message: listQuery.error });
+      }
+      
+      const query = { ...searchFilter(req.patientId, search.words), deletedAt: null };
+      const result = await findRecordPage(query, listQuery, 'patient', search.words);
+      
+      // Not the search words themselves; they may be health information
+      req.audit.details = { words: search.words.length, results: result.records.length };
+      
+      res.json(result);
+    } catch (error) {
+      console.error('Record search error:', error);
+      res.status(500).json({ message: 'Server error while searching records' });
+    }
+  }
+);
+
 /**
  * @route   GET /api/patient/medical-records/:id/thumbnail
- * @desc    Get thumbnail for a specific medical record
- * @access  Private (Patient only)
+ *          GET /api/patient/medical-records/:id/pages/:pageId/thumbnail
+ * @desc    Get thumbnail for a specific medical record (its first page) or page
+ * @access  Private (Patient, or caregiver with view permission)
  */
-router.get('/patient/medical-records/:id/thumbnail', 
+router.get(['/patient/medical-records/:id/thumbnail', '/patient/medical-records/:id/pages/:pageId/thumbnail'], 
+  audit('view_thumbnail'), 
   authenticateToken, 
-  authorizeRole('patient'), 
+  authorizePatient('view'), 
   async (req, res) => {
     try {
       const record = await MedicalRecord.findOne({ 
         _id: req.params.id,
-        patientId: req.user.id
+        patientId: req.patientId,
+        deletedAt: null
       });
       
       if (!record) {
         return res.status(404).json({ message: 'Record not found' });
       }
       
-      res.sendFile(record.thumbnailPath);
+      req.audit.recordId = record._id;
+      
+      await sendThumbnail(req, res, record);
     } catch (error) {
       console.error('Thumbnail fetch error:', error);
       res.status(500).json({ message: 'Server error while fetching thumbnail' });
@@ -167,32 +237,36 @@ router.get('/patient/medical-records/:id/thumbnail',
 
 /**
  * @route   GET /api/patient/medical-records/:id/file
- * @desc    Get the full image file for a specific medical record
- * @access  Private (Patient only)
+ *          GET /api/patient/medical-records/:id/pages/:pageId/file
+ *          GET /api/patient/medical-records/:id/pages/:pageId/versions/:versionId/file
+ * @desc    Stream the original file of a specific medical record (its first page), page
+ *          or earlier version of a page
+ *          (supports Range requests; ?download=true to save as attachment)
+ * @access  Private (Patient, or caregiver with view permission)
  */
-router.get('/patient/medical-records/:id/file', 
+router.get([
+  '/patient/medical-records/:id/file',
+  '/patient/medical-records/:id/pages/:pageId/file',
+  '/patient/medical-records/:id/pages/:pageId/versions/:versionId/file'
+], 
+  audit(req => req.query.download === 'true' ? 'download' : 'view_file'), 
   authenticateToken, 
-  authorizeRole('patient'), 
+  authorizePatient('view'), 
   async (req, res) => {
     try {
       const record = await MedicalRecord.findOne({ 
         _id: req.params.id,
-        patientId: req.user.id
+        patientId: req.patientId,
+        deletedAt: null
       });
       
       if (!record) {
         return res.status(404).json({ message: 'Record not found' });
       }
       
-      // Decrypt file before sending
-      const decryptedPath = await decryptFile(record.filePath);
-      
-      res.sendFile(decryptedPath);
+      req.audit.recordId = record._id;
       
-      // Clean up decrypted file after sending
-      setTimeout(() => {
-        fs.unlinkSync(decryptedPath);
-      }, 5000);
+      await sendRecordFile(req, res, record);
     } catch (error) {
       console.error('File fetch error:', error);
       res.status(500).json({ message: 'Server error while fetching file' });
@@ -201,330 +275,1169 @@ router.get('/patient/medical-records/:id/file',
 );
 
 /**
- * @route   DELETE /api/patient/medical-records/:id
- * @desc    Delete a specific medical record
- * @access  Private (Patient only)
+ * @route   GET /api/patient/medical-records/:id/preview
+ *          GET /api/patient/medical-records/:id/pages/:pageId/preview
+ * @desc    Get the rendered preview image of a PDF or DICOM record (its first page) or page
+ * @access  Private (Patient, or caregiver with view permission)
  */
-router.delete('/patient/medical-records/:id', 
+router.get(['/patient/medical-records/:id/preview', '/patient/medical-records/:id/pages/:pageId/preview'], 
+  audit('view_file'), 
+  authenticateToken, 
+  authorizePatient('view'), 
+  async (req, res) => {
+    try {
+      const record = await MedicalRecord.findOne({ 
+        _id: req.params.id,
+        patientId: req.patientId,
+        deletedAt: null
+      });
+      
+      if (!record) {
+        return res.status(404).json({ message: 'Record not found' });
+      }
+      
+      req.audit.recordId = record._id;
+      
+      await sendPreview(req, res, record);
+    } catch (error) {
+      console.error('Preview fetch error:', error);
+      res.status(500).json({ message: 'Server error while fetching preview' });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/patient/medical-records/:id/pages
+ * @desc    Add pages to a medical record. Send the files as `files`; the
+ *          optional `position` is the index to insert them at (default: at the end).
+ * @access  Private (Patient, or caregiver with upload permission)
+ */
+router.post('/patient/medical-records/:id/pages', 
+  audit('add_pages'), 
   authenticateToken, 
-  authorizeRole('patient'), 
+  authorizePatient('upload'), 
+  upload.array('files', MAX_PAGES), 
   async (req, res) => {
     try {
       const record = await MedicalRecord.findOne({ 
         _id: req.params.id,
-        patientId: req.user.id
+        patientId: req.patientId,
+        deletedAt: null
       });
       
       if (!record) {
+        removeTempFiles(req);
         return res.status(404).json({ message: 'Record not found' });
       }
       
-      // Delete files
-      if (fs.existsSync(record.filePath)) {
-        fs.unlinkSync(record.filePath);
+      req.audit.recordId = record._id;
+      
+      const files = uploadedFiles(req);
+      if (!files.length) {
+        return res.status(400).json({ message: 'No files uploaded' });
       }
       
-      if (fs.existsSync(record.thumbnailPath)) {
-        fs.unlinkSync(record.thumbnailPath);
+      let position = record.pages.length;
+      if (req.body.position !== undefined && req.body.position !== '') {
+        position = Number(req.body.position);
+        if (!Number.isInteger(position) || position < 0 || position > record.pages.length) {
+          removeTempFiles(req);
+          return res.status(400).json({ message: 'Invalid page position' });
+        }
       }
       
-      // Delete record from database
-      await MedicalRecord.deleteOne({ _id: req.params.id });
+      await addRecordPages(record, files, position);
+      
+      req.audit.details = { pageCount: files.length, position };
       
-      res.json({ message: 'Record deleted successfully' });
+      res.status(201).json({
+        message: 'Pages added successfully',
+        record: toRecordResponse(record, 'patient')
+      });
     } catch (error) {
-      console.error('Delete error:', error);
-      res.status(500).json({ message: 'Server error while deleting record' });
+      removeTempFiles(req);
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      if (error.name === 'VersionError') {
+        return res.status(409).json({ message: 'Record was changed by another request. Please try again.' });
+      }
+      console.error('Add pages error:', error);
+      res.status(500).json({ message: 'Server error while adding pages' });
     }
   }
 );
 
 /**
- * @route   GET /api/doctor/patients
- * @desc    Search for patients
- * @access  Private (Doctor only)
+ * @route   PUT /api/patient/medical-records/:id/pages/order
+ * @desc    Reorder the pages of a medical record. `pageIds` lists every
+ *          page ID in the new order.
+ * @access  Private (Patient, or caregiver with upload permission)
  */
-router.get('/doctor/patients', 
+router.put('/patient/medical-records/:id/pages/order', 
+  audit('reorder_pages'), 
   authenticateToken, 
-  authorizeRole('doctor'), 
+  authorizePatient('upload'), 
   async (req, res) => {
     try {
-      const { type, query } = req.query;
+      const record = await MedicalRecord.findOne({ 
+        _id: req.params.id,
+        patientId: req.patientId,
+        deletedAt: null
+      });
       
-      if (!type || !query) {
-        return res.status(400).json({ message: 'Search type and query are required' });
+      if (!record) {
+        return res.status(404).json({ message: 'Record not found' });
       }
       
-      let searchQuery = {};
+      req.audit.recordId = record._id;
       
-      switch (type) {
-        case 'id':
-          searchQuery = { _id: query };
-          break;
-        case 'name':
-          searchQuery = { name: { $regex: query, $options: 'i' } };
-          break;
-        case 'dob':
-          searchQuery = { dob: new Date(query) };
-          break;
-        default:
-          return res.status(400).json({ message: 'Invalid search type' });
+      const { pageIds } = req.body;
+      const pagesById = new Map(record.pages.map(page => [String(page._id), page.toObject()]));
+      
+      if (!Array.isArray(pageIds) || pageIds.length !== pagesById.size ||
+          new Set(pageIds.map(String)).size !== pagesById.size ||
+          !pageIds.every(pageId => pagesById.has(String(pageId)))) {
+        return res.status(400).json({ message: 'pageIds must list every page of the record exactly once' });
       }
       
-      const patients = await Patient.find(searchQuery)
-        .select('_id name dob gender email phone')
-        .limit(10);
+      record.pages = pageIds.map(pageId => pagesById.get(String(pageId)));
+      await record.save();
       
-      res.json(patients);
+      res.json({
+        message: 'Pages reordered successfully',
+        record: toRecordResponse(record, 'patient')
+      });
     } catch (error) {
-      console.error('Patient search error:', error);
-      res.status(500).json({ message: 'Server error during patient search' });
+      if (error.name === 'VersionError') {
+        return res.status(409).json({ message: 'Record was changed by another request. Please try again.' });
+      }
+      console.error('Reorder pages error:', error);
+      res.status(500).json({ message: 'Server error while reordering pages' });
     }
   }
 );
 
 /**
- * @route   GET /api/doctor/patients/:patientId/medical-records
- * @desc    Get all medical records for a specific patient
- * @access  Private (Doctor only)
+ * @route   PUT /api/patient/medical-records/:id/pages/:pageId/file
+ * @desc    Replace the file of a page. Send the new file as `file`; the
+ *          current file is kept as an earlier version of the page.
+ * @access  Private (Patient, or caregiver with upload permission)
  */
-router.get('/doctor/patients/:patientId/medical-records', 
+router.put('/patient/medical-records/:id/pages/:pageId/file', 
+  audit('replace_file'), 
   authenticateToken, 
-  authorizeRole('doctor'), 
+  authorizePatient('upload'), 
+  upload.single('file'), 
   async (req, res) => {
     try {
-      const { patientId } = req.params;
-      
-      // Log access
-      const accessLog = new AccessLog({
-        doctorId: req.user.id,
-        patientId,
-        action: 'view_records',
-        timestamp: new Date()
+      const record = await MedicalRecord.findOne({ 
+        _id: req.params.id,
+        patientId: req.patientId,
+        deletedAt: null
       });
-      await accessLog.save();
       
-      const records = await MedicalRecord.find({ patientId })
-        .sort({ documentDate: -1 })
-        .select('-filePath -__v');
+      if (!record) {
+        removeTempFiles(req);
+        return res.status(404).json({ message: 'Record not found' });
+      }
       
-      // Transform records to include URLs
-      const recordsWithUrls = records.map(record => ({
-        ...record.toObject(),
-        thumbnailUrl: `/api/doctor/medical-records/${record._id}/thumbnail`,
-        fileUrl: `/api/doctor/medical-records/${record._id}/file`
-      }));
+      req.audit.recordId = record._id;
+      
+      const page = findPage(record, req.params.pageId);
+      if (!page) {
+        removeTempFiles(req);
+        return res.status(404).json({ message: 'Page not found' });
+      }
+      
+      const [file] = uploadedFiles(req);
+      if (!file) {
+        return res.status(400).json({ message: 'No file uploaded' });
+      }
+      
+      req.audit.details = { pageId: page._id, version: (page.version || 1) + 1 };
+      
+      await replacePageFile(record, page, file);
       
-      res.json(recordsWithUrls);
+      res.json({
+        message: 'File replaced successfully',
+        record: toRecordResponse(record, 'patient')
+      });
     } catch (error) {
-      console.error('Fetch patient records error:', error);
-      res.status(500).json({ message: 'Server error while fetching patient records' });
+      removeTempFiles(req);
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      if (error.name === 'VersionError') {
+        return res.status(409).json({ message: 'Record was changed by another request. Please try again.' });
+      }
+      console.error('Replace file error:', error);
+      res.status(500).json({ message: 'Server error while replacing file' });
     }
   }
 );
 
 /**
- * @route   GET /api/doctor/medical-records/:id/thumbnail
- * @desc    Get thumbnail for a specific medical record (doctor access)
- * @access  Private (Doctor only)
+ * @route   DELETE /api/patient/medical-records/:id/pages/:pageId
+ * @desc    Remove a page from a medical record. The page is kept for the
+ *          retention period before its files are purged.
+ * @access  Private (Patient, or caregiver with delete permission)
  */
-router.get('/doctor/medical-records/:id/thumbnail', 
+router.delete('/patient/medical-records/:id/pages/:pageId', 
+  audit('remove_page'), 
   authenticateToken, 
-  authorizeRole('doctor'), 
+  authorizePatient('delete'), 
+  async (req, res) => {
+    try {
+      const record = await MedicalRecord.findOne({ 
+        _id: req.params.id,
+        patientId: req.patientId,
+        deletedAt: null
+      });
+      
+      if (!record) {
+        return res.status(404).json({ message: 'Record not found' });
+      }
+      
+      req.audit.recordId = record._id;
+      
+      const page = findPage(record, req.params.pageId);
+      if (!page) {
+        return res.status(404).json({ message: 'Page not found' });
+      }
+      
+      req.audit.details = { pageId: page._id, fileName: page.fileName };
+      
+      if (record.pages.length === 1) {
+        return res.status(400).json({ message: 'A record needs at least one page. Delete the record instead.' });
+      }
+      
+      record.removePage(page);
+      await record.save();
+      
+      // Drop the words of the removed page from the search index
+      queueTextIndexing(record._id);
+      
+      res.json({
+        message: 'Page removed successfully',
+        record: toRecordResponse(record, 'patient')
+      });
+    } catch (error) {
+      if (error.name === 'VersionError') {
+        return res.status(409).json({ message: 'Record was changed by another request. Please try again.' });
+      }
+      console.error('Remove page error:', error);
+      res.status(500).json({ message: 'Server error while removing page' });
+    }
+  }
+);
+
+/**
+ * @route   PATCH /api/patient/medical-records/:id
+ * @desc    Edit the document type, date or notes of a medical record.
+ *          Every edit is kept in the record's change history.
+ * @access  Private (Patient, or caregiver with upload permission)
+ */
+router.patch('/patient/medical-records/:id', 
+  audit('update_record'), 
+  authenticateToken, 
+  authorizePatient('upload'), 
   async (req, res) => {
     try {
-      const record = await MedicalRecord.findById(req.params.id);
+      const updates = parseMetadata(req.body);
+      if (updates.error) {
+        return res.status(400).json({ message: updates.error });
+      }
+      
+      const record = await MedicalRecord.findOne({ 
+        _id: req.params.id,
+        patientId: req.patientId,
+        deletedAt: null
+      });
       
       if (!record) {
         return res.status(404).json({ message: 'Record not found' });
       }
       
-      // Log access
-      const accessLog = new AccessLog({
-        doctorId: req.user.id,
-        patientId: record.patientId,
-        recordId: record._id,
-        action: 'view_thumbnail',
-        timestamp: new Date()
+      req.audit.recordId = record._id;
+      
+      const changes = record.updateMetadata(updates, req.user.id);
+      if (changes.length) {
+        await record.save();
+      }
+      
+      // Only the names of the changed fields; the values are in the record's history
+      req.audit.details = { fields: changes.map(change => change.field) };
+      
+      res.json({
+        message: changes.length ? 'Record updated successfully' : 'No changes',
+        record: toRecordResponse(record, 'patient')
       });
-      await accessLog.save();
+    } catch (error) {
+      if (error.name === 'VersionError') {
+        return res.status(409).json({ message: 'Record was changed by another request. Please try again.' });
+      }
+      console.error('Update record error:', error);
+      res.status(500).json({ message: 'Server error while updating record' });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/patient/medical-records/:id/history
+ * @desc    Get the change history of a record's type, date and notes
+ * @access  Private (Patient, or caregiver with view permission)
+ */
+router.get('/patient/medical-records/:id/history', 
+  audit('view_record_history'), 
+  authenticateToken, 
+  authorizePatient('view'), 
+  async (req, res) => {
+    try {
+      const record = await MedicalRecord.findOne({ 
+        _id: req.params.id,
+        patientId: req.patientId,
+        deletedAt: null
+      })
+        .select('metadataHistory')
+        .populate('metadataHistory.changedBy', 'name role');
       
-      res.sendFile(record.thumbnailPath);
+      if (!record) {
+        return res.status(404).json({ message: 'Record not found' });
+      }
+      
+      req.audit.recordId = record._id;
+      
+      res.json(toHistoryResponse(record));
     } catch (error) {
-      console.error('Thumbnail fetch error:', error);
-      res.status(500).json({ message: 'Server error while fetching thumbnail' });
+      console.error('Record history error:', error);
+      res.status(500).json({ message: 'Server error while fetching record history' });
     }
   }
 );
 
 /**
- * @route   GET /api/doctor/medical-records/:id/file
- * @desc    Get the full image file for a specific medical record (doctor access)
- * @access  Private (Doctor only)
+ * @route   DELETE /api/patient/medical-records/:id
+ * @desc    Delete a specific medical record. The record can be restored
+ *          until the retention period ends; then its files are purged.
+ * @access  Private (Patient, or caregiver with delete permission)
  */
-router.get('/doctor/medical-records/:id/file', 
+router.delete('/patient/medical-records/:id', 
+  audit('delete_record'), 
   authenticateToken, 
-  authorizeRole('doctor'), 
+  authorizePatient('delete'), 
   async (req, res) => {
     try {
-      const record = await MedicalRecord.findById(req.params.id);
+      const record = await MedicalRecord.findOne({ 
+        _id: req.params.id,
+        patientId: req.patientId,
+        deletedAt: null
+      });
       
       if (!record) {
         return res.status(404).json({ message: 'Record not found' });
       }
       
-      // Log access
-      const accessLog = new AccessLog({
-        doctorId: req.user.id,
-        patientId: record.patientId,
-        recordId: record._id,
-        action: 'view_file',
-        timestamp: new Date()
+      req.audit.recordId = record._id;
+      req.audit.details = {
+        fileName: record.fileName,
+        documentType: record.documentType
+      };
+      
+      record.softDelete(req.user.id);
+      await record.save();
+      
+      res.json({
+        message: 'Record deleted successfully',
+        restoreUntil: record.purgeAfter
+      });
+    } catch (error) {
+      if (error.name === 'VersionError') {
+        return res.status(409).json({ message: 'Record was changed by another request. Please try again.' });
+      }
+      console.error('Delete error:', error);
+      res.status(500).json({ message: 'Server error while deleting record' });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/patient/medical-records/:id/restore
+ * @desc    Restore a deleted medical record
+ * @access  Private (Patient, or caregiver with delete permission)
+ */
+router.post('/patient/medical-records/:id/restore', 
+  audit('restore_record'), 
+  authenticateToken, 
+  authorizePatient('delete'), 
+  async (req, res) => {
+    try {
+      const record = await MedicalRecord.findOne({ 
+        _id: req.params.id,
+        patientId: req.patientId,
+        deletedAt: { $ne: null }
       });
-      await accessLog.save();
       
-      // Decrypt file before sending
-      const decryptedPath = await decryptFile(record.filePath);
+      if (!record) {
+        return res.status(404).json({ message: 'Record not found' });
+      }
+      
+      req.audit.recordId = record._id;
+      
+      if (record.purgedAt) {
+        return res.status(410).json({ message: 'The retention period has ended and the record\'s files have been purged' });
+      }
       
-      res.sendFile(decryptedPath);
+      record.restore();
+      await record.save();
       
-      // Clean up decrypted file after sending
-      setTimeout(() => {
-        fs.unlinkSync(decryptedPath);
-      }, 5000);
+      res.json({
+        message: 'Record restored successfully',
+        record: toRecordResponse(record, 'patient')
+      });
     } catch (error) {
-      console.error('File fetch error:', error);
-      res.status(500).json({ message: 'Server error while fetching file' });
+      if (error.name === 'VersionError') {
+        return res.status(409).json({ message: 'Record was changed by another request. Please try again.' });
+      }
+      console.error('Restore error:', error);
+      res.status(500).json({ message: 'Server error while restoring record' });
     }
   }
 );
 
 /**
- * @route   POST /api/doctor/access-logs
- * @desc    Log access to patient records
+ * @route   GET /api/patient/access-history
+ * @desc    Get a paginated history of who accessed the patient's records
+ * @access  Private (Patient, or caregiver with view permission)
+ */
+router.get('/patient/access-history', 
+  audit('view_access_history'), 
+  authenticateToken, 
+  authorizePatient('view'), 
+  async (req, res) => {
+    try {
+      const { doctorId, recordId, action } = req.query;
+      const { page, limit, skip } = parsePagination(req.query);
+      
+      if ((doctorId && !mongoose.Types.ObjectId.isValid(doctorId)) ||
+          (recordId && !mongoose.Types.ObjectId.isValid(recordId))) {
+        return res.status(400).json({ message: 'Invalid doctor or record ID' });
+      }
+      
+      const actions = AccessLog.schema.path('action').enumValues;
+      if (action && !actions.includes(action)) {
+        return res.status(400).json({ message: 'Invalid action' });
+      }
+      
+      const from = parseDateParam(req.query.from);
+      const to = parseDateParam(req.query.to, true);
+      if (from === false || to === false) {
+        return res.status(400).json({ message: 'Invalid date range' });
+      }
+      
+      const filters = { doctorId, recordId, action, from, to };
+      
+      const [logs, total] = await Promise.all([
+        AccessLog.getRecentAccessForPatient(req.patientId, limit, {
+          ...filters,
+          skip
+        }),
+        AccessLog.countDocuments(AccessLog.buildPatientAccessFilter(req.patientId, filters))
+      ]);
+      
+      const entries = logs.map(log => ({
+        id: log._id,
+        actor: log.actorId
+          ? { id: log.actorId._id, name: log.actorId.name, role: log.actorId.role }
+          : null,
+        doctor: log.doctorId
+          ? { id: log.doctorId._id, name: log.doctorId.name }
+          : null,
+        record: log.recordId
+          ? {
+            id: log.recordId._id,
+            fileName: log.recordId.fileName,
+            documentType: log.recordId.documentType
+          }
+          : null,
+        action: log.action,
+        emergency: Boolean(log.breakGlassSessionId),
+        timestamp: log.timestamp
+      }));
+      
+      res.json({
+        entries,
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      });
+    } catch (error) {
+      console.error('Access history error:', error);
+      res.status(500).json({ message: 'Server error while fetching access history' });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/doctor/patients
+ * @desc    Search for patients by name, dob, email, phone and/or id, best
+ *          matches first. Searches the doctor's care team, or with
+ *          scope=all, all patients (to request access).
  * @access  Private (Doctor only)
  */
-router.post('/doctor/access-logs', 
+router.get('/doctor/patients', 
+  audit('search_patient'), 
+  authenticateToken, 
+  authorizeRole('doctor'), 
+  async (req, res) => {
+    try {
+      const search = parsePatientSearch(req.query);
+      if (search.error) {
+        return res.status(400).json({ message: search.error });
+      }
+      
+      const result = await searchPatients(search, req.user.id);
+      
+      // Which criteria were used, not their values
+      req.audit.details = {
+        criteria: Object.keys(search.criteria),
+        scope: search.scope,
+        results: result.total
+      };
+      
+      res.json(result);
+    } catch (error) {
+      console.error('Patient search error:', error);
+      res.status(500).json({ message: 'Server error during patient search' });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/doctor/patients/:patientId/medical-records
+ * @desc    Get a page of a patient's medical records, with the same
+ *          filters and pagination as the patient's own list. Records the
+ *          patient deleted are listed without their contents.
+ * @access  Private (Doctor with patient consent)
+ */
+router.get('/doctor/patients/:patientId/medical-records', 
+  audit('view_records'), 
+  authenticateToken, 
+  authorizeRole('doctor'), 
+  requirePatientAccess('patientId'), 
+  async (req, res) => {
+    try {
+      // Only return the document types covered by the doctor's grant
+      const scope = req.patient.getDoctorRecordScope(req.user.id);
+      const listQuery = parseRecordListQuery(req.query, scope);
+      if (listQuery.error) {
+        return res.status(400).json({ message: listQuery.error });
+      }
+      
+      res.json(await findRecordPage({ patientId: req.patient._id }, listQuery, 'doctor'));
+    } catch (error) {
+      console.error('Fetch patient records error:', error);
+      res.status(500).json({ message: 'Server error while fetching patient records' });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/doctor/patients/:patientId/medical-records/search
+ * @desc    Search the text of a patient's records for all the words in q,
+ *          like the patient's own record search
+ * @access  Private (Doctor with patient consent)
+ */
+router.get('/doctor/patients/:patientId/medical-records/search', 
+  audit('search_records'), 
   authenticateToken, 
   authorizeRole('doctor'), 
+  requirePatientAccess('patientId'), 
   async (req, res) => {
     try {
-      const { patientId, recordId, action, timestamp } = req.body;
+      const search = parseSearchQuery(req.query.q);
+      if (search.error) {
+        return res.status(400).json({ message: search.error });
+      }
       
-      if (!patientId || !action) {
-        return res.status(400).json({ message: 'Patient ID and action are required' });
+      // Only search the document types covered by the doctor's grant
+      const scope = req.patient.getDoctorRecordScope(req.user.id);
+      const listQuery = parseRecordListQuery(req.query, scope);
+      if (listQuery.error) {
+        return res.status(400).json({ message: listQuery.error });
       }
       
-      const accessLog = new AccessLog({
-        doctorId: req.user.id,
-        patientId,
-        recordId: recordId || null,
-        action,
-        timestamp: timestamp || new Date()
-      });
+      const query = { ...searchFilter(req.patient._id, search.words), deletedAt: null };
+      const result = await findRecordPage(query, listQuery, 'doctor', search.words);
       
-      await accessLog.save();
+      req.audit.details = { words: search.words.length, results: result.records.length };
       
-      res.status(201).json({ message: 'Access logged successfully' });
+      res.json(result);
     } catch (error) {
-      console.error('Access log error:', error);
-      res.status(500).json({ message: 'Server error while logging access' });
+      console.error('Record search error:', error);
+      res.status(500).json({ message: 'Server error while searching records' });
     }
   }
 );
 
 /**
- * Generate a thumbnail from the original image
- * @param {string} filePath - Path to the original file
- * @returns {string} - Path to the generated thumbnail
+ * @route   GET /api/doctor/medical-records/:id/thumbnail
+ *          GET /api/doctor/medical-records/:id/pages/:pageId/thumbnail
+ * @desc    Get thumbnail for a specific medical record (its first page) or page (doctor access)
+ * @access  Private (Doctor with patient consent)
  */
-async function generateThumbnail(filePath) {
-  try {
-    const sharp = require('sharp');
-    const thumbnailPath = filePath.replace(/\.\w+$/, '-thumb$&');
-    
-    await sharp(filePath)
-      .resize(150, 150, {
-        fit: 'inside',
-        withoutEnlargement: true
-      })
-      .toFile(thumbnailPath);
-    
-    return thumbnailPath;
-  } catch (error) {
-    console.error('Thumbnail generation error:', error);
-    // Return original file path if thumbnail generation fails
-    return filePath;
+router.get(['/doctor/medical-records/:id/thumbnail', '/doctor/medical-records/:id/pages/:pageId/thumbnail'], 
+  audit('view_thumbnail'), 
+  authenticateToken, 
+  authorizeRole('doctor'), 
+  requireRecordAccess('id'), 
+  async (req, res) => {
+    try {
+      await sendThumbnail(req, res, req.record);
+    } catch (error) {
+      console.error('Thumbnail fetch error:', error);
+      res.status(500).json({ message: 'Server error while fetching thumbnail' });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/doctor/medical-records/:id/file
+ *          GET /api/doctor/medical-records/:id/pages/:pageId/file
+ *          GET /api/doctor/medical-records/:id/pages/:pageId/versions/:versionId/file
+ * @desc    Stream the original file of a specific medical record (its first page), page
+ *          or earlier version of a page (doctor access)
+ *          (supports Range requests; ?download=true to save as attachment)
+ * @access  Private (Doctor with patient consent)
+ */
+router.get([
+  '/doctor/medical-records/:id/file',
+  '/doctor/medical-records/:id/pages/:pageId/file',
+  '/doctor/medical-records/:id/pages/:pageId/versions/:versionId/file'
+], 
+  audit(req => req.query.download === 'true' ? 'download' : 'view_file'), 
+  authenticateToken, 
+  authorizeRole('doctor'), 
+  requireRecordAccess('id'), 
+  async (req, res) => {
+    try {
+      await sendRecordFile(req, res, req.record);
+    } catch (error) {
+      console.error('File fetch error:', error);
+      res.status(500).json({ message: 'Server error while fetching file' });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/doctor/medical-records/:id/preview
+ *          GET /api/doctor/medical-records/:id/pages/:pageId/preview
+ * @desc    Get the rendered preview image of a PDF or DICOM record (its first page) or page (doctor access)
+ * @access  Private (Doctor with patient consent)
+ */
+router.get(['/doctor/medical-records/:id/preview', '/doctor/medical-records/:id/pages/:pageId/preview'], 
+  audit('view_file'), 
+  authenticateToken, 
+  authorizeRole('doctor'), 
+  requireRecordAccess('id'), 
+  async (req, res) => {
+    try {
+      await sendPreview(req, res, req.record);
+    } catch (error) {
+      console.error('Preview fetch error:', error);
+      res.status(500).json({ message: 'Server error while fetching preview' });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/doctor/medical-records/:id/history
+ * @desc    Get the change history of a record's type, date and notes
+ * @access  Private (Doctor with patient consent)
+ */
+router.get('/doctor/medical-records/:id/history', 
+  audit('view_record_history'), 
+  authenticateToken, 
+  authorizeRole('doctor'), 
+  requireRecordAccess('id'), 
+  async (req, res) => {
+    try {
+      await req.record.populate('metadataHistory.changedBy', 'name role');
+      
+      res.json(toHistoryResponse(req.record));
+    } catch (error) {
+      console.error('Record history error:', error);
+      res.status(500).json({ message: 'Server error while fetching record history' });
+    }
   }
+);
+
+/**
+ * Validate an access log entry reported by the client
+ */
+function validateReportedAccess(req, res, next) {
+  // Any client-supplied timestamp is ignored; entries use server time
+  const { patientId, recordId, action } = req.body;
+  
+  if (!patientId || !action) {
+    req.audit.skip = true;
+    return res.status(400).json({ message: 'Patient ID and action are required' });
+  }
+  
+  if (!CLIENT_REPORTED_ACTIONS.includes(action) ||
+      !mongoose.Types.ObjectId.isValid(patientId) ||
+      (recordId && !mongoose.Types.ObjectId.isValid(recordId))) {
+    req.audit.skip = true;
+    return res.status(400).json({ message: 'Invalid access log entry' });
+  }
+  
+  next();
 }
 
 /**
- * Encrypt a file using AES-256-CBC
- * @param {string} filePath - Path to the file to encrypt
- * @returns {string} - Path to the encrypted file
+ * Check the doctor's access to the reported record, or to the patient
+ * when no record is given
  */
-async function encryptFile(filePath) {
-  try {
-    const encryptedPath = filePath + '.enc';
-    
-    // Get encryption key from environment variable or use a default for development
-    const encryptionKey = process.env.FILE_ENCRYPTION_KEY || 'a_very_secret_key_that_is_32_bytes';
-    const iv = crypto.randomBytes(16);
-    
-    const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(encryptionKey), iv);
-    const input = fs.createReadStream(filePath);
-    const output = fs.createWriteStream(encryptedPath);
+function requireReportedAccess(req, res, next) {
+  const check = req.body.recordId
+    ? requireRecordAccess('recordId', 'body')
+    : requirePatientAccess('patientId', 'body');
+  return check(req, res, next);
+}
+
+/**
+ * @route   POST /api/doctor/access-logs
+ * @desc    Log access to patient records reported by the client. The
+ *          doctor must have access to the patient, or to the record if given.
+ * @access  Private (Doctor with patient consent)
+ */
+router.post('/doctor/access-logs', 
+  audit(req => req.body.action), 
+  authenticateToken, 
+  authorizeRole('doctor'), 
+  validateReportedAccess, 
+  requireReportedAccess, 
+  (req, res) => {
+    const { patientId, recordId } = req.body;
     
-    // Write the IV at the beginning of the encrypted file
-    output.write(iv);
+    if (recordId && String(req.record.patientId) !== patientId) {
+      req.audit.skip = true;
+      return res.status(400).json({ message: 'Record does not belong to this patient' });
+    }
     
-    input.pipe(cipher).pipe(output);
+    req.audit.patientId = patientId;
+    req.audit.recordId = recordId;
+    req.audit.details = { reportedBy: 'client' };
     
-    return new Promise((resolve, reject) => {
-      output.on('finish', () => {
-        // Delete the original file after encryption
-        fs.unlinkSync(filePath);
-        resolve(encryptedPath);
-      });
-      
-      output.on('error', reject);
+    res.status(201).json({ message: 'Access logged successfully' });
+  }
+);
+
+/**
+ * URLs of the thumbnail sizes of a record or page
+ * @param {string} thumbnailUrl - Thumbnail URL
+ * @returns {Object} - URL by size
+ */
+function thumbnailUrls(thumbnailUrl) {
+  return Object.keys(THUMBNAIL_SIZES).reduce((urls, size) => {
+    urls[size] = `${thumbnailUrl}?size=${size}`;
+    return urls;
+  }, {});
+}
+
+/**
+ * Convert a page to its API representation, with URLs instead of storage keys
+ * @param {Object} page - Page (plain object)
+ * @param {string} baseUrl - URL of the record, or of the page
+ * @returns {Object} - Page for the response
+ */
+function toPageResponse(page, baseUrl) {
+  const hasThumbnails = Boolean(page.thumbnails && page.thumbnails.small);
+  
+  return {
+    id: page._id,
+    fileName: page.fileName,
+    fileType: page.fileType,
+    fileSize: page.fileSize,
+    dicom: page.dicom,
+    version: page.version || 1,
+    versions: (page.versions || []).map(version => ({
+      id: version._id,
+      version: version.version,
+      fileName: version.fileName,
+      fileType: version.fileType,
+      fileSize: version.fileSize,
+      replacedAt: version.replacedAt,
+      fileUrl: `${baseUrl}/versions/${version._id}/file`
+    })),
+    thumbnailUrl: hasThumbnails || page.legacyThumbnailKey ? `${baseUrl}/thumbnail` : null,
+    thumbnailUrls: hasThumbnails ? thumbnailUrls(`${baseUrl}/thumbnail`) : null,
+    previewUrl: page.previewKey ? `${baseUrl}/preview` : null,
+    fileUrl: `${baseUrl}/file`,
+    // Whether the page's text has been extracted for search yet
+    textStatus: page.textStatus || 'pending'
+  };
+}
+
+/**
+ * Validate the filter, sort and pagination parameters of a record list
+ * @param {Object} query - req.query: documentType (comma-separated), from,
+ *                         to, search, sort ('newest' or 'oldest'), limit, cursor
+ * @param {string[]|null} scope - Document types the requester may see, or null for all
+ * @returns {Object} - { error } or { filter, sort, limit }
+ */
+function parseRecordListQuery(query, scope) {
+  const documentTypes = MedicalRecord.schema.path('documentType').enumValues;
+  const requestedTypes = query.documentType ? String(query.documentType).split(',') : documentTypes;
+  if (!requestedTypes.every(type => documentTypes.includes(type))) {
+    return { error: 'Invalid document type' };
+  }
+  
+  const from = parseDateParam(query.from);
+  const to = parseDateParam(query.to, true);
+  if (from === false || to === false) {
+    return { error: 'Invalid date range' };
+  }
+  
+  if (query.sort && !['newest', 'oldest'].includes(query.sort)) {
+    return { error: 'sort must be newest or oldest' };
+  }
+  const direction = query.sort === 'oldest' ? 1 : -1;
+  
+  const cursor = decodeCursor(query.cursor);
+  if (cursor === false || (cursor && (cursor.length !== 2 ||
+      isNaN(new Date(cursor[0]).getTime()) || !mongoose.Types.ObjectId.isValid(cursor[1])))) {
+    return { error: 'Invalid cursor' };
+  }
+  
+  const { limit } = parsePagination(query, { defaultLimit: 50 });
+  
+  // Always match on documentType, even when listing every type, so the
+  // { patientId, documentType, documentDate } index covers the filter
+  const filter = {
+    documentType: { $in: scope ? requestedTypes.filter(type => scope.includes(type)) : requestedTypes }
+  };
+  const conditions = [];
+  
+  if (from || to) {
+    filter.documentDate = {};
+    if (from) filter.documentDate.$gte = from;
+    if (to) filter.documentDate.$lte = to;
+  }
+  
+  const search = typeof query.search === 'string' ? query.search.trim() : '';
+  if (search) {
+    const pattern = new RegExp(escapeRegExp(search), 'i');
+    conditions.push({ $or: [{ fileName: pattern }, { 'pages.fileName': pattern }, { notes: pattern }] });
+  }
+  
+  // Records after the last one of the previous page; records with the same
+  // document date are ordered by ID
+  if (cursor) {
+    const operator = direction === 1 ? '$gt' : '$lt';
+    const date = new Date(cursor[0]);
+    const id = new mongoose.Types.ObjectId(cursor[1]);
+    conditions.push({
+      $or: [
+        { documentDate: { [operator]: date } },
+        { documentDate: date, _id: { [operator]: id } }
+      ]
     });
-  } catch (error) {
-    console.error('File encryption error:', error);
-    // Return original file path if encryption fails
-    return filePath;
   }
+  
+  if (conditions.length) {
+    filter.$and = conditions;
+  }
+  
+  return { filter, sort: { documentDate: direction, _id: direction }, limit };
 }
 
 /**
- * Decrypt a file encrypted with AES-256-CBC
- * @param {string} encryptedPath - Path to the encrypted file
- * @returns {string} - Path to the decrypted file
+ * Find a page of records
+ * @param {Object} query - Records to list, e.g. { patientId }
+ * @param {Object} listQuery - Result of parseRecordListQuery
+ * @param {string} role - 'patient' or 'doctor', selects the URL prefix
+ * @param {string[]} words - Search words to add matching snippets for, if any
+ * @returns {Object} - { records, nextCursor }; nextCursor is null on the last page
  */
-async function decryptFile(encryptedPath) {
-  try {
-    const decryptedPath = encryptedPath.replace('.enc', '.dec');
-    
-    // Get encryption key from environment variable or use a default for development
-    const encryptionKey = process.env.FILE_ENCRYPTION_KEY || 'a_very_secret_key_that_is_32_bytes';
-    
-    // Read the encrypted file
-    const data = fs.readFileSync(encryptedPath);
-    
-    // Extract the IV from the beginning of the file
-    const iv = data.slice(0, 16);
-    const encryptedData = data.slice(16);
-    
-    const decipher = crypto.createDecipheriv('aes-256-cbc', Buffer.from(encryptionKey), iv);
-    const decrypted = Buffer.concat([decipher.update(encryptedData), decipher.final()]);
-    
-    fs.writeFileSync(decryptedPath, decrypted);
-    
-    return decryptedPath;
-  } catch (error) {
-    console.error('File decryption error:', error);
-    throw new Error('Failed to decrypt file');
+async function findRecordPage(query, { filter, sort, limit }, role, words) {
+  // One extra record tells whether there is a next page
+  const records = await MedicalRecord.find({ ...query, ...filter })
+    .sort(sort)
+    .limit(limit + 1)
+    .select('-__v');
+  
+  const hasMore = records.length > limit;
+  const page = hasMore ? records.slice(0, limit) : records;
+  const last = page[page.length - 1];
+  
+  const responses = page.map(record => toRecordResponse(record, role));
+  if (words) {
+    for (const [index, record] of page.entries()) {
+      responses[index].matches = await recordSnippets(record, words).catch(error => {
+        console.error('Search snippet error:', error);
+        return [];
+      });
+    }
+  }
+  
+  return {
+    records: responses,
+    nextCursor: hasMore ? encodeCursor([last.documentDate.toISOString(), String(last._id)]) : null
+  };
+}
+
+/**
+ * Convert a record to its API representation, with URLs instead of storage
+ * keys and without key material. The record's own URLs show its first page.
+ * @param {Object} record - Medical record
+ * @param {string} role - 'patient' or 'doctor', selects the URL prefix
+ * @returns {Object} - Record for the response
+ */
+function toRecordResponse(record, role) {
+  if (record.deletedAt) {
+    return toDeletedRecordResponse(record, role);
+  }
+  
+  const {
+    pages, removedPages, storageKey, previewKey, thumbnails, legacyThumbnailKey, dicom, encryption,
+    filePath, previewPath, thumbnailPath, deletedAt, deletedBy, purgeAfter, purgedAt, metadataHistory,
+    searchTokens, __v,
+    ...fields
+  } = record.toObject();
+  const baseUrl = `/api/${role}/medical-records/${record._id}`;
+  const firstPage = pages.length ? toPageResponse(pages[0], baseUrl) : {};
+  const dicomPage = pages.find(page => page.dicom && page.dicom.studyDate);
+  
+  return {
+    ...fields,
+    dicom: dicomPage ? dicomPage.dicom : undefined,
+    pageCount: pages.length,
+    pages: pages.map(page => toPageResponse(page, `${baseUrl}/pages/${page._id}`)),
+    thumbnailUrl: firstPage.thumbnailUrl || null,
+    thumbnailUrls: firstPage.thumbnailUrls || null,
+    previewUrl: firstPage.previewUrl || null,
+    fileUrl: `${baseUrl}/file`
+  };
+}
+
+/**
+ * Convert a deleted record to its API representation: what it was and
+ * when it was deleted, without its notes or any file URLs
+ * @param {Object} record - Deleted medical record
+ * @param {string} role - 'patient' or 'doctor'
+ * @returns {Object} - Record for the response
+ */
+function toDeletedRecordResponse(record, role) {
+  return {
+    _id: record._id,
+    fileName: record.fileName,
+    fileType: record.fileType,
+    fileSize: record.fileSize,
+    documentType: record.documentType,
+    documentDate: record.documentDate,
+    uploadDate: record.uploadDate,
+    pageCount: record.pages.length,
+    deleted: true,
+    deletedAt: record.deletedAt,
+    // Patients can restore the record until the retention period ends
+    restoreUntil: role === 'patient' && !record.purgedAt ? record.purgeAfter : undefined,
+    purged: Boolean(record.purgedAt)
+  };
+}
+
+/**
+ * Validate the document details of a record edit
+ * @param {Object} body - Request body
+ * @returns {Object} - { error } or the fields to change
+ */
+function parseMetadata(body) {
+  const updates = {};
+  const { documentType, documentDate, notes } = body;
+  
+  if (documentType !== undefined) {
+    if (!MedicalRecord.schema.path('documentType').enumValues.includes(documentType)) {
+      return { error: 'Invalid document type' };
+    }
+    updates.documentType = documentType;
+  }
+  
+  if (documentDate !== undefined) {
+    const date = parseDateParam(documentDate);
+    if (!date) {
+      return { error: 'Invalid document date' };
+    }
+    updates.documentDate = date;
+  }
+  
+  if (notes !== undefined) {
+    if (notes !== null && typeof notes !== 'string') {
+      return { error: 'Notes must be text' };
+    }
+    updates.notes = (notes || '').trim();
+  }
+  
+  if (!Object.keys(updates).length) {
+    return { error: 'Nothing to update. Send documentType, documentDate or notes.' };
+  }
+  
+  return updates;
+}
+
+/**
+ * Convert a record's change history to its API representation, newest first
+ * @param {Object} record - Medical record with metadataHistory.changedBy populated
+ * @returns {Object[]} - History entries
+ */
+function toHistoryResponse(record) {
+  return record.metadataHistory.slice().reverse().map(entry => ({
+    id: entry._id,
+    changedAt: entry.changedAt,
+    changedBy: entry.changedBy && entry.changedBy.name
+      ? { id: entry.changedBy._id, name: entry.changedBy.name, role: entry.changedBy.role }
+      : null,
+    changes: entry.changes.map(({ field, from, to }) => ({ field, from, to }))
+  }));
+}
+
+/**
+ * Find a page of a record
+ * @param {Object} record - Medical record
+ * @param {string} pageId - Page ID; the first page if not given
+ * @returns {Object|null} - Page
+ */
+function findPage(record, pageId) {
+  if (!pageId) {
+    return record.pages[0] || null;
+  }
+  
+  return record.pages.find(page => String(page._id) === pageId) || null;
+}
+
+/**
+ * Decrypt and stream a thumbnail of a record page (?size=small|medium|large)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} record - Medical record
+ */
+async function sendThumbnail(req, res, record) {
+  const size = req.query.size || 'small';
+  if (!THUMBNAIL_SIZES[size]) {
+    return res.status(400).json({ message: 'Invalid thumbnail size' });
+  }
+  
+  const page = findPage(record, req.params.pageId);
+  if (!page) {
+    return res.status(404).json({ message: 'Page not found' });
+  }
+  
+  const thumbnailKey = page.thumbnails && page.thumbnails[size];
+  
+  if (thumbnailKey) {
+    const file = await openStoredFile(thumbnailKey, record.encryption);
+    return streamFile(req, res, file, { contentType: THUMBNAIL_TYPE });
+  }
+  
+  // Pages uploaded before thumbnails were encrypted have a single plaintext thumbnail
+  if (page.legacyThumbnailKey) {
+    const file = await openStoredFile(page.legacyThumbnailKey);
+    const contentType = /\.jpe?g$/i.test(page.legacyThumbnailKey) ? FILE_TYPES.JPEG : FILE_TYPES.PNG;
+    return streamFile(req, res, file, { contentType });
+  }
+  
+  res.status(404).json({ message: 'No thumbnail available for this record' });
+}
+
+/**
+ * Decrypt and stream the original file of a record page, or an earlier
+ * version of it
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} record - Medical record
+ */
+async function sendRecordFile(req, res, record) {
+  const page = findPage(record, req.params.pageId);
+  if (!page) {
+    return res.status(404).json({ message: 'Page not found' });
+  }
+  
+  let version = page;
+  if (req.params.versionId) {
+    version = page.versions.find(item => String(item._id) === req.params.versionId);
+    if (!version) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+  }
+  
+  const file = await openStoredFile(version.storageKey, record.encryption);
+  
+  await streamFile(req, res, file, {
+    contentType: version.fileType,
+    fileName: version.fileName,
+    download: req.query.download === 'true'
+  });
+}
+
+/**
+ * Decrypt and stream the preview image of a record page
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} record - Medical record
+ */
+async function sendPreview(req, res, record) {
+  const page = findPage(record, req.params.pageId);
+  if (!page) {
+    return res.status(404).json({ message: 'Page not found' });
+  }
+  
+  if (!page.previewKey) {
+    return res.status(404).json({ message: 'No preview available for this record' });
+  }
+  
+  const file = await openStoredFile(page.previewKey, record.encryption);
+  
+  await streamFile(req, res, file, { contentType: FILE_TYPES.PNG });
+}
+
+/**
+ * Files of an upload request, in the form the upload helpers take
+ * @param {Object} req - Express request after multer
+ * @returns {Object[]} - [{ filePath, fileName, fileSize }]
+ */
+function uploadedFiles(req) {
+  return multerFiles(req).map(file => ({
+    filePath: file.path,
+    fileName: file.originalname,
+    fileSize: file.size
+  }));
+}
+
+/**
+ * Multer files of a request, from upload.single(), .array() or .fields()
+ * @param {Object} req - Express request after multer
+ * @returns {Object[]} - Multer files
+ */
+function multerFiles(req) {
+  if (req.file) {
+    return [req.file];
   }
+  if (Array.isArray(req.files)) {
+    return req.files;
+  }
+  return Object.values(req.files || {}).reduce((files, list) => files.concat(list), []);
+}
+
+/**
+ * Delete the temporary files of an upload, if any
+ * @param {Object} req - Express request after multer
+ */
+function removeTempFiles(req) {
+  multerFiles(req).forEach(file => {
+    if (fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+  });
 }
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,261 @@
+/**
+ * Notification API Routes
+ *
+ * Lets users list their notifications, mark them read or unread, choose
+ * which notifications they receive in the app and by email, and follow
+ * new notifications as they happen over a Server-Sent Events stream.
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { authenticateToken } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { parsePagination } = require('../utils/queryParams');
+const {
+  getPreferences,
+  parsePreferences,
+  subscribe,
+  publish,
+  subscriberCount
+} = require('../utils/notifications');
+
+// Most event streams a user can have open at once, e.g. one per tab
+const MAX_STREAMS_PER_USER = 5;
+
+// Comment sent on idle streams so proxies don't close them
+const HEARTBEAT_MS = 25 * 1000;
+
+// How long browsers wait before reconnecting a dropped stream
+const RECONNECT_MS = 5 * 1000;
+
+/**
+ * Count a user's unread notifications and send the count to their streams
+ * @param {string} userId - User ID
+ * @returns {number} - Unread notifications
+ */
+async function publishUnreadCount(userId) {
+  const count = await Notification.countDocuments({ userId, readAt: null });
+  publish(userId, 'unread', { count });
+  return count;
+}
+
+/**
+ * @route   GET /api/notifications
+ * @desc    List the user's notifications, newest first. Pass unread=true
+ *          for unread notifications only.
+ * @access  Private
+ */
+router.get('/notifications',
+  audit('view_notifications'),
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { page, limit, skip } = parsePagination(req.query);
+      const filter = { userId: req.user.id };
+      if (req.query.unread === 'true') {
+        filter.readAt = null;
+      }
+
+      const [notifications, total, unreadCount] = await Promise.all([
+        Notification.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+        Notification.countDocuments(filter),
+        Notification.countDocuments({ userId: req.user.id, readAt: null })
+      ]);
+
+      req.audit.details = { unread: req.query.unread === 'true', results: notifications.length };
+
+      res.json({
+        notifications: notifications.map(notification => notification.toResponse()),
+        unreadCount,
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      });
+    } catch (error) {
+      console.error('Fetch notifications error:', error);
+      res.status(500).json({ message: 'Server error while fetching notifications' });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Count the user's unread notifications
+ * @access  Private
+ */
+router.get('/notifications/unread-count',
+  audit('view_notifications'),
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const count = await Notification.countDocuments({ userId: req.user.id, readAt: null });
+      res.json({ count });
+    } catch (error) {
+      console.error('Count notifications error:', error);
+      res.status(500).json({ message: 'Server error while counting notifications' });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/notifications/read-all
+ * @desc    Mark all of the user's notifications read
+ * @access  Private
+ */
+router.post('/notifications/read-all',
+  audit('update_notifications'),
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const result = await Notification.updateMany(
+        { userId: req.user.id, readAt: null },
+        { $set: { readAt: new Date() } }
+      );
+      await publishUnreadCount(req.user.id);
+
+      req.audit.details = { change: 'read_all', updated: result.modifiedCount };
+
+      res.json({ message: 'All notifications marked read', updated: result.modifiedCount });
+    } catch (error) {
+      console.error('Mark notifications read error:', error);
+      res.status(500).json({ message: 'Server error while updating notifications' });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/notifications/preferences
+ * @desc    Get which notifications the user receives in the app and by email
+ * @access  Private
+ */
+router.get('/notifications/preferences',
+  audit('view_notification_preferences'),
+  authenticateToken,
+  (req, res) => {
+    res.json(getPreferences(req.user));
+  }
+);
+
+/**
+ * @route   PATCH /api/notifications/preferences
+ * @desc    Turn notification types on or off per channel, e.g.
+ *          { "new_record": { "email": false } }
+ * @access  Private
+ */
+router.patch('/notifications/preferences',
+  audit('update_notification_preferences'),
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const preferences = parsePreferences(req.body, req.user);
+      if (preferences.error) {
+        return res.status(400).json({ message: preferences.error });
+      }
+
+      const user = await User.findByIdAndUpdate(
+        req.user.id,
+        { $set: { notificationPreferences: preferences } },
+        { new: true }
+      );
+
+      req.audit.details = { types: Object.keys(req.body) };
+
+      res.json({ message: 'Notification preferences updated', preferences: getPreferences(user) });
+    } catch (error) {
+      console.error('Update notification preferences error:', error);
+      res.status(500).json({ message: 'Server error while updating notification preferences' });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/notifications/stream
+ * @desc    Server-Sent Events stream of the user's notifications. Sends an
+ *          'unread' event with { count } on connect and whenever
+ *          notifications are marked read or unread, and a 'notification'
+ *          event with each new notification.
+ * @access  Private
+ */
+router.get('/notifications/stream',
+  audit('subscribe_notifications'),
+  authenticateToken,
+  async (req, res) => {
+    try {
+      if (subscriberCount(req.user.id) >= MAX_STREAMS_PER_USER) {
+        return res.status(429).json({ message: 'Too many open notification streams' });
+      }
+
+      const count = await Notification.countDocuments({ userId: req.user.id, readAt: null });
+
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Don't let nginx buffer the stream
+      });
+      res.flushHeaders();
+
+      const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      };
+
+      res.write(`retry: ${RECONNECT_MS}\n\n`);
+      send('unread', { count });
+
+      const unsubscribe = subscribe(req.user.id, send);
+      const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+
+      res.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      });
+    } catch (error) {
+      console.error('Notification stream error:', error);
+      res.status(500).json({ message: 'Server error while opening notification stream' });
+    }
+  }
+);
+
+/**
+ * @route   PATCH /api/notifications/:id
+ * @desc    Mark a notification read or unread with { read: true|false }
+ * @access  Private
+ */
+router.patch('/notifications/:id',
+  audit('update_notifications'),
+  authenticateToken,
+  async (req, res) => {
+    try {
+      if (typeof req.body.read !== 'boolean') {
+        return res.status(400).json({ message: 'read must be true or false' });
+      }
+
+      const notification = mongoose.Types.ObjectId.isValid(req.params.id)
+        ? await Notification.findOne({ _id: req.params.id, userId: req.user.id })
+        : null;
+
+      if (!notification) {
+        return res.status(404).json({ message: 'Notification not found' });
+      }
+
+      if (req.body.read !== Boolean(notification.readAt)) {
+        notification.readAt = req.body.read ? new Date() : null;
+        await notification.save();
+      }
+      const unreadCount = await publishUnreadCount(req.user.id);
+
+      req.audit.details = { notificationId: notification._id, change: req.body.read ? 'read' : 'unread' };
+
+      res.json({ notification: notification.toResponse(), unreadCount });
+    } catch (error) {
+      console.error('Update notification error:', error);
+      res.status(500).json({ message: 'Server error while updating notification' });
+    }
+  }
+);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,771 @@
+/**
+ * Patient Profile API Routes
+ *
+ * Lets patients view and update their profile (contact details, address,
+ * emergency contact, insurance) and medical history (allergies, chronic
+ * conditions, medications, surgeries). Doctors with access to the patient
+ * can read both and amend the medical history. The same handlers serve
+ * both: patient routes load the patient's own profile, doctor routes go
+ * through requirePatientAccess.
+ *
+ * Changes are audited with the section and fields changed, not their
+ * values, which are health information.
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const { authorizePatient, loadOwnPatient } = require('../middleware/patientContext');
+const { requirePatientAccess } = require('../middleware/doctorAccess');
+const { audit } = require('../middleware/audit');
+const Patient = require('../models/Patient');
+
+const GENDERS = Patient.schema.path('gender').enumValues;
+
+// Longest text accepted in a profile or history field
+const MAX_TEXT_LENGTH = 200;
+
+// Longest surgery notes accepted
+const MAX_NOTES_LENGTH = 2000;
+
+// Most entries in a medical history list
+const MAX_LIST_LENGTH = 100;
+
+// Fields of the nested profile sections patients can update
+const PROFILE_SECTIONS = {
+  address: ['street', 'city', 'state', 'zipCode', 'country'],
+  emergencyContact: ['name', 'relationship', 'phone'],
+  insurance: ['provider', 'policyNumber', 'groupNumber', 'expirationDate']
+};
+
+const MEDICATION_FIELDS = ['name', 'dosage', 'frequency', 'startDate', 'endDate'];
+const SURGERY_FIELDS = ['procedure', 'date', 'notes'];
+
+/**
+ * Validate a text field
+ * @param {*} value - Value from the request body
+ * @param {string} label - Field name for error messages
+ * @param {Object} options - { required, maxLength }
+ * @returns {Object} - { error } or { value } (null to clear the field)
+ */
+function parseText(value, label, { required = false, maxLength = MAX_TEXT_LENGTH } = {}) {
+  if (value === null || value === '') {
+    return required ? { error: `${label} is required` } : { value: null };
+  }
+  if (typeof value !== 'string') {
+    return { error: `${label} must be text` };
+  }
+
+  const text = value.trim();
+  if (!text && required) {
+    return { error: `${label} is required` };
+  }
+  if (text.length > maxLength) {
+    return { error: `${label} can be at most ${maxLength} characters` };
+  }
+
+  return { value: text || null };
+}
+
+/**
+ * Validate a date field
+ * @param {*} value - Value from the request body
+ * @param {string} label - Field name for error messages
+ * @returns {Object} - { error } or { value } (null to clear the field)
+ */
+function parseDate(value, label) {
+  if (value === null || value === '') {
+    return { value: null };
+  }
+
+  const date = typeof value === 'string' ? new Date(value) : null;
+  if (!date || isNaN(date.getTime())) {
+    return { error: `${label} must be a date` };
+  }
+
+  return { value: date };
+}
+
+/**
+ * Validate the fields of an object, such as a medication or an address
+ * @param {Object} body - Object from the request body
+ * @param {string[]} fields - Accepted fields; those ending in "date" or "Date" are dates
+ * @param {Object} options - { required: fields that must be set, label: for error messages }
+ * @returns {Object} - { error } or { values } with the fields that were given
+ */
+function parseFields(body, fields, { required = [], label }) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: `${label} must be an object` };
+  }
+
+  const values = {};
+  for (const field of fields) {
+    if (body[field] === undefined) {
+      if (required.includes(field)) {
+        return { error: `${label} ${field} is required` };
+      }
+      continue;
+    }
+
+    const parsed = /date$/i.test(field)
+      ? parseDate(body[field], `${label} ${field}`)
+      : parseText(body[field], `${label} ${field}`, {
+        required: required.includes(field),
+        maxLength: field === 'notes' ? MAX_NOTES_LENGTH : MAX_TEXT_LENGTH
+      });
+    if (parsed.error) {
+      return parsed;
+    }
+    values[field] = parsed.value;
+  }
+
+  return { values };
+}
+
+/**
+ * Validate a medication
+ * @param {Object} body - Request body
+ * @param {boolean} isNew - Whether the name is required
+ * @returns {Object} - { error } or { values }
+ */
+function parseMedication(body, isNew) {
+  const parsed = parseFields(body, MEDICATION_FIELDS, { required: isNew ? ['name'] : [], label: 'Medication' });
+  if (parsed.error) {
+    return parsed;
+  }
+
+  if (!isNew && parsed.values.name === null) {
+    return { error: 'Medication name is required' };
+  }
+
+  return parsed;
+}
+
+/**
+ * Validate a list of text entries, such as allergies
+ * @param {*} value - Value from the request body
+ * @param {string} label - Field name for error messages
+ * @returns {Object} - { error } or { value } without duplicates
+ */
+function parseTextList(value, label) {
+  if (!Array.isArray(value)) {
+    return { error: `${label} must be a list` };
+  }
+  if (value.length > MAX_LIST_LENGTH) {
+    return { error: `${label} can have at most ${MAX_LIST_LENGTH} entries` };
+  }
+
+  const entries = [];
+  for (const entry of value) {
+    const parsed = parseText(entry, label, { required: true });
+    if (parsed.error) {
+      return parsed;
+    }
+    if (!entries.some(existing => sameEntry(existing, parsed.value))) {
+      entries.push(parsed.value);
+    }
+  }
+
+  return { value: entries };
+}
+
+/**
+ * Validate a list of objects, such as surgeries
+ * @param {*} value - Value from the request body
+ * @param {Function} parseItem - (item) => { error } or { values }
+ * @param {string} label - Field name for error messages
+ * @returns {Object} - { error } or { value }
+ */
+function parseObjectList(value, parseItem, label) {
+  if (!Array.isArray(value)) {
+    return { error: `${label} must be a list` };
+  }
+  if (value.length > MAX_LIST_LENGTH) {
+    return { error: `${label} can have at most ${MAX_LIST_LENGTH} entries` };
+  }
+
+  const items = [];
+  for (const item of value) {
+    const parsed = parseItem(item);
+    if (parsed.error) {
+      return parsed;
+    }
+    items.push(parsed.values);
+  }
+
+  return { value: items };
+}
+
+/**
+ * Validate a profile update
+ * @param {Object} body - Request body
+ * @returns {Object} - { error } or the fields to update
+ */
+function parseProfile(body) {
+  const updates = {};
+
+  if (body.name !== undefined) {
+    const name = parseText(body.name, 'Name', { required: true });
+    if (name.error) {
+      return name;
+    }
+    updates.name = name.value;
+  }
+
+  if (body.phone !== undefined) {
+    const phone = parseText(body.phone, 'Phone');
+    if (phone.error) {
+      return phone;
+    }
+    updates.phone = phone.value;
+  }
+
+  if (body.gender !== undefined) {
+    if (!GENDERS.includes(body.gender)) {
+      return { error: `Gender must be one of: ${GENDERS.join(', ')}` };
+    }
+    updates.gender = body.gender;
+  }
+
+  for (const [section, fields] of Object.entries(PROFILE_SECTIONS)) {
+    if (body[section] === undefined) continue;
+
+    const parsed = parseFields(body[section], fields, { label: section });
+    if (parsed.error) {
+      return parsed;
+    }
+    updates[section] = parsed.values;
+  }
+
+  return updates;
+}
+
+/**
+ * Validate an update of whole medical history lists
+ * @param {Object} body - Request body
+ * @returns {Object} - { error } or the lists to replace
+ */
+function parseHistory(body) {
+  const updates = {};
+
+  for (const list of ['allergies', 'chronicConditions']) {
+    if (body[list] === undefined) continue;
+
+    const parsed = parseTextList(body[list], list);
+    if (parsed.error) {
+      return parsed;
+    }
+    updates[list] = parsed.value;
+  }
+
+  if (body.medications !== undefined) {
+    const parsed = parseObjectList(body.medications, item => parseMedication(item, true), 'medications');
+    if (parsed.error) {
+      return parsed;
+    }
+    updates.medications = parsed.value;
+  }
+
+  if (body.surgeries !== undefined) {
+    const parsed = parseObjectList(body.surgeries, item =>
+      parseFields(item, SURGERY_FIELDS, { required: ['procedure'], label: 'Surgery' }), 'surgeries');
+    if (parsed.error) {
+      return parsed;
+    }
+    updates.surgeries = parsed.value;
+  }
+
+  return updates;
+}
+
+/**
+ * Whether two list entries name the same thing, ignoring case
+ */
+function sameEntry(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Format a patient's profile for API responses
+ * @param {Object} patient - Patient
+ * @returns {Object} - Profile fields
+ */
+function formatProfile(patient) {
+  const section = (name) => {
+    const values = patient[name] || {};
+    return Object.fromEntries(PROFILE_SECTIONS[name].map(field => [field, values[field] || null]));
+  };
+
+  return {
+    id: patient._id,
+    name: patient.name,
+    email: patient.email,
+    phone: patient.phone || null,
+    dob: patient.dob,
+    gender: patient.gender,
+    address: section('address'),
+    emergencyContact: section('emergencyContact'),
+    insurance: section('insurance')
+  };
+}
+
+/**
+ * Format a patient's medical history for API responses
+ * @param {Object} patient - Patient
+ * @returns {Object} - Medical history lists
+ */
+function formatHistory(patient) {
+  const history = patient.medicalHistory || {};
+
+  return {
+    allergies: history.allergies || [],
+    chronicConditions: history.chronicConditions || [],
+    medications: (history.medications || []).map(medication => ({
+      id: medication._id,
+      ...Object.fromEntries(MEDICATION_FIELDS.map(field => [field, medication[field] || null]))
+    })),
+    surgeries: (history.surgeries || []).map(surgery => ({
+      id: surgery._id,
+      ...Object.fromEntries(SURGERY_FIELDS.map(field => [field, surgery[field] || null]))
+    }))
+  };
+}
+
+/**
+ * Save a change to the patient in req.patient and respond with the updated
+ * medical history
+ * @param {Object} res - Express response
+ * @param {Object} patient - Patient with the change applied
+ * @param {string} message - Response message
+ * @param {number} status - Response status
+ */
+async function saveHistory(res, patient, message, status = 200) {
+  await patient.save();
+  res.status(status).json({ message, medicalHistory: formatHistory(patient) });
+}
+
+/**
+ * Medical history of the patient in req.patient, created if missing
+ */
+function medicalHistoryOf(patient) {
+  if (!patient.medicalHistory) {
+    patient.medicalHistory = {};
+  }
+  return patient.medicalHistory;
+}
+
+/**
+ * Find a medication of the patient in req.patient by its ID
+ * @returns {Object|null} - Medication subdocument
+ */
+function findMedication(req) {
+  const medications = medicalHistoryOf(req.patient).medications;
+
+  return mongoose.Types.ObjectId.isValid(req.params.medicationId)
+    ? medications.id(req.params.medicationId)
+    : null;
+}
+
+async function getProfile(req, res) {
+  try {
+    res.json({ ...formatProfile(req.patient), medicalHistory: formatHistory(req.patient) });
+  } catch (error) {
+    console.error('Fetch profile error:', error);
+    res.status(500).json({ message: 'Server error while fetching profile' });
+  }
+}
+
+async function getHistory(req, res) {
+  try {
+    res.json(formatHistory(req.patient));
+  } catch (error) {
+    console.error('Fetch medical history error:', error);
+    res.status(500).json({ message: 'Server error while fetching medical history' });
+  }
+}
+
+async function updateHistory(req, res) {
+  try {
+    const updates = parseHistory(req.body);
+    if (updates.error) {
+      return res.status(400).json({ message: updates.error });
+    }
+    if (!Object.keys(updates).length) {
+      return res.status(400).json({ message: 'No medical history changes given' });
+    }
+
+    Object.assign(medicalHistoryOf(req.patient), updates);
+
+    req.audit.details = { section: 'medicalHistory', change: 'replace', fields: Object.keys(updates) };
+
+    await saveHistory(res, req.patient, 'Medical history updated');
+  } catch (error) {
+    console.error('Update medical history error:', error);
+    res.status(500).json({ message: 'Server error while updating medical history' });
+  }
+}
+
+async function addAllergy(req, res) {
+  try {
+    const allergy = parseText(req.body.name, 'Allergy', { required: true });
+    if (allergy.error) {
+      return res.status(400).json({ message: allergy.error });
+    }
+
+    const history = medicalHistoryOf(req.patient);
+    if (history.allergies.some(existing => sameEntry(existing, allergy.value))) {
+      return res.status(409).json({ message: 'This allergy is already listed' });
+    }
+    if (history.allergies.length >= MAX_LIST_LENGTH) {
+      return res.status(400).json({ message: `allergies can have at most ${MAX_LIST_LENGTH} entries` });
+    }
+
+    history.allergies.push(allergy.value);
+
+    req.audit.details = { section: 'allergies', change: 'add' };
+
+    await saveHistory(res, req.patient, 'Allergy added', 201);
+  } catch (error) {
+    console.error('Add allergy error:', error);
+    res.status(500).json({ message: 'Server error while adding allergy' });
+  }
+}
+
+async function removeAllergy(req, res) {
+  try {
+    const history = medicalHistoryOf(req.patient);
+    const allergy = history.allergies.find(existing => sameEntry(existing, req.params.allergy));
+
+    if (!allergy) {
+      return res.status(404).json({ message: 'Allergy not found' });
+    }
+
+    history.allergies.pull(allergy);
+
+    req.audit.details = { section: 'allergies', change: 'remove' };
+
+    await saveHistory(res, req.patient, 'Allergy removed');
+  } catch (error) {
+    console.error('Remove allergy error:', error);
+    res.status(500).json({ message: 'Server error while removing allergy' });
+  }
+}
+
+async function addMedication(req, res) {
+  try {
+    const medication = parseMedication(req.body, true);
+    if (medication.error) {
+      return res.status(400).json({ message: medication.error });
+    }
+
+    const history = medicalHistoryOf(req.patient);
+    if (history.medications.length >= MAX_LIST_LENGTH) {
+      return res.status(400).json({ message: `medications can have at most ${MAX_LIST_LENGTH} entries` });
+    }
+
+    history.medications.push(medication.values);
+    const added = history.medications[history.medications.length - 1];
+
+    req.audit.details = { section: 'medications', change: 'add', medicationId: added._id };
+
+    await saveHistory(res, req.patient, 'Medication added', 201);
+  } catch (error) {
+    console.error('Add medication error:', error);
+    res.status(500).json({ message: 'Server error while adding medication' });
+  }
+}
+
+async function updateMedication(req, res) {
+  try {
+    const updates = parseMedication(req.body, false);
+    if (updates.error) {
+      return res.status(400).json({ message: updates.error });
+    }
+    if (!Object.keys(updates.values).length) {
+      return res.status(400).json({ message: 'No medication changes given' });
+    }
+
+    const medication = findMedication(req);
+    if (!medication) {
+      return res.status(404).json({ message: 'Medication not found' });
+    }
+
+    medication.set(updates.values);
+
+    req.audit.details = {
+      section: 'medications',
+      change: 'update',
+      medicationId: medication._id,
+      fields: Object.keys(updates.values)
+    };
+
+    await saveHistory(res, req.patient, 'Medication updated');
+  } catch (error) {
+    console.error('Update medication error:', error);
+    res.status(500).json({ message: 'Server error while updating medication' });
+  }
+}
+
+async function removeMedication(req, res) {
+  try {
+    const medication = findMedication(req);
+    if (!medication) {
+      return res.status(404).json({ message: 'Medication not found' });
+    }
+
+    medicalHistoryOf(req.patient).medications.pull(medication._id);
+
+    req.audit.details = { section: 'medications', change: 'remove', medicationId: medication._id };
+
+    await saveHistory(res, req.patient, 'Medication removed');
+  } catch (error) {
+    console.error('Remove medication error:', error);
+    res.status(500).json({ message: 'Server error while removing medication' });
+  }
+}
+
+/**
+ * @route   GET /api/patient/profile
+ * @desc    Get the patient's profile and medical history
+ * @access  Private (Patient, or caregiver with view permission)
+ */
+router.get('/patient/profile',
+  audit('view_profile'),
+  authenticateToken,
+  authorizePatient('view'),
+  loadOwnPatient,
+  getProfile
+);
+
+/**
+ * @route   PATCH /api/patient/profile
+ * @desc    Update the patient's name, phone, gender, address, emergency
+ *          contact or insurance. Sections are replaced as a whole.
+ * @access  Private (Patient, or caregiver with upload permission)
+ */
+router.patch('/patient/profile',
+  audit('update_profile'),
+  authenticateToken,
+  authorizePatient('upload'),
+  loadOwnPatient,
+  async (req, res) => {
+    try {
+      const updates = parseProfile(req.body);
+      if (updates.error) {
+        return res.status(400).json({ message: updates.error });
+      }
+      if (!Object.keys(updates).length) {
+        return res.status(400).json({ message: 'No profile changes given' });
+      }
+
+      req.patient.set(updates);
+      await req.patient.save();
+
+      req.audit.details = { section: 'profile', change: 'update', fields: Object.keys(updates) };
+
+      res.json({ message: 'Profile updated', profile: formatProfile(req.patient) });
+    } catch (error) {
+      console.error('Update profile error:', error);
+      res.status(500).json({ message: 'Server error while updating profile' });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/patient/medical-history
+ * @desc    Get the patient's medical history
+ * @access  Private (Patient, or caregiver with view permission)
+ */
+router.get('/patient/medical-history',
+  audit('view_medical_history'),
+  authenticateToken,
+  authorizePatient('view'),
+  loadOwnPatient,
+  getHistory
+);
+
+/**
+ * @route   PATCH /api/patient/medical-history
+ * @desc    Replace whole lists of the medical history: allergies,
+ *          chronicConditions, medications or surgeries
+ * @access  Private (Patient, or caregiver with upload permission)
+ */
+router.patch('/patient/medical-history',
+  audit('update_medical_history'),
+  authenticateToken,
+  authorizePatient('upload'),
+  loadOwnPatient,
+  updateHistory
+);
+
+/**
+ * @route   POST /api/patient/medical-history/allergies
+ * @desc    Add an allergy
+ * @access  Private (Patient, or caregiver with upload permission)
+ */
+router.post('/patient/medical-history/allergies',
+  audit('update_medical_history'),
+  authenticateToken,
+  authorizePatient('upload'),
+  loadOwnPatient,
+  addAllergy
+);
+
+/**
+ * @route   DELETE /api/patient/medical-history/allergies/:allergy
+ * @desc    Remove an allergy, by name
+ * @access  Private (Patient, or caregiver with upload permission)
+ */
+router.delete('/patient/medical-history/allergies/:allergy',
+  audit('update_medical_history'),
+  authenticateToken,
+  authorizePatient('upload'),
+  loadOwnPatient,
+  removeAllergy
+);
+
+/**
+ * @route   POST /api/patient/medical-history/medications
+ * @desc    Add a medication
+ * @access  Private (Patient, or caregiver with upload permission)
+ */
+router.post('/patient/medical-history/medications',
+  audit('update_medical_history'),
+  authenticateToken,
+  authorizePatient('upload'),
+  loadOwnPatient,
+  addMedication
+);
+
+/**
+ * @route   PATCH /api/patient/medical-history/medications/:medicationId
+ * @desc    Change a medication, e.g. its dosage or end date
+ * @access  Private (Patient, or caregiver with upload permission)
+ */
+router.patch('/patient/medical-history/medications/:medicationId',
+  audit('update_medical_history'),
+  authenticateToken,
+  authorizePatient('upload'),
+  loadOwnPatient,
+  updateMedication
+);
+
+/**
+ * @route   DELETE /api/patient/medical-history/medications/:medicationId
+ * @desc    Remove a medication
+ * @access  Private (Patient, or caregiver with upload permission)
+ */
+router.delete('/patient/medical-history/medications/:medicationId',
+  audit('update_medical_history'),
+  authenticateToken,
+  authorizePatient('upload'),
+  loadOwnPatient,
+  removeMedication
+);
+
+/**
+ * @route   GET /api/doctor/patients/:patientId/profile
+ * @desc    Get a patient's profile and medical history
+ * @access  Private (Doctor with patient consent)
+ */
+router.get('/doctor/patients/:patientId/profile',
+  audit('view_profile'),
+  authenticateToken,
+  authorizeRole('doctor'),
+  requirePatientAccess('patientId'),
+  getProfile
+);
+
+/**
+ * @route   GET /api/doctor/patients/:patientId/medical-history
+ * @desc    Get a patient's medical history
+ * @access  Private (Doctor with patient consent)
+ */
+router.get('/doctor/patients/:patientId/medical-history',
+  audit('view_medical_history'),
+  authenticateToken,
+  authorizeRole('doctor'),
+  requirePatientAccess('patientId'),
+  getHistory
+);
+
+/**
+ * @route   PATCH /api/doctor/patients/:patientId/medical-history
+ * @desc    Amend whole lists of a patient's medical history
+ * @access  Private (Doctor with patient consent)
+ */
+router.patch('/doctor/patients/:patientId/medical-history',
+  audit('update_medical_history'),
+  authenticateToken,
+  authorizeRole('doctor'),
+  requirePatientAccess('patientId'),
+  updateHistory
+);
+
+/**
+ * @route   POST /api/doctor/patients/:patientId/medical-history/allergies
+ * @desc    Add an allergy to a patient's medical history
+ * @access  Private (Doctor with patient consent)
+ */
+router.post('/doctor/patients/:patientId/medical-history/allergies',
+  audit('update_medical_history'),
+  authenticateToken,
+  authorizeRole('doctor'),
+  requirePatientAccess('patientId'),
+  addAllergy
+);
+
+/**
+ * @route   DELETE /api/doctor/patients/:patientId/medical-history/allergies/:allergy
+ * @desc    Remove an allergy from a patient's medical history
+ * @access  Private (Doctor with patient consent)
+ */
+router.delete('/doctor/patients/:patientId/medical-history/allergies/:allergy',
+  audit('update_medical_history'),
+  authenticateToken,
+  authorizeRole('doctor'),
+  requirePatientAccess('patientId'),
+  removeAllergy
+);
+
+/**
+ * @route   POST /api/doctor/patients/:patientId/medical-history/medications
+ * @desc    Add a medication to a patient's medical history
+ * @access  Private (Doctor with patient consent)
+ */
+router.post('/doctor/patients/:patientId/medical-history/medications',
+  audit('update_medical_history'),
+  authenticateToken,
+  authorizeRole('doctor'),
+  requirePatientAccess('patientId'),
+  addMedication
+);
+
+/**
+ * @route   PATCH /api/doctor/patients/:patientId/medical-history/medications/:medicationId
+ * @desc    Change a medication in a patient's medical history
+ * @access  Private (Doctor with patient consent)
+ */
+router.patch('/doctor/patients/:patientId/medical-history/medications/:medicationId',
+  audit('update_medical_history'),
+  authenticateToken,
+  authorizeRole('doctor'),
+  requirePatientAccess('patientId'),
+  updateMedication
+);
+
+/**
+ * @route   DELETE /api/doctor/patients/:patientId/medical-history/medications/:medicationId
+ * @desc    Remove a medication from a patient's medical history
+ * @access  Private (Doctor with patient consent)
+ */
+router.delete('/doctor/patients/:patientId/medical-history/medications/:medicationId',
+  audit('update_medical_history'),
+  authenticateToken,
+  authorizeRole('doctor'),
+  requirePatientAccess('patientId'),
+  removeMedication
+);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,370 @@
+/**
+ * Share Link API Routes
+ *
+ * Lets patients hand the file of a single record to someone who isn't on
+ * the platform, such as a specialist, with a link that:
+ *   - expires, by default after three days and at most after 30
+ *   - can be opened a limited number of times
+ *   - can require a PIN, locked after too many wrong attempts
+ *   - can be revoked at any time
+ *
+ * Opening a link needs no account. Every use is recorded in the access log,
+ * so it shows in the patient's access history.
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { authenticateToken } = require('../middleware/auth');
+const { authorizePatient } = require('../middleware/patientContext');
+const { audit, auditDenied } = require('../middleware/audit');
+const MedicalRecord = require('../models/MedicalRecord');
+const ShareLink = require('../models/ShareLink');
+const { openStoredFile } = require('../utils/fileEncryption');
+const { streamFile } = require('../utils/fileResponse');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Link lifetime when none is given, and the longest allowed
+const DEFAULT_EXPIRY_MS = 3 * DAY_MS;
+const MAX_EXPIRY_MS = 30 * DAY_MS;
+
+// Views allowed when no limit is given, and the highest limit allowed
+const DEFAULT_MAX_VIEWS = 5;
+const MAX_VIEWS_LIMIT = 50;
+
+/**
+ * Validate the options of a new share link
+ * @param {Object} body - Request body
+ * @returns {Object} - { error } or { expiresAt, maxViews, pin, label, pageId }
+ */
+function parseShareOptions(body) {
+  const now = Date.now();
+
+  let expiresAt = new Date(now + DEFAULT_EXPIRY_MS);
+  if (body.expiresAt !== undefined) {
+    expiresAt = new Date(body.expiresAt);
+    if (isNaN(expiresAt.getTime()) || expiresAt.getTime() <= now) {
+      return { error: 'expiresAt must be a date in the future' };
+    }
+    if (expiresAt.getTime() > now + MAX_EXPIRY_MS) {
+      return { error: 'Share links can last at most 30 days' };
+    }
+  }
+
+  let maxViews = DEFAULT_MAX_VIEWS;
+  if (body.maxViews !== undefined) {
+    maxViews = Number(body.maxViews);
+    if (!Number.isInteger(maxViews) || maxViews < 1 || maxViews > MAX_VIEWS_LIMIT) {
+      return { error: `maxViews must be a whole number from 1 to ${MAX_VIEWS_LIMIT}` };
+    }
+  }
+
+  const { pin, label, pageId } = body;
+  if (pin !== undefined && pin !== null && (typeof pin !== 'string' || !/^\d{4,8}$/.test(pin))) {
+    return { error: 'pin must be 4 to 8 digits' };
+  }
+  if (label !== undefined && typeof label !== 'string') {
+    return { error: 'label must be text' };
+  }
+  if (pageId !== undefined && !mongoose.Types.ObjectId.isValid(pageId)) {
+    return { error: 'Invalid page ID' };
+  }
+
+  return { expiresAt, maxViews, pin: pin || null, label, pageId };
+}
+
+/**
+ * Page to enter the PIN of a protected link in a browser
+ * @param {string} message - Message above the form, e.g. a failed attempt
+ * @returns {string} - HTML
+ */
+function pinForm(message) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>ALZO shared record</title>
+</head>
+<body style="font-family: sans-serif; max-width: 24rem; margin: 4rem auto; padding: 0 1rem;">
+<h1 style="font-size: 1.25rem;">Shared medical record</h1>
+<p>${message}</p>
+<form method="post">
+<label for="pin">PIN</label>
+<input id="pin" name="pin" type="password" inputmode="numeric" autocomplete="off" pattern="\\d{4,8}" required autofocus>
+<button type="submit">Open</button>
+</form>
+</body>
+</html>`;
+}
+
+/**
+ * @route   POST /api/patient/medical-records/:id/share
+ * @desc    Create a share link for the file of a record (its first page,
+ *          or pageId). Returns the link's URL once; it can't be shown again.
+ * @access  Private (Patient, or caregiver with manage_care_team permission)
+ */
+router.post('/patient/medical-records/:id/share',
+  audit('share_record'),
+  authenticateToken,
+  authorizePatient('manage_care_team'),
+  async (req, res) => {
+    try {
+      const options = parseShareOptions(req.body);
+      if (options.error) {
+        return res.status(400).json({ message: options.error });
+      }
+
+      const record = mongoose.Types.ObjectId.isValid(req.params.id)
+        ? await MedicalRecord.findOne({ _id: req.params.id, patientId: req.patientId, deletedAt: null })
+        : null;
+
+      if (!record) {
+        return res.status(404).json({ message: 'Record not found' });
+      }
+
+      req.audit.recordId = record._id;
+
+      const page = options.pageId
+        ? record.pages.find(item => String(item._id) === options.pageId)
+        : record.pages[0];
+      if (!page) {
+        return res.status(404).json({ message: 'Page not found' });
+      }
+
+      const link = new ShareLink({
+        recordId: record._id,
+        pageId: page._id,
+        patientId: record.patientId,
+        createdBy: req.user._id,
+        label: options.label,
+        expiresAt: options.expiresAt,
+        maxViews: options.maxViews
+      });
+      await link.setPin(options.pin);
+      await link.save();
+
+      req.audit.details = {
+        linkId: link._id,
+        expiresAt: link.expiresAt,
+        maxViews: link.maxViews,
+        pinProtected: Boolean(options.pin)
+      };
+
+      const appUrl = process.env.APP_URL || 'http://localhost:5000';
+
+      res.status(201).json({
+        message: 'Share link created',
+        link: {
+          ...link.toResponse(),
+          url: `${appUrl}/api/share/${link.createToken()}`
+        }
+      });
+    } catch (error) {
+      console.error('Create share link error:', error);
+      res.status(500).json({ message: 'Server error while creating share link' });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/patient/share-links
+ * @desc    List the patient's active share links, newest first. Pass
+ *          all=true to include expired, used up and revoked links, or
+ *          recordId for the links of one record.
+ * @access  Private (Patient, or caregiver with manage_care_team permission)
+ */
+router.get('/patient/share-links',
+  audit('view_share_links'),
+  authenticateToken,
+  authorizePatient('manage_care_team'),
+  async (req, res) => {
+    try {
+      const { recordId } = req.query;
+      if (recordId && !mongoose.Types.ObjectId.isValid(recordId)) {
+        return res.status(400).json({ message: 'Invalid record ID' });
+      }
+
+      const filter = { patientId: req.patientId };
+      if (recordId) {
+        filter.recordId = recordId;
+      }
+      if (req.query.all !== 'true') {
+        filter.revokedAt = null;
+        filter.expiresAt = { $gt: new Date() };
+        filter.$expr = { $lt: ['$viewCount', '$maxViews'] };
+      }
+
+      const links = await ShareLink.find(filter)
+        .select('+pinHash')
+        .sort({ createdAt: -1 });
+
+      res.json(links.map(link => link.toResponse()));
+    } catch (error) {
+      console.error('Fetch share links error:', error);
+      res.status(500).json({ message: 'Server error while fetching share links' });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/patient/share-links/:linkId
+ * @desc    Revoke a share link so it can no longer be opened
+ * @access  Private (Patient, or caregiver with manage_care_team permission)
+ */
+router.delete('/patient/share-links/:linkId',
+  audit('revoke_share_link'),
+  authenticateToken,
+  authorizePatient('manage_care_team'),
+  async (req, res) => {
+    try {
+      const link = mongoose.Types.ObjectId.isValid(req.params.linkId)
+        ? await ShareLink.findOne({ _id: req.params.linkId, patientId: req.patientId }).select('+pinHash')
+        : null;
+
+      if (!link) {
+        return res.status(404).json({ message: 'Share link not found' });
+      }
+
+      req.audit.recordId = link.recordId;
+      req.audit.details = { linkId: link._id };
+
+      if (link.revokedAt) {
+        return res.status(409).json({ message: 'Share link is already revoked' });
+      }
+
+      link.revokedAt = new Date();
+      link.revokedReason = 'patient';
+      await link.save();
+
+      res.json({ message: 'Share link revoked', link: link.toResponse() });
+    } catch (error) {
+      console.error('Revoke share link error:', error);
+      res.status(500).json({ message: 'Server error while revoking share link' });
+    }
+  }
+);
+
+/**
+ * Serve the file of a share link after checking the link and its PIN.
+ * Handles both GET and POST, which the PIN form submits to.
+ */
+async function openSharedRecord(req, res) {
+  // The signature in the token is a secret; only log the link ID
+  req.audit.endpoint = `${req.baseUrl}/share/${req.params.token.split('.')[0]}`;
+
+  try {
+    const link = await ShareLink.findByToken(req.params.token);
+
+    if (!link) {
+      auditDenied(req, { reason: 'Invalid or expired share link' });
+      return res.status(404).json({ message: 'This link is invalid or has expired' });
+    }
+
+    req.audit.patientId = link.patientId;
+    req.audit.recordId = link.recordId;
+    req.audit.details = { linkId: link._id };
+
+    if (!link.isActive) {
+      auditDenied(req, {
+        patientId: link.patientId,
+        recordId: link.recordId,
+        reason: link.revokedAt ? 'Share link was revoked' : 'Share link has no views left'
+      });
+      return res.status(410).json({ message: 'This link is no longer available' });
+    }
+
+    if (link.pinHash) {
+      const pin = req.get('X-Share-PIN') || (req.body && req.body.pin);
+
+      // Asking for the PIN isn't a use of the link
+      if (!pin) {
+        req.audit.skip = true;
+        if (req.accepts(['json', 'html']) === 'html') {
+          return res.status(401).type('html').send(pinForm('Enter the PIN you were given to open this record.'));
+        }
+        return res.status(401).json({ message: 'This link requires a PIN', pinRequired: true });
+      }
+
+      const { correct, attemptsLeft } = await link.checkPin(String(pin));
+
+      if (!correct) {
+        auditDenied(req, { patientId: link.patientId, recordId: link.recordId, reason: 'Incorrect share link PIN' });
+        const message = attemptsLeft
+          ? `Incorrect PIN. ${attemptsLeft} ${attemptsLeft === 1 ? 'attempt' : 'attempts'} left.`
+          : 'Incorrect PIN. This link has been locked.';
+        if (req.accepts(['json', 'html']) === 'html' && attemptsLeft) {
+          return res.status(401).type('html').send(pinForm(message));
+        }
+        return res.status(attemptsLeft ? 401 : 410).json({ message, pinRequired: Boolean(attemptsLeft), attemptsLeft });
+      }
+    }
+
+    const record = await MedicalRecord.findOne({ _id: link.recordId, deletedAt: null });
+    const page = record && record.pages.find(item => String(item._id) === String(link.pageId));
+
+    if (!page) {
+      auditDenied(req, { patientId: link.patientId, recordId: link.recordId, reason: 'Shared record was deleted' });
+      return res.status(410).json({ message: 'This link is no longer available' });
+    }
+
+    // Count the view, unless another request just used the last one.
+    // HEAD requests (e.g. from link previews) send no content, so they
+    // don't use up a view.
+    if (req.method !== 'HEAD') {
+      const counted = await ShareLink.findOneAndUpdate(
+        { _id: link._id, revokedAt: null, $expr: { $lt: ['$viewCount', '$maxViews'] } },
+        { $inc: { viewCount: 1 }, $set: { lastViewedAt: new Date() } },
+        { new: true }
+      );
+
+      if (!counted) {
+        auditDenied(req, { patientId: link.patientId, recordId: link.recordId, reason: 'Share link has no views left' });
+        return res.status(410).json({ message: 'This link is no longer available' });
+      }
+
+      req.audit.details = { linkId: link._id, view: counted.viewCount, maxViews: counted.maxViews };
+    }
+
+    // Every view is counted once, so send the whole file
+    delete req.headers.range;
+
+    const file = await openStoredFile(page.storageKey, record.encryption);
+
+    await streamFile(req, res, file, {
+      contentType: page.fileType,
+      fileName: page.fileName,
+      download: req.query.download === 'true'
+    });
+  } catch (error) {
+    console.error('Shared record error:', error);
+    res.status(500).json({ message: 'Server error while opening shared record' });
+  }
+}
+
+/**
+ * @route   GET /api/share/:token
+ * @desc    Open a shared record file. PIN-protected links take the PIN in
+ *          the X-Share-PIN header; browsers get a form to enter it.
+ *          ?download=true saves the file as an attachment.
+ * @access  Public (anyone with the link)
+ */
+router.get('/share/:token',
+  audit('view_shared_record', { anonymous: true }),
+  openSharedRecord
+);
+
+/**
+ * @route   POST /api/share/:token
+ * @desc    Open a PIN-protected shared record file, with pin in a form or
+ *          JSON body
+ * @access  Public (anyone with the link)
+ */
+router.post('/share/:token',
+  audit('view_shared_record', { anonymous: true }),
+  openSharedRecord
+);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,519 @@
+/**
+ * Resumable Upload API Routes
+ *
+ * Lets patients upload large medical record files in chunks over unreliable
+ * connections. A client starts an upload session, sends the file in
+ * fixed-size chunks (each with its SHA-256 checksum), can ask which chunks
+ * the server already has after a connection drop, and completes the upload
+ * once every chunk has arrived. The assembled file then goes through the
+ * same checks, thumbnail rendering and encryption as a single-request upload,
+ * and becomes a new record or a new page of an existing record.
+ */
+
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { pipeline } = require('stream/promises');
+const { authenticateToken } = require('../middleware/auth');
+const { authorizePatient } = require('../middleware/patientContext');
+const { audit } = require('../middleware/audit');
+const MedicalRecord = require('../models/MedicalRecord');
+const UploadSession = require('../models/UploadSession');
+const { parseDateParam } = require('../utils/queryParams');
+const { FILE_TYPES } = require('../utils/documentPreview');
+const { generateDataKey, unwrapDataKey, encryptBuffer, readStoredFile } = require('../utils/fileEncryption');
+const { removeFiles } = require('../utils/recordFiles');
+const {
+  UPLOAD_TMP_DIR,
+  MAX_UPLOAD_SIZE,
+  UPLOAD_CHUNK_SIZE,
+  MAX_PAGES,
+  isAcceptedUpload,
+  ingestRecordFiles,
+  addRecordPages,
+  toUploadedRecord
+} = require('../utils/recordUpload');
+
+const DOCUMENT_TYPES = MedicalRecord.schema.path('documentType').enumValues;
+
+// A completion that hasn't finished after this long is assumed to have
+// crashed, and the upload can be completed again
+const STALE_COMPLETION_MS = 15 * 60 * 1000;
+
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Validate the file and record details of a new upload.
+ * Uploads that add a page to an existing record (`recordId`) take no record details.
+ * @param {Object} body - Request body
+ * @returns {Object} - { error, status } or the session fields
+ */
+function parseUploadOptions(body) {
+  const fileName = typeof body.fileName === 'string' ? path.basename(body.fileName.trim()) : '';
+  const fileSize = Number(body.fileSize);
+  const { mimeType, documentType, notes, recordId } = body;
+
+  if (!fileName || (!documentType && !recordId) || !Number.isInteger(fileSize) || fileSize < 1) {
+    return { error: 'Missing required fields' };
+  }
+
+  if (fileSize > MAX_UPLOAD_SIZE) {
+    return {
+      error: `File too large. Maximum size is ${Math.floor(MAX_UPLOAD_SIZE / (1024 * 1024))}MB.`,
+      status: 413
+    };
+  }
+
+  if (!isAcceptedUpload(fileName, mimeType)) {
+    return { error: 'Invalid file type. Only JPEG, PNG, PDF and DICOM files are allowed.' };
+  }
+
+  const sha256 = body.sha256 ? String(body.sha256).toLowerCase() : undefined;
+  if (sha256 && !SHA256_PATTERN.test(sha256)) {
+    return { error: 'sha256 must be a hex SHA-256 digest' };
+  }
+
+  if (recordId) {
+    if (!mongoose.Types.ObjectId.isValid(recordId)) {
+      return { error: 'Invalid record ID' };
+    }
+    return { fileName, fileSize, sha256, recordId };
+  }
+
+  if (!DOCUMENT_TYPES.includes(documentType)) {
+    return { error: `documentType must be one of: ${DOCUMENT_TYPES.join(', ')}` };
+  }
+
+  // DICOM uploads can leave the date empty to use the study date
+  const documentDate = parseDateParam(body.documentDate);
+  const isDicom = mimeType === FILE_TYPES.DICOM || path.extname(fileName).toLowerCase() === '.dcm';
+  if (documentDate === false || (!documentDate && !isDicom)) {
+    return { error: 'A valid documentDate is required' };
+  }
+
+  return {
+    fileName,
+    fileSize,
+    sha256,
+    documentType,
+    documentDate,
+    notes: typeof notes === 'string' ? notes : undefined
+  };
+}
+
+/**
+ * Format an upload session for API responses
+ * @param {Object} session - Upload session
+ * @returns {Object} - Session progress
+ */
+function toSessionResponse(session) {
+  return {
+    uploadId: session._id,
+    fileName: session.fileName,
+    fileSize: session.fileSize,
+    chunkSize: session.chunkSize,
+    totalChunks: session.totalChunks,
+    receivedChunks: session.chunks.map(chunk => chunk.index).sort((a, b) => a - b),
+    status: session.status,
+    recordId: session.recordId,
+    expiresAt: session.expiresAt
+  };
+}
+
+/**
+ * Find an unexpired upload session of the patient acted on
+ * @param {Object} req - Express request
+ * @returns {Object|null} - Upload session
+ */
+async function findSession(req) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return null;
+  }
+
+  return UploadSession.findOne({
+    _id: req.params.id,
+    patientId: req.patientId,
+    expiresAt: { $gt: new Date() }
+  });
+}
+
+/**
+ * Delete an upload session and its stored chunks
+ * @param {Object} session - Upload session
+ */
+async function discardSession(session) {
+  await removeFiles(...session.chunkKeys());
+  await UploadSession.deleteOne({ _id: session._id });
+}
+
+/**
+ * Decrypt the chunks of an upload into a local file
+ * @param {Object} session - Upload session with every chunk received
+ * @param {string} filePath - File to write
+ * @returns {string} - SHA-256 of the assembled file
+ */
+async function assembleUpload(session, filePath) {
+  const hash = crypto.createHash('sha256');
+  const keys = new Map(session.chunks.map(chunk => [chunk.index, chunk.storageKey]));
+
+  await pipeline(
+    async function* () {
+      for (let index = 0; index < session.totalChunks; index++) {
+        const chunk = await readStoredFile(keys.get(index), session.encryption);
+        hash.update(chunk);
+        yield chunk;
+      }
+    },
+    fs.createWriteStream(filePath, { flags: 'wx', mode: 0o600 })
+  );
+
+  return hash.digest('hex');
+}
+
+/**
+ * @route   POST /api/patient/uploads
+ * @desc    Start a resumable upload of a medical record, or of a page to add
+ *          to an existing record (`recordId`)
+ * @access  Private (Patient, or caregiver with upload permission)
+ */
+router.post('/patient/uploads',
+  audit('start_upload'),
+  authenticateToken,
+  authorizePatient('upload'),
+  async (req, res) => {
+    try {
+      const options = parseUploadOptions(req.body);
+      if (options.error) {
+        return res.status(options.status || 400).json({ message: options.error });
+      }
+
+      if (options.recordId) {
+        const record = await MedicalRecord.findOne({ _id: options.recordId, patientId: req.patientId, deletedAt: null });
+        if (!record) {
+          return res.status(404).json({ message: 'Record not found' });
+        }
+        if (record.pages.length >= MAX_PAGES) {
+          return res.status(400).json({ message: `A record can have at most ${MAX_PAGES} pages` });
+        }
+        req.audit.recordId = record._id;
+      }
+
+      const session = await UploadSession.create({
+        ...options,
+        patientId: req.patientId,
+        chunkSize: UPLOAD_CHUNK_SIZE,
+        totalChunks: Math.ceil(options.fileSize / UPLOAD_CHUNK_SIZE),
+        encryption: generateDataKey().encryption
+      });
+
+      req.audit.details = { uploadId: session._id, fileSize: session.fileSize };
+
+      res.status(201).json(toSessionResponse(session));
+    } catch (error) {
+      console.error('Start upload error:', error);
+      res.status(500).json({ message: 'Server error while starting upload' });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/patient/uploads/:id
+ * @desc    Get the progress of a resumable upload, e.g. to resume it
+ * @access  Private (Patient, or caregiver with upload permission)
+ */
+router.get('/patient/uploads/:id',
+  audit('view_upload'),
+  authenticateToken,
+  authorizePatient('upload'),
+  async (req, res) => {
+    try {
+      const session = await findSession(req);
+
+      if (!session) {
+        return res.status(404).json({ message: 'Upload not found' });
+      }
+
+      req.audit.details = { uploadId: session._id };
+
+      res.json(toSessionResponse(session));
+    } catch (error) {
+      console.error('Fetch upload error:', error);
+      res.status(500).json({ message: 'Server error while fetching upload' });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/patient/uploads/:id/chunks/:index
+ * @desc    Upload one chunk of a resumable upload. The body is the raw chunk;
+ *          the X-Chunk-SHA256 header carries its hex SHA-256 checksum.
+ *          Re-sending a chunk that was already received is a no-op.
+ * @access  Private (Patient, or caregiver with upload permission)
+ */
+router.put('/patient/uploads/:id/chunks/:index',
+  audit('upload_chunk'),
+  authenticateToken,
+  authorizePatient('upload'),
+  express.raw({ type: () => true, limit: UPLOAD_CHUNK_SIZE }),
+  async (req, res) => {
+    try {
+      const session = await findSession(req);
+
+      if (!session) {
+        return res.status(404).json({ message: 'Upload not found' });
+      }
+
+      const index = Number(req.params.index);
+      req.audit.details = { uploadId: session._id, chunk: index };
+
+      if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+        return res.status(400).json({ message: 'Invalid chunk index' });
+      }
+
+      if (session.status !== 'active') {
+        return res.status(409).json({ message: 'Upload is no longer accepting chunks' });
+      }
+
+      const checksum = (req.get('X-Chunk-SHA256') || '').toLowerCase();
+      if (!SHA256_PATTERN.test(checksum)) {
+        return res.status(400).json({ message: 'X-Chunk-SHA256 header with the chunk checksum is required' });
+      }
+
+      const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      const expectedSize = session.expectedChunkSize(index);
+      if (chunk.length !== expectedSize) {
+        return res.status(400).json({ message: `Chunk ${index} must be ${expectedSize} bytes` });
+      }
+
+      if (crypto.createHash('sha256').update(chunk).digest('hex') !== checksum) {
+        return res.status(400).json({ message: 'Chunk checksum mismatch' });
+      }
+
+      const received = session.chunks.find(existing => existing.index === index);
+      if (received) {
+        if (received.sha256 !== checksum) {
+          return res.status(409).json({ message: 'Chunk was already received with different contents' });
+        }
+        return res.json(toSessionResponse(session));
+      }
+
+      // Store the chunk under its own key, then claim the index. Concurrent
+      // uploads of the same chunk each store a copy, and only the copy that
+      // claims the index is kept.
+      const storageKey = session.chunkKey(index);
+      await encryptBuffer(chunk, unwrapDataKey(session.encryption), storageKey);
+
+      const updated = await UploadSession.findOneAndUpdate(
+        { _id: session._id, status: 'active', 'chunks.index': { $ne: index } },
+        {
+          $push: { chunks: { index, size: chunk.length, sha256: checksum, storageKey } },
+          $set: { expiresAt: UploadSession.nextExpiry() }
+        },
+        { new: true }
+      );
+
+      if (updated) {
+        return res.json(toSessionResponse(updated));
+      }
+
+      await removeFiles(storageKey);
+
+      const current = await UploadSession.findById(session._id);
+      if (!current) {
+        return res.status(404).json({ message: 'Upload not found' });
+      }
+
+      const claimed = current.chunks.find(existing => existing.index === index);
+      if (!claimed) {
+        return res.status(409).json({ message: 'Upload is no longer accepting chunks' });
+      }
+      if (claimed.sha256 !== checksum) {
+        return res.status(409).json({ message: 'Chunk was already received with different contents' });
+      }
+
+      res.json(toSessionResponse(current));
+    } catch (error) {
+      console.error('Upload chunk error:', error);
+      res.status(500).json({ message: 'Server error while storing chunk' });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/patient/uploads/:id/complete
+ * @desc    Assemble a resumable upload and create the medical record, or add
+ *          it as a page to the record it was started for.
+ *          Completing an upload that was already completed returns its record.
+ * @access  Private (Patient, or caregiver with upload permission)
+ */
+router.post('/patient/uploads/:id/complete',
+  audit('upload_record'),
+  authenticateToken,
+  authorizePatient('upload'),
+  async (req, res) => {
+    let session;
+    let tempPath;
+
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ message: 'Upload not found' });
+      }
+
+      // Claim the upload so it is only turned into a record once
+      session = await UploadSession.findOneAndUpdate(
+        {
+          _id: req.params.id,
+          patientId: req.patientId,
+          expiresAt: { $gt: new Date() },
+          $or: [
+            { status: 'active' },
+            { status: 'completing', updatedAt: { $lt: new Date(Date.now() - STALE_COMPLETION_MS) } }
+          ]
+        },
+        { $set: { status: 'completing' } },
+        { new: true }
+      );
+
+      if (!session) {
+        const existing = await findSession(req);
+        if (!existing) {
+          return res.status(404).json({ message: 'Upload not found' });
+        }
+
+        req.audit.details = { uploadId: existing._id };
+
+        // The client may not have seen the response to an earlier completion
+        if (existing.status === 'completed') {
+          const record = await MedicalRecord.findOne({ _id: existing.recordId, patientId: req.patientId });
+          if (record) {
+            req.audit.recordId = record._id;
+            return res.json({
+              message: 'Medical record uploaded successfully',
+              record: toUploadedRecord(record)
+            });
+          }
+        }
+
+        return res.status(409).json({ message: 'Upload is already being completed' });
+      }
+
+      req.audit.details = { uploadId: session._id };
+
+      const missingChunks = session.missingChunks();
+      if (missingChunks.length) {
+        await UploadSession.updateOne({ _id: session._id }, { $set: { status: 'active' } });
+        return res.status(400).json({ message: 'Upload is missing chunks', missingChunks });
+      }
+
+      await fs.promises.mkdir(UPLOAD_TMP_DIR, { recursive: true, mode: 0o700 });
+      tempPath = path.join(UPLOAD_TMP_DIR, `${session._id}-${crypto.randomBytes(8).toString('hex')}`);
+
+      const sha256 = await assembleUpload(session, tempPath);
+      if (session.sha256 && sha256 !== session.sha256) {
+        await fs.promises.unlink(tempPath).catch(() => {});
+        await discardSession(session);
+        return res.status(400).json({ message: 'File checksum mismatch' });
+      }
+
+      const file = { filePath: tempPath, fileName: session.fileName, fileSize: session.fileSize };
+      let record;
+
+      if (session.recordId) {
+        record = await MedicalRecord.findOne({ _id: session.recordId, patientId: req.patientId, deletedAt: null });
+        if (!record) {
+          await fs.promises.unlink(tempPath).catch(() => {});
+          await discardSession(session);
+          return res.status(404).json({ message: 'Record not found' });
+        }
+        await addRecordPages(record, [file]);
+      } else {
+        record = await ingestRecordFiles({
+          patientId: req.patientId,
+          files: [file],
+          documentType: session.documentType,
+          documentDate: session.documentDate,
+          notes: session.notes
+        });
+      }
+
+      req.audit.recordId = record._id;
+
+      // Keep the session until it expires so a retried completion finds the record
+      await UploadSession.updateOne(
+        { _id: session._id },
+        { $set: { status: 'completed', recordId: record._id } }
+      );
+      await removeFiles(...session.chunkKeys());
+
+      res.status(201).json({
+        message: session.recordId ? 'Page added successfully' : 'Medical record uploaded successfully',
+        record: toUploadedRecord(record)
+      });
+    } catch (error) {
+      if (tempPath) {
+        await fs.promises.unlink(tempPath).catch(() => {});
+      }
+
+      // The file itself was rejected, so resuming can't help
+      if (error.status === 400) {
+        // Left for scripts/cleanupUploads.js if it can't be removed now
+        await discardSession(session).catch(discardError => {
+          console.error('Discard upload error:', discardError);
+        });
+        return res.status(400).json({ message: error.message });
+      }
+
+      if (session) {
+        await UploadSession.updateOne({ _id: session._id }, { $set: { status: 'active' } })
+          .catch(() => {});
+      }
+
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      if (error.name === 'VersionError') {
+        return res.status(409).json({ message: 'Record was changed by another request. Please try again.' });
+      }
+      console.error('Complete upload error:', error);
+      res.status(500).json({ message: 'Server error while completing upload' });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/patient/uploads/:id
+ * @desc    Cancel a resumable upload and delete the chunks received so far
+ * @access  Private (Patient, or caregiver with upload permission)
+ */
+router.delete('/patient/uploads/:id',
+  audit('abort_upload'),
+  authenticateToken,
+  authorizePatient('upload'),
+  async (req, res) => {
+    try {
+      const session = await findSession(req);
+
+      if (!session) {
+        return res.status(404).json({ message: 'Upload not found' });
+      }
+
+      req.audit.details = { uploadId: session._id };
+
+      if (session.status === 'completing') {
+        return res.status(409).json({ message: 'Upload is already being completed' });
+      }
+
+      await discardSession(session);
+
+      res.json({ message: 'Upload cancelled' });
+    } catch (error) {
+      console.error('Cancel upload error:', error);
+      res.status(500).json({ message: 'Server error while cancelling upload' });
+    }
+  }
+);
+
+module.exports = router;
\ No newline at end of file
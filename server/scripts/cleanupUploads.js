@@ -0,0 +1,65 @@
+/**
+ * Clean Up Uploads
+ *
+ * Deletes expired resumable upload sessions (see routes/uploads.js) and
+ * the encrypted chunks they left in storage. Sessions expire 24 hours after
+ * their last chunk; run this periodically, e.g. daily from cron.
+ *
+ * Usage: node scripts/cleanupUploads.js [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDatabase } = require('../config/database');
+const UploadSession = require('../models/UploadSession');
+const { getStorage } = require('../utils/storage');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const storage = getStorage();
+
+  await connectDatabase();
+
+  const counts = { sessions: 0, chunks: 0, failed: 0 };
+  const cursor = UploadSession.find({ expiresAt: { $lte: new Date() } }).cursor();
+
+  for (let session = await cursor.next(); session; session = await cursor.next()) {
+    try {
+      // Completed sessions have already had their chunks removed
+      const keys = session.status === 'completed'
+        ? []
+        : session.chunkKeys();
+
+      if (!dryRun) {
+        for (const key of keys) {
+          await storage.remove(key);
+        }
+        await UploadSession.deleteOne({ _id: session._id });
+      }
+
+      counts.sessions++;
+      counts.chunks += keys.length;
+    } catch (error) {
+      console.error(`Failed to clean up upload ${session._id}:`, error.message);
+      counts.failed++;
+    }
+  }
+
+  await cursor.close();
+
+  const prefix = dryRun ? '[dry run] ' : '';
+  console.log(`${prefix}Expired uploads deleted: ${counts.sessions}`);
+  console.log(`${prefix}Chunks deleted: ${counts.chunks}`);
+
+  if (counts.failed) {
+    console.error(`Uploads that failed: ${counts.failed}`);
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('Upload cleanup failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
\ No newline at end of file
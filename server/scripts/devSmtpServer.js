@@ -0,0 +1,177 @@
+/**
+ * Development SMTP Server
+ *
+ * Local stand-in for a mail server. Accepts every message sent to it over
+ * SMTP and saves it as an .eml file in MAIL_OUTBOX_DIR instead of
+ * delivering it, so email can be tested end to end with MAIL_TRANSPORT=smtp
+ * without sending real mail. Listens on localhost only, on SMTP_PORT
+ * (default 1025). Credentials, if sent, are accepted without checking.
+ *
+ * Usage: node scripts/devSmtpServer.js
+ */
+
+require('dotenv').config();
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const port = Number(process.env.SMTP_PORT) || 1025;
+const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../mail-outbox');
+
+// Largest message accepted
+const MAX_MESSAGE_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Save a received message
+ * @param {Object} envelope - { from, to }
+ * @param {string} data - Message as sent after DATA
+ * @returns {string} - File name
+ */
+async function saveMessage(envelope, data) {
+  await fs.promises.mkdir(outboxDir, { recursive: true });
+
+  const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+  const received = [
+    `X-Envelope-From: <${envelope.from}>`,
+    `X-Envelope-To: ${envelope.to.map(address => `<${address}>`).join(', ')}`
+  ].join('\r\n');
+
+  await fs.promises.writeFile(path.join(outboxDir, fileName), `${received}\r\n${data}`);
+  return fileName;
+}
+
+/**
+ * Handle one SMTP session
+ * @param {net.Socket} socket - Client connection
+ */
+function handleConnection(socket) {
+  const reply = line => socket.writable && socket.write(`${line}\r\n`);
+
+  let envelope = { from: null, to: [] };
+  let data = null;
+  let dataSize = 0;
+  let buffer = '';
+
+  const handleCommand = line => {
+    const [verb] = line.split(' ', 1);
+    const argument = line.slice(verb.length + 1);
+
+    switch (verb.toUpperCase()) {
+      case 'EHLO':
+        reply('250-localhost');
+        reply('250-AUTH PLAIN');
+        reply(`250 SIZE ${MAX_MESSAGE_BYTES}`);
+        break;
+      case 'HELO':
+        reply('250 localhost');
+        break;
+      case 'AUTH':
+        reply('235 Authentication succeeded');
+        break;
+      case 'MAIL':
+        envelope = { from: (/<([^>]*)>/.exec(argument) || [])[1] || '', to: [] };
+        reply('250 OK');
+        break;
+      case 'RCPT': {
+        const address = (/<([^>]*)>/.exec(argument) || [])[1];
+        if (envelope.from === null) {
+          reply('503 Send MAIL first');
+          break;
+        }
+        if (!address) {
+          reply('501 Recipient address required');
+          break;
+        }
+        envelope.to.push(address);
+        reply('250 OK');
+        break;
+      }
+      case 'DATA':
+        if (!envelope.to.length) {
+          reply('503 No recipients');
+          break;
+        }
+        data = [];
+        dataSize = 0;
+        reply('354 End data with <CR><LF>.<CR><LF>');
+        break;
+      case 'RSET':
+        envelope = { from: null, to: [] };
+        reply('250 OK');
+        break;
+      case 'NOOP':
+        reply('250 OK');
+        break;
+      case 'QUIT':
+        reply('221 Bye');
+        socket.end();
+        break;
+      default:
+        reply('502 Command not implemented');
+    }
+  };
+
+  const handleDataLine = line => {
+    dataSize += line.length + 2;
+    if (dataSize > MAX_MESSAGE_BYTES) {
+      reply('552 Message too large');
+      socket.destroy();
+      return;
+    }
+
+    if (line !== '.') {
+      // Undo the dot escaping of lines starting with a dot
+      data.push(line.startsWith('.') ? line.slice(1) : line);
+      return;
+    }
+
+    const message = data.join('\r\n');
+    const messageEnvelope = envelope;
+    data = null;
+    envelope = { from: null, to: [] };
+
+    saveMessage(messageEnvelope, message)
+      .then(fileName => {
+        console.log(`Saved message to ${messageEnvelope.to.join(', ')} as ${fileName}`);
+        reply('250 OK: message saved');
+      })
+      .catch(error => {
+        console.error('Save message error:', error);
+        reply('451 Could not save the message');
+      });
+  };
+
+  socket.setEncoding('utf8');
+  reply('220 localhost ALZO development SMTP server');
+
+  socket.on('data', chunk => {
+    buffer += chunk;
+    if (buffer.length > MAX_MESSAGE_BYTES) {
+      reply('552 Line too long');
+      socket.destroy();
+      return;
+    }
+
+    let end;
+    while (!socket.destroyed && (end = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+
+      if (data) {
+        handleDataLine(line);
+      } else {
+        handleCommand(line);
+      }
+    }
+  });
+
+  socket.on('error', error => {
+    console.error('SMTP connection error:', error.message);
+  });
+}
+
+net.createServer(handleConnection).listen(port, '127.0.0.1', () => {
+  console.log(`Development SMTP server listening on localhost:${port}`);
+  console.log(`Messages are saved to ${outboxDir}`);
+});
\ No newline at end of file
@@ -0,0 +1,63 @@
+/**
+ * Index Patient Names
+ *
+ * Stores the normalized words of patients' names (see models/Patient.js),
+ * which patient searches match against. New and renamed patients are
+ * indexed when they are saved; run this once for patients created before
+ * names were indexed, or with --all after changing how names are
+ * normalized.
+ *
+ * Usage: node scripts/indexPatientNames.js [--all] [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDatabase } = require('../config/database');
+const Patient = require('../models/Patient');
+
+async function main() {
+  const indexAll = process.argv.includes('--all');
+  const dryRun = process.argv.includes('--dry-run');
+
+  await connectDatabase();
+
+  const counts = { indexed: 0, failed: 0 };
+  const cursor = Patient.find(indexAll ? {} : { nameWords: { $exists: false } })
+    .select('name')
+    .lean()
+    .cursor();
+
+  for (let patient = await cursor.next(); patient; patient = await cursor.next()) {
+    if (dryRun) {
+      counts.indexed++;
+      continue;
+    }
+
+    try {
+      await Patient.updateOne(
+        { _id: patient._id },
+        { $set: { nameWords: Patient.nameWords(patient.name || '') } }
+      );
+      counts.indexed++;
+    } catch (error) {
+      console.error(`Failed to index patient ${patient._id}:`, error.message);
+      counts.failed++;
+    }
+  }
+
+  await cursor.close();
+
+  const prefix = dryRun ? '[dry run] ' : '';
+  console.log(`${prefix}Patients indexed: ${counts.indexed}`);
+  if (counts.failed) {
+    console.error(`Patients that failed: ${counts.failed}`);
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('Patient name indexing failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
\ No newline at end of file
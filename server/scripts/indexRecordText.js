@@ -0,0 +1,98 @@
+/**
+ * Index Record Text
+ *
+ * Extracts the text of record pages that haven't been processed yet and
+ * updates the records' search index (see utils/recordSearch.js). Uploads
+ * are indexed in the background as they arrive; run this to catch up on
+ * pages that were missed (e.g. when the server restarted with a queue),
+ * after migrating records with scripts/migratePages.js, or after changing
+ * SEARCH_INDEX_KEY (with --all).
+ *
+ *   --retry-failed  also extract pages whose extraction failed before
+ *   --all           rebuild the search index of every record; text that
+ *                   was already extracted is reused
+ *
+ * Records without pages or a data key must be migrated with
+ * scripts/migrateStorage.js, scripts/migratePages.js and
+ * scripts/rotateFileKeys.js first.
+ *
+ * Usage: node scripts/indexRecordText.js [--retry-failed] [--all] [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDatabase } = require('../config/database');
+const MedicalRecord = require('../models/MedicalRecord');
+const { indexRecordText } = require('../utils/recordSearch');
+
+async function main() {
+  const retryFailed = process.argv.includes('--retry-failed');
+  const indexAll = process.argv.includes('--all');
+  const dryRun = process.argv.includes('--dry-run');
+
+  await connectDatabase();
+
+  const pending = [{ 'pages.textStatus': null }];
+  if (retryFailed) {
+    pending.push({ 'pages.textStatus': 'failed' });
+  }
+
+  const counts = { indexed: 0, pages: 0, failedPages: 0, skipped: 0, failed: 0 };
+  const cursor = MedicalRecord.find(indexAll ? { purgedAt: null } : { purgedAt: null, $or: pending })
+    .select('pages encryption')
+    .lean()
+    .cursor();
+
+  for (let record = await cursor.next(); record; record = await cursor.next()) {
+    if (!record.pages || !record.pages.length || !record.encryption || !record.encryption.algorithm) {
+      counts.skipped++;
+      continue;
+    }
+
+    if (dryRun) {
+      counts.indexed++;
+      continue;
+    }
+
+    try {
+      const result = await indexRecordText(record._id, { retryFailed });
+      if (!result) {
+        counts.skipped++;
+        continue;
+      }
+
+      counts.indexed++;
+      counts.pages += result.extracted;
+      counts.failedPages += result.failed;
+    } catch (error) {
+      console.error(`Failed to index record ${record._id}:`, error.message);
+      counts.failed++;
+    }
+  }
+
+  await cursor.close();
+
+  const prefix = dryRun ? '[dry run] ' : '';
+  console.log(`${prefix}Records indexed: ${counts.indexed}`);
+  if (!dryRun) {
+    console.log(`Pages extracted: ${counts.pages}`);
+  }
+  if (counts.failedPages) {
+    console.log(`Pages whose text couldn't be extracted (retry with --retry-failed): ${counts.failedPages}`);
+  }
+  if (counts.skipped) {
+    console.log(`Records skipped (no pages or no data key; run scripts/migrateStorage.js, scripts/migratePages.js and scripts/rotateFileKeys.js first): ${counts.skipped}`);
+  }
+
+  if (counts.failed) {
+    console.error(`Records that failed: ${counts.failed}`);
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('Text indexing failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
\ No newline at end of file
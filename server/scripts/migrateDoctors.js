@@ -0,0 +1,39 @@
+/**
+ * Migrate Doctor Accounts
+ *
+ * Turns doctor accounts created before the Doctor model existed into
+ * Doctor documents, so they can fill in their specialty, license number
+ * and affiliation. Only the discriminator key is set; nothing else about
+ * the accounts changes.
+ *
+ * Usage: node scripts/migrateDoctors.js [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDatabase } = require('../config/database');
+const User = require('../models/User');
+const Doctor = require('../models/Doctor');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await connectDatabase();
+
+  const filter = { role: 'doctor', userType: { $exists: false } };
+
+  // The discriminator key can't be set through the User model
+  const result = dryRun
+    ? { modifiedCount: await User.collection.countDocuments(filter) }
+    : await User.collection.updateMany(filter, { $set: { userType: Doctor.modelName } });
+
+  const prefix = dryRun ? '[dry run] ' : '';
+  console.log(`${prefix}Doctor accounts migrated: ${result.modifiedCount}`);
+}
+
+main()
+  .catch(error => {
+    console.error('Doctor migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
\ No newline at end of file
@@ -0,0 +1,102 @@
+/**
+ * Migrate Record Pages
+ *
+ * Moves the single file of records stored before records had pages
+ * (storageKey, thumbnails, previewKey, legacyThumbnailKey and dicom on the
+ * record itself) into the record's first page. Files are not touched.
+ *
+ * Records still stored by local path must be converted with
+ * scripts/migrateStorage.js first.
+ *
+ * Usage: node scripts/migratePages.js [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDatabase } = require('../config/database');
+const MedicalRecord = require('../models/MedicalRecord');
+
+/**
+ * First page of a record stored before records had pages
+ * @param {Object} record - Medical record (lean)
+ * @returns {Object} - Page
+ */
+function toPage(record) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    fileName: record.fileName,
+    fileType: record.fileType,
+    fileSize: record.fileSize,
+    storageKey: record.storageKey,
+    thumbnails: record.thumbnails,
+    previewKey: record.previewKey,
+    legacyThumbnailKey: record.legacyThumbnailKey,
+    dicom: record.dicom
+  };
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await connectDatabase();
+
+  const counts = { migrated: 0, unconverted: 0, failed: 0 };
+  const cursor = MedicalRecord.find({
+    $or: [{ storageKey: { $exists: true } }, { filePath: { $exists: true } }]
+  })
+    .select('fileName fileType fileSize storageKey thumbnails previewKey legacyThumbnailKey dicom pages filePath __v')
+    .lean()
+    .cursor();
+
+  for (let record = await cursor.next(); record; record = await cursor.next()) {
+    if (!record.storageKey) {
+      counts.unconverted++;
+      continue;
+    }
+
+    try {
+      if (record.pages && record.pages.length) {
+        throw new Error('record has both pages and a single file');
+      }
+
+      if (!dryRun) {
+        const result = await MedicalRecord.updateOne(
+          { _id: record._id, __v: record.__v },
+          {
+            $set: { pages: [toPage(record)] },
+            $unset: { storageKey: '', thumbnails: '', previewKey: '', legacyThumbnailKey: '', dicom: '' },
+            $inc: { __v: 1 }
+          }
+        );
+        if (!result.matchedCount) {
+          throw new Error('record changed during migration; run again');
+        }
+      }
+
+      counts.migrated++;
+    } catch (error) {
+      console.error(`Failed to migrate record ${record._id}:`, error.message);
+      counts.failed++;
+    }
+  }
+
+  await cursor.close();
+
+  const prefix = dryRun ? '[dry run] ' : '';
+  console.log(`${prefix}Records moved into pages: ${counts.migrated}`);
+  if (counts.unconverted) {
+    console.log(`Records skipped (stored by path; run scripts/migrateStorage.js first): ${counts.unconverted}`);
+  }
+
+  if (counts.failed) {
+    console.error(`Records that failed: ${counts.failed}`);
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('Page migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
\ No newline at end of file
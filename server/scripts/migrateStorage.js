@@ -0,0 +1,200 @@
+/**
+ * Migrate Record Storage
+ *
+ * Moves medical record files between storage drivers (see utils/storage.js):
+ *   - Records stored before storage keys existed have their absolute local
+ *     paths converted to keys relative to STORAGE_LOCAL_DIR (default
+ *     server/uploads). This always runs and is enough on its own when
+ *     staying on local disk.
+ *   - With --to, every file is copied from the --from driver (default
+ *     local) to the --to driver. Files already present in the target with
+ *     the same size are skipped, so the command can be re-run after a
+ *     partial failure. Files are copied as stored; they stay encrypted.
+ *   - With --delete-source, files are removed from the source driver once
+ *     the record has been copied.
+ *
+ * Switch STORAGE_DRIVER to the target once the migration has completed.
+ * Then run scripts/migratePages.js to move converted records into pages.
+ *
+ * Usage: node scripts/migrateStorage.js [--from local] [--to s3] [--delete-source] [--dry-run]
+ */
+
+require('dotenv').config();
+const path = require('path');
+const mongoose = require('mongoose');
+const { connectDatabase } = require('../config/database');
+const MedicalRecord = require('../models/MedicalRecord');
+const { getStorage } = require('../utils/storage');
+const { allFiles } = require('../utils/recordFiles');
+
+const localRoot = path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '../uploads'));
+
+/**
+ * Value of a command line option
+ * @param {string} name - Option name, e.g. '--to'
+ * @returns {string|undefined} - Option value
+ */
+function getOption(name) {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1];
+}
+
+/**
+ * Storage key of a legacy absolute path
+ * @param {string} filePath - Absolute local path
+ * @returns {string} - Storage key relative to the local storage root
+ */
+function pathToKey(filePath) {
+  const key = path.relative(localRoot, path.resolve(filePath));
+  if (key.startsWith('..') || path.isAbsolute(key)) {
+    throw new Error(`${filePath} is outside the local storage root ${localRoot}`);
+  }
+  return key.split(path.sep).join('/');
+}
+
+/**
+ * Update for converting a record's legacy paths to storage keys
+ * @param {Object} record - Medical record (lean)
+ * @returns {Object|null} - Update, or null if the record already uses keys
+ */
+function keyUpdate(record) {
+  const $set = {};
+  const $unset = {};
+
+  if (record.filePath) {
+    $set.storageKey = pathToKey(record.filePath);
+    $unset.filePath = '';
+  }
+  if (record.previewPath) {
+    $set.previewKey = pathToKey(record.previewPath);
+    $unset.previewPath = '';
+  }
+  if (record.thumbnailPath) {
+    $set.legacyThumbnailKey = pathToKey(record.thumbnailPath);
+    $unset.thumbnailPath = '';
+  }
+
+  Object.entries(record.thumbnails || {}).forEach(([size, value]) => {
+    if (value && path.isAbsolute(value)) {
+      $set[`thumbnails.${size}`] = pathToKey(value);
+    }
+  });
+
+  return Object.keys($set).length ? { $set, $unset } : null;
+}
+
+/**
+ * Copy a stored file between drivers unless the target already has it
+ * @param {Object} source - Source storage driver
+ * @param {Object} target - Target storage driver
+ * @param {string} key - Storage key
+ * @returns {boolean} - Whether the file was copied
+ */
+async function copyFile(source, target, key) {
+  const { size } = await source.stat(key);
+
+  if (await target.exists(key) && (await target.stat(key)).size === size) {
+    return false;
+  }
+
+  await target.write(key, source.createReadStream(key));
+  return true;
+}
+
+async function main() {
+  const fromName = getOption('--from') || 'local';
+  const toName = getOption('--to');
+  const deleteSource = process.argv.includes('--delete-source');
+  const dryRun = process.argv.includes('--dry-run');
+
+  if (toName === fromName) {
+    throw new Error('--from and --to must be different drivers');
+  }
+  if (deleteSource && !toName) {
+    throw new Error('--delete-source requires --to');
+  }
+
+  const source = getStorage(fromName);
+  const target = toName ? getStorage(toName) : null;
+
+  await connectDatabase();
+
+  if (target) {
+    console.log(`Copying record files from ${fromName} to ${toName}`);
+  }
+
+  const counts = { converted: 0, copied: 0, present: 0, deleted: 0, failed: 0 };
+  const cursor = MedicalRecord.find()
+    .select('pages removedPages storageKey previewKey thumbnails legacyThumbnailKey filePath previewPath thumbnailPath')
+    .lean()
+    .cursor();
+
+  for (let record = await cursor.next(); record; record = await cursor.next()) {
+    try {
+      const update = keyUpdate(record);
+      if (update) {
+        if (!dryRun) await MedicalRecord.updateOne({ _id: record._id }, update);
+        Object.entries(update.$set).forEach(([field, key]) => {
+          const [name, size] = field.split('.');
+          if (size) {
+            record[name] = Object.assign({}, record[name], { [size]: key });
+          } else {
+            record[name] = key;
+          }
+        });
+        counts.converted++;
+      }
+
+      if (!target) {
+        continue;
+      }
+
+      const keys = allFiles(record);
+
+      for (const key of keys) {
+        if (dryRun) {
+          counts.copied++;
+        } else if (await copyFile(source, target, key)) {
+          counts.copied++;
+        } else {
+          counts.present++;
+        }
+      }
+
+      // Only remove the source files once every file of the record is in the target
+      if (deleteSource && !dryRun) {
+        for (const key of keys) {
+          await source.remove(key);
+          counts.deleted++;
+        }
+      }
+    } catch (error) {
+      console.error(`Failed to migrate record ${record._id}:`, error.message);
+      counts.failed++;
+    }
+  }
+
+  await cursor.close();
+
+  const prefix = dryRun ? '[dry run] ' : '';
+  console.log(`${prefix}Records converted from paths to storage keys: ${counts.converted}`);
+  if (target) {
+    console.log(`${prefix}Files copied: ${counts.copied}`);
+    console.log(`Already in ${toName}: ${counts.present}`);
+    if (deleteSource) {
+      console.log(`Files deleted from ${fromName}: ${counts.deleted}`);
+    }
+  }
+
+  if (counts.failed) {
+    console.error(`Records that failed: ${counts.failed}`);
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('Storage migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
\ No newline at end of file
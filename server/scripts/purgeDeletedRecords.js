@@ -0,0 +1,184 @@
+/**
+ * Purge Deleted Records
+ *
+ * Deletes the stored files of everything whose retention period
+ * (RECORD_RETENTION_DAYS, see models/MedicalRecord.js) has ended:
+ *   - Deleted records. The record itself is kept without its pages, notes,
+ *     metadata history, annotations, search index or data key, so the
+ *     deletion stays visible to doctors.
+ *   - Pages removed from records.
+ *   - Earlier versions of replaced page files.
+ *
+ * Every purge is recorded in the access log as 'purge_record'.
+ * Run this periodically, e.g. daily from cron.
+ *
+ * Usage: node scripts/purgeDeletedRecords.js [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDatabase } = require('../config/database');
+const MedicalRecord = require('../models/MedicalRecord');
+const AccessLog = require('../models/AccessLog');
+const Annotation = require('../models/Annotation');
+const { pageFiles, allFiles, removeFiles } = require('../utils/recordFiles');
+
+// Record fields removed when a deleted record is purged
+const PURGED_FIELDS = [
+  'encryption', 'notes', 'metadataHistory', 'searchTokens', 'storageKey', 'thumbnails', 'previewKey',
+  'legacyThumbnailKey', 'dicom', 'filePath', 'previewPath', 'thumbnailPath'
+];
+
+/**
+ * Purge a deleted record whose retention period has ended
+ * @param {Object} record - Medical record (lean)
+ * @param {Date} now - Purge time
+ * @returns {Object} - { files } purged
+ */
+async function purgeRecord(record, now) {
+  const files = allFiles(record);
+
+  // Fails if the record was restored or changed meanwhile
+  const result = await MedicalRecord.updateOne(
+    { _id: record._id, __v: record.__v, deletedAt: { $ne: null } },
+    {
+      $set: { purgedAt: now, pages: [], removedPages: [] },
+      $unset: PURGED_FIELDS.reduce((fields, field) => ({ ...fields, [field]: '' }), {}),
+      $inc: { __v: 1 }
+    }
+  );
+  if (!result.matchedCount) {
+    throw new Error('record changed during purge; run again');
+  }
+
+  // Only remove the files once the record no longer refers to them
+  await removeFiles(...files);
+  const { deletedCount } = await Annotation.deleteMany({ recordId: record._id });
+
+  return { files: files.length, annotations: deletedCount };
+}
+
+/**
+ * Removed pages and earlier page versions of a record whose retention
+ * period has ended
+ * @param {Object} record - Medical record (lean)
+ * @param {Date} now - Purge time
+ * @returns {Object} - { removedPages, versions }
+ */
+function expiredParts(record, now) {
+  return {
+    removedPages: (record.removedPages || []).filter(page => page.purgeAfter <= now),
+    versions: (record.pages || []).reduce((expired, page) => expired.concat(
+      (page.versions || []).filter(version => version.purgeAfter <= now)
+    ), [])
+  };
+}
+
+/**
+ * Purge the removed pages and earlier page versions of a record whose
+ * retention period has ended
+ * @param {Object} record - Medical record (lean)
+ * @param {Date} now - Purge time
+ * @returns {Object} - { removedPages, versions, files } purged
+ */
+async function purgeExpiredParts(record, now) {
+  const { removedPages, versions } = expiredParts(record, now);
+
+  if (!removedPages.length && !versions.length) {
+    return { removedPages: 0, versions: 0, files: 0 };
+  }
+
+  const files = removedPages
+    .reduce((keys, page) => keys.concat(pageFiles(page)), [])
+    .concat(versions.map(version => version.storageKey));
+
+  const result = await MedicalRecord.updateOne(
+    { _id: record._id, __v: record.__v },
+    {
+      $pull: {
+        removedPages: { purgeAfter: { $lte: now } },
+        'pages.$[].versions': { purgeAfter: { $lte: now } }
+      },
+      $inc: { __v: 1 }
+    }
+  );
+  if (!result.matchedCount) {
+    throw new Error('record changed during purge; run again');
+  }
+
+  await removeFiles(...files);
+
+  return { removedPages: removedPages.length, versions: versions.length, files: files.length };
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const now = new Date();
+
+  await connectDatabase();
+
+  const counts = { records: 0, removedPages: 0, versions: 0, files: 0, failed: 0 };
+  const cursor = MedicalRecord.find({
+    $or: [
+      { purgeAfter: { $lte: now }, purgedAt: null },
+      { 'removedPages.purgeAfter': { $lte: now } },
+      { 'pages.versions.purgeAfter': { $lte: now } }
+    ]
+  })
+    .lean()
+    .cursor();
+
+  for (let record = await cursor.next(); record; record = await cursor.next()) {
+    try {
+      const isExpired = record.deletedAt && record.purgeAfter <= now;
+      let purged;
+
+      if (dryRun) {
+        const { removedPages, versions } = expiredParts(record, now);
+        purged = isExpired ? {} : { removedPages: removedPages.length, versions: versions.length };
+      } else {
+        purged = isExpired ? await purgeRecord(record, now) : await purgeExpiredParts(record, now);
+
+        await AccessLog.record({
+          actorRole: 'system',
+          patientId: record.patientId,
+          recordId: record._id,
+          action: 'purge_record',
+          details: isExpired
+            ? { deletedAt: record.deletedAt, files: purged.files, annotations: purged.annotations }
+            : { removedPages: purged.removedPages, versions: purged.versions, files: purged.files }
+        });
+      }
+
+      if (isExpired) counts.records++;
+      counts.removedPages += purged.removedPages || 0;
+      counts.versions += purged.versions || 0;
+      counts.files += purged.files || 0;
+    } catch (error) {
+      console.error(`Failed to purge record ${record._id}:`, error.message);
+      counts.failed++;
+    }
+  }
+
+  await cursor.close();
+
+  const prefix = dryRun ? '[dry run] ' : '';
+  console.log(`${prefix}Deleted records purged: ${counts.records}`);
+  console.log(`${prefix}Removed pages purged: ${counts.removedPages}`);
+  console.log(`${prefix}Earlier versions purged: ${counts.versions}`);
+  if (!dryRun) {
+    console.log(`Files deleted: ${counts.files}`);
+  }
+
+  if (counts.failed) {
+    console.error(`Records that failed: ${counts.failed}`);
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('Record purge failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
\ No newline at end of file
@@ -0,0 +1,186 @@
+/**
+ * Regenerate Thumbnails
+ *
+ * Renders the encrypted thumbnails (and PDF/DICOM previews) of record pages
+ * where they are missing or can't be decrypted, including pages that
+ * still have a plaintext thumbnail from before thumbnails were encrypted.
+ * The plaintext thumbnail is deleted once it has been replaced.
+ *
+ * Records without pages or a data key must be migrated with
+ * scripts/migrateStorage.js, scripts/migratePages.js and
+ * scripts/rotateFileKeys.js first.
+ *
+ * Usage: node scripts/regenerateThumbnails.js [--all] [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDatabase } = require('../config/database');
+const MedicalRecord = require('../models/MedicalRecord');
+const { THUMBNAIL_SIZES, FILE_TYPES, renderPreviews } = require('../utils/documentPreview');
+const { unwrapDataKey, readStoredFile } = require('../utils/fileEncryption');
+const { storeRenditions, removeFiles } = require('../utils/recordFiles');
+
+/**
+ * Check that a stored rendition exists and decrypts
+ * @param {string} key - Storage key of the rendition
+ * @param {Object} encryption - Record encryption settings
+ * @returns {boolean} - Whether the rendition is usable
+ */
+async function isReadable(key, encryption) {
+  if (!key) {
+    return false;
+  }
+
+  try {
+    await readStoredFile(key, encryption);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check whether a page needs its renditions regenerated
+ * @param {Object} page - Record page
+ * @param {Object} encryption - Record encryption settings
+ * @returns {boolean} - Whether any rendition is missing or broken
+ */
+async function needsRegeneration(page, encryption) {
+  if (page.legacyThumbnailKey) {
+    return true;
+  }
+
+  for (const size of Object.keys(THUMBNAIL_SIZES)) {
+    if (!await isReadable(page.thumbnails && page.thumbnails[size], encryption)) {
+      return true;
+    }
+  }
+
+  const hasPreview = page.fileType === FILE_TYPES.PDF || page.fileType === FILE_TYPES.DICOM;
+  return hasPreview && !await isReadable(page.previewKey, encryption);
+}
+
+/**
+ * Render and store new renditions for pages of a record
+ * @param {Object} record - Medical record
+ * @param {number[]} indexes - Indexes of the pages to regenerate
+ * @returns {number} - Number of pages no thumbnail could be rendered for
+ */
+async function regenerate(record, indexes) {
+  const dataKey = unwrapDataKey(record.encryption);
+  const update = { $set: {}, $unset: {}, $inc: { __v: 1 } };
+  const written = [];
+  const replaced = [];
+  let unrenderable = 0;
+
+  try {
+    for (const index of indexes) {
+      const page = record.pages[index];
+      const contents = await readStoredFile(page.storageKey, record.encryption);
+      const renditions = await renderPreviews(contents, page.fileType);
+
+      if (!renditions.thumbnails) {
+        unrenderable++;
+        continue;
+      }
+
+      const stored = await storeRenditions(page.storageKey, renditions, dataKey);
+      written.push(...Object.values(stored.thumbnails), stored.previewKey);
+
+      update.$set[`pages.${index}.thumbnails`] = stored.thumbnails;
+      update.$unset[`pages.${index}.legacyThumbnailKey`] = '';
+      replaced.push(...Object.values(page.thumbnails || {}), page.legacyThumbnailKey);
+      if (stored.previewKey) {
+        update.$set[`pages.${index}.previewKey`] = stored.previewKey;
+        replaced.push(page.previewKey);
+      }
+    }
+
+    if (Object.keys(update.$set).length) {
+      // Fails if pages were added, removed or reordered meanwhile
+      const result = await MedicalRecord.updateOne({ _id: record._id, __v: record.__v }, update);
+      if (!result.matchedCount) {
+        throw new Error('record changed during regeneration; run again');
+      }
+    }
+  } catch (error) {
+    await removeFiles(...written);
+    throw error;
+  }
+
+  // Only remove the old renditions once the record points at the new ones
+  await removeFiles(...replaced);
+
+  return unrenderable;
+}
+
+async function main() {
+  const regenerateAll = process.argv.includes('--all');
+  const dryRun = process.argv.includes('--dry-run');
+
+  await connectDatabase();
+
+  const counts = { regenerated: 0, unrenderable: 0, skipped: 0, current: 0, failed: 0 };
+  const cursor = MedicalRecord.find({ purgedAt: null })
+    .select('pages encryption __v')
+    .lean()
+    .cursor();
+
+  for (let record = await cursor.next(); record; record = await cursor.next()) {
+    if (!record.pages || !record.pages.length || !record.encryption || !record.encryption.algorithm) {
+      counts.skipped++;
+      continue;
+    }
+
+    try {
+      const indexes = [];
+      for (let index = 0; index < record.pages.length; index++) {
+        if (regenerateAll || await needsRegeneration(record.pages[index], record.encryption)) {
+          indexes.push(index);
+        }
+      }
+
+      if (!indexes.length) {
+        counts.current++;
+        continue;
+      }
+
+      const unrenderable = dryRun ? 0 : await regenerate(record, indexes);
+      if (unrenderable) {
+        console.warn(`No thumbnail could be rendered for ${unrenderable} page(s) of record ${record._id}`);
+        counts.unrenderable++;
+      }
+      if (unrenderable < indexes.length) {
+        counts.regenerated++;
+      }
+    } catch (error) {
+      console.error(`Failed to regenerate thumbnails for record ${record._id}:`, error.message);
+      counts.failed++;
+    }
+  }
+
+  await cursor.close();
+
+  const prefix = dryRun ? '[dry run] ' : '';
+  console.log(`${prefix}Records regenerated: ${counts.regenerated}`);
+  console.log(`Already current: ${counts.current}`);
+  if (counts.unrenderable) {
+    console.log(`Records with pages that have no renderable preview: ${counts.unrenderable}`);
+  }
+  if (counts.skipped) {
+    console.log(`Records skipped (no pages or no data key; run scripts/migrateStorage.js, scripts/migratePages.js and scripts/rotateFileKeys.js first): ${counts.skipped}`);
+  }
+
+  if (counts.failed) {
+    console.error(`Records that failed: ${counts.failed}`);
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('Thumbnail regeneration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
\ No newline at end of file
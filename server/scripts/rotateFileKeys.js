@@ -0,0 +1,154 @@
+/**
+ * Rotate File Encryption Keys
+ *
+ * Brings every medical record onto the current master key version
+ * (FILE_MASTER_KEY_VERSION, or the highest version in FILE_MASTER_KEYS):
+ *   - Records on an older master key have their data key re-wrapped.
+ *     The files themselves are not touched.
+ *   - Legacy records (AES-256-CBC under FILE_ENCRYPTION_KEY, or plaintext)
+ *     are re-encrypted with a new data key. Run scripts/regenerateThumbnails.js
+ *     afterwards to replace their plaintext thumbnails.
+ *   - With --reencrypt, every record is re-encrypted with a new data key,
+ *     e.g. after a data key may have been exposed.
+ *
+ * Keep retired master keys in FILE_MASTER_KEYS until this has completed.
+ * Records stored before records had pages must be migrated with
+ * scripts/migrateStorage.js and scripts/migratePages.js first.
+ *
+ * Usage: node scripts/rotateFileKeys.js [--reencrypt] [--dry-run]
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+const { connectDatabase } = require('../config/database');
+const MedicalRecord = require('../models/MedicalRecord');
+const {
+  getCurrentKeyVersion,
+  generateDataKey,
+  rewrapDataKey,
+  encryptStream,
+  openStoredFile
+} = require('../utils/fileEncryption');
+const { encryptedFiles, removeFiles } = require('../utils/recordFiles');
+
+/**
+ * Re-encrypt a stored file into a new file with a new data key.
+ * The new file gets a fresh key so the record keeps pointing at a
+ * readable file until it is updated.
+ * @param {string} key - Storage key of the current file
+ * @param {Object} encryption - Current record encryption settings
+ * @param {Buffer} dataKey - New data key
+ * @returns {string} - Storage key of the new encrypted file
+ */
+async function reencryptFile(key, encryption, dataKey) {
+  const source = await openStoredFile(key, encryption);
+  const baseKey = key.replace(/(\.[0-9a-f]{8})?\.enc$/, '');
+  const newKey = `${baseKey}.${crypto.randomBytes(4).toString('hex')}.enc`;
+  const input = source.size ? source.createReadStream(0, source.size - 1) : Readable.from([]);
+
+  return encryptStream(input, dataKey, newKey);
+}
+
+/**
+ * Re-encrypt the files, previews and thumbnails of every page of a record
+ * with a new data key.
+ * Legacy plaintext thumbnails are left for scripts/regenerateThumbnails.js.
+ * @param {Object} record - Medical record
+ */
+async function reencryptRecord(record) {
+  const { dataKey, encryption } = generateDataKey();
+  const files = encryptedFiles(record);
+  const newKeys = [];
+  const update = { encryption };
+
+  try {
+    for (const [field, key] of Object.entries(files)) {
+      update[field] = await reencryptFile(key, record.encryption, dataKey);
+      newKeys.push(update[field]);
+    }
+
+    // Fails if pages were added, removed or reordered meanwhile
+    const result = await MedicalRecord.updateOne(
+      { _id: record._id, __v: record.__v },
+      { $set: update, $inc: { __v: 1 } }
+    );
+    if (!result.matchedCount) {
+      throw new Error('record changed during re-encryption; run again');
+    }
+  } catch (error) {
+    await removeFiles(...newKeys);
+    throw error;
+  }
+
+  // Only remove the old files once the record points at the new ones
+  await removeFiles(...Object.values(files));
+}
+
+async function main() {
+  const reencryptAll = process.argv.includes('--reencrypt');
+  const dryRun = process.argv.includes('--dry-run');
+  const currentVersion = getCurrentKeyVersion();
+
+  await connectDatabase();
+
+  console.log(`Current master key version: ${currentVersion}`);
+
+  const counts = { rewrapped: 0, reencrypted: 0, current: 0, unmigrated: 0, failed: 0 };
+  const cursor = MedicalRecord.find({ purgedAt: null })
+    .select('pages removedPages encryption __v')
+    .lean()
+    .cursor();
+
+  for (let record = await cursor.next(); record; record = await cursor.next()) {
+    if (!record.pages || !record.pages.length) {
+      counts.unmigrated++;
+      continue;
+    }
+
+    const isLegacy = !record.encryption || !record.encryption.algorithm;
+
+    try {
+      if (isLegacy || reencryptAll) {
+        if (!dryRun) await reencryptRecord(record);
+        counts.reencrypted++;
+      } else if (record.encryption.keyVersion !== currentVersion) {
+        if (!dryRun) {
+          await MedicalRecord.updateOne(
+            { _id: record._id },
+            { $set: { encryption: rewrapDataKey(record.encryption) } }
+          );
+        }
+        counts.rewrapped++;
+      } else {
+        counts.current++;
+      }
+    } catch (error) {
+      console.error(`Failed to rotate record ${record._id}:`, error.message);
+      counts.failed++;
+    }
+  }
+
+  await cursor.close();
+
+  const prefix = dryRun ? '[dry run] ' : '';
+  console.log(`${prefix}Data keys re-wrapped: ${counts.rewrapped}`);
+  console.log(`${prefix}Records re-encrypted: ${counts.reencrypted}`);
+  console.log(`Already current: ${counts.current}`);
+  if (counts.unmigrated) {
+    console.log(`Records skipped (no pages; run scripts/migrateStorage.js and scripts/migratePages.js first): ${counts.unmigrated}`);
+  }
+
+  if (counts.failed) {
+    console.error(`Records that failed: ${counts.failed}`);
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('Key rotation failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
\ No newline at end of file
@@ -0,0 +1,43 @@
+/**
+ * Verify Audit Chain
+ *
+ * Walks the access log hash chain and reports the first broken link.
+ * Exits with status 1 if the chain is broken.
+ *
+ * Usage: node scripts/verifyAuditChain.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDatabase } = require('../config/database');
+const AccessLog = require('../models/AccessLog');
+
+async function main() {
+  await connectDatabase();
+
+  const result = await AccessLog.verifyChain();
+
+  console.log(`Entries verified: ${result.checked}`);
+  if (result.head) {
+    console.log(`Chain head: #${result.head.sequence} ${result.head.hash}`);
+  }
+  if (result.unchained) {
+    console.log(`Entries written before hash chaining (not verifiable): ${result.unchained}`);
+  }
+
+  if (result.valid) {
+    console.log('Audit chain is intact.');
+  } else {
+    const { sequence, id } = result.brokenAt;
+    console.error(`Audit chain is BROKEN at entry #${sequence}${id ? ` (${id})` : ''}:`);
+    console.error(`  ${result.brokenAt.reason}`);
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('Audit chain verification failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
\ No newline at end of file
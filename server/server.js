@@ -6,7 +6,6 @@
  */
 
 const express = require('express');
-const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
@@ -19,20 +18,23 @@ const authRoutes = require('./routes/auth');
 const patientRoutes = require('./routes/patients');
 const doctorRoutes = require('./routes/doctors');
 const medicalRecordRoutes = require('./routes/medicalRecords');
+const uploadRoutes = require('./routes/uploads');
+const careTeamRoutes = require('./routes/careTeam');
+const annotationRoutes = require('./routes/annotations');
+const adminRoutes = require('./routes/admin');
+const notificationRoutes = require('./routes/notifications');
+const caregiverRoutes = require('./routes/caregivers');
+const breakGlassRoutes = require('./routes/breakGlass');
+const shareLinkRoutes = require('./routes/shareLinks');
 
-// Import middleware
-const { logApiAccess } = require('./middleware/auth');
+// Import config
+const { connectDatabase } = require('./config/database');
 
 // Initialize Express app
 const app = express();
 
 // Connect to MongoDB
-mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/alzo', {
-  useNewUrlParser: true,
-  useUnifiedTopology: true,
-  useCreateIndex: true,
-  useFindAndModify: false
-})
+connectDatabase()
   .then(() => console.log('MongoDB connected'))
   .catch(err => {
     console.error('MongoDB connection error:', err);
@@ -71,14 +73,19 @@ if (process.env.NODE_ENV === 'development') {
   app.use(morgan('combined', { stream: accessLogStream }));
 }
 
-// API access logging middleware
-app.use(logApiAccess);
-
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api', patientRoutes);
 app.use('/api', doctorRoutes);
 app.use('/api', medicalRecordRoutes);
+app.use('/api', uploadRoutes);
+app.use('/api', careTeamRoutes);
+app.use('/api', annotationRoutes);
+app.use('/api', adminRoutes);
+app.use('/api', notificationRoutes);
+app.use('/api', caregiverRoutes);
+app.use('/api', breakGlassRoutes);
+app.use('/api', shareLinkRoutes);
 
 // Serve static files from the React app in production
 if (process.env.NODE_ENV === 'production') {
@@ -100,6 +107,13 @@ app.use((err, req, res, next) => {
     });
   }
   
+  // Handle oversized request bodies, e.g. upload chunks
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      message: 'Request body too large'
+    });
+  }
+  
   // Handle other errors
   res.status(500).json({
     message: 'Server error',
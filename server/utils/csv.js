@@ -0,0 +1,51 @@
+/**
+ * CSV Helpers
+ *
+ * Builds CSV exports for audit reports.
+ */
+
+/**
+ * Escape a single CSV cell.
+ * Values starting with a formula character are prefixed with a quote so
+ * spreadsheet apps don't execute them.
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+function escapeCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\n\r]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+}
+
+/**
+ * Convert rows to CSV
+ * @param {Object[]} rows - Rows to export
+ * @param {Object[]} columns - [{ key, header }] in output order
+ * @returns {string} - CSV text with a header line
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.map(column => escapeCell(column.header)).join(',')];
+
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCell(row[column.key])).join(','));
+  });
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  escapeCell,
+  toCsv
+};
\ No newline at end of file
@@ -0,0 +1,403 @@
+/**
+ * Document Preview Helpers
+ *
+ * Detects the type of uploaded medical record files from their contents
+ * and renders preview images for them:
+ *   - JPEG/PNG images are resized with sharp
+ *   - PDFs have their first page rendered with pdftocairo (poppler-utils)
+ *   - DICOM files have their tags parsed and the first frame rendered
+ *
+ * Previews are rendered in memory and returned as buffers, so callers can
+ * encrypt them before anything is written to disk. Files on disk are read
+ * by path, so a large upload isn't loaded into memory to render it.
+ */
+
+const fs = require('fs');
+const { execFile } = require('child_process');
+
+const FILE_TYPES = {
+  JPEG: 'image/jpeg',
+  PNG: 'image/png',
+  PDF: 'application/pdf',
+  DICOM: 'application/dicom'
+};
+
+const SUPPORTED_FILE_TYPES = Object.values(FILE_TYPES);
+
+// Thumbnails are JPEGs fitted within these squares
+const THUMBNAIL_SIZES = {
+  small: 150,
+  medium: 400,
+  large: 800
+};
+const THUMBNAIL_TYPE = FILE_TYPES.JPEG;
+
+const PREVIEW_FRAME_SIZE = 1024;
+
+// Bytes read from the start of a DICOM file to find the tags before its
+// pixel data; files whose tags don't fit get no metadata
+const DICOM_HEADER_READ_SIZE = 4 * 1024 * 1024;
+
+// Largest DICOM frame rendered (4096 x 4096 pixels)
+const MAX_DICOM_FRAME_PIXELS = 4096 * 4096;
+
+// Rendering a page of a malformed or hostile PDF must not hang the upload
+const PDF_RENDER_TIMEOUT = 30 * 1000;
+
+// Uncompressed DICOM transfer syntaxes; compressed pixel data isn't rendered
+const IMPLICIT_VR_LITTLE_ENDIAN = '1.2.840.10008.1.2';
+const EXPLICIT_VR_LITTLE_ENDIAN = '1.2.840.10008.1.2.1';
+const EXPLICIT_VR_BIG_ENDIAN = '1.2.840.10008.1.2.2';
+const UNCOMPRESSED_TRANSFER_SYNTAXES = [
+  IMPLICIT_VR_LITTLE_ENDIAN,
+  EXPLICIT_VR_LITTLE_ENDIAN,
+  EXPLICIT_VR_BIG_ENDIAN
+];
+
+/**
+ * Detect the type of a file from its leading bytes.
+ * The client-supplied MIME type is not trusted.
+ * @param {string} filePath - Path to the file
+ * @returns {string|null} - One of FILE_TYPES, or null if unsupported
+ */
+async function detectFileType(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  const header = Buffer.alloc(132);
+
+  try {
+    await handle.read(header, 0, header.length, 0);
+  } finally {
+    await handle.close();
+  }
+
+  if (header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) {
+    return FILE_TYPES.JPEG;
+  }
+  if (header.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return FILE_TYPES.PNG;
+  }
+  if (header.slice(0, 5).toString('latin1') === '%PDF-') {
+    return FILE_TYPES.PDF;
+  }
+  // DICOM Part 10 files have a 128-byte preamble followed by "DICM"
+  if (header.slice(128, 132).toString('latin1') === 'DICM') {
+    return FILE_TYPES.DICOM;
+  }
+
+  return null;
+}
+
+/**
+ * Convert a DICOM date (YYYYMMDD) to a Date
+ * @param {string} value - DICOM DA value
+ * @returns {Date|null} - UTC date, or null if absent or invalid
+ */
+function parseDicomDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})$/.exec((value || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Read the study tags of a parsed DICOM data set
+ * @param {Object} dataSet - dicom-parser data set
+ * @returns {Object} - Study metadata
+ */
+function readDicomMetadata(dataSet) {
+  const text = tag => {
+    const value = dataSet.string(tag);
+    return value ? value.trim() : undefined;
+  };
+
+  return {
+    studyDate: parseDicomDate(dataSet.string('x00080020')),
+    modality: text('x00080060'),
+    studyDescription: text('x00081030'),
+    seriesDescription: text('x0008103e'),
+    bodyPartExamined: text('x00180015'),
+    numberOfFrames: dataSet.intString('x00280008') || 1
+  };
+}
+
+/**
+ * Render the first frame of uncompressed DICOM pixel data as 8-bit raw pixels.
+ * Grayscale images are windowed with the stored window center/width,
+ * falling back to the frame's value range.
+ * @param {Object} dataSet - dicom-parser data set, parsed up to the pixel data
+ * @param {Function} read - (position, length) => Buffer of the file contents
+ * @returns {Object|null} - sharp raw input { data, raw }, or null if unsupported
+ */
+async function renderDicomFrame(dataSet, read) {
+  const pixelData = dataSet.elements.x7fe00010;
+  const transferSyntax = (dataSet.string('x00020010') || IMPLICIT_VR_LITTLE_ENDIAN).trim();
+
+  // Encapsulated (compressed) pixel data has an undefined length
+  if (!pixelData || pixelData.hadUndefinedLength ||
+      !UNCOMPRESSED_TRANSFER_SYNTAXES.includes(transferSyntax)) {
+    return null;
+  }
+
+  const rows = dataSet.uint16('x00280010');
+  const columns = dataSet.uint16('x00280011');
+  const bitsAllocated = dataSet.uint16('x00280100');
+  const samplesPerPixel = dataSet.uint16('x00280002') || 1;
+  const photometric = (dataSet.string('x00280004') || 'MONOCHROME2').trim();
+
+  if (!rows || !columns || ![8, 16].includes(bitsAllocated) || ![1, 3].includes(samplesPerPixel)) {
+    return null;
+  }
+
+  const bytesPerSample = bitsAllocated / 8;
+  const pixelCount = rows * columns;
+  const frameLength = pixelCount * samplesPerPixel * bytesPerSample;
+
+  if (pixelCount > MAX_DICOM_FRAME_PIXELS || pixelData.length < frameLength) {
+    return null;
+  }
+
+  // Only the first frame is read, not the rest of the pixel data
+  const frame = await read(pixelData.dataOffset, frameLength);
+  if (frame.length < frameLength) {
+    return null;
+  }
+
+  if (samplesPerPixel === 3) {
+    if (bitsAllocated !== 8 || photometric !== 'RGB') {
+      return null;
+    }
+
+    // Planar configuration 1 stores all red, then all green, then all blue values
+    let data = frame;
+    if (dataSet.uint16('x00280006') === 1) {
+      data = Buffer.alloc(frameLength);
+      for (let i = 0; i < pixelCount; i++) {
+        data[i * 3] = frame[i];
+        data[i * 3 + 1] = frame[pixelCount + i];
+        data[i * 3 + 2] = frame[pixelCount * 2 + i];
+      }
+    }
+
+    return { data, raw: { width: columns, height: rows, channels: 3 } };
+  }
+
+  const signed = dataSet.uint16('x00280103') === 1;
+  const bigEndian = transferSyntax === EXPLICIT_VR_BIG_ENDIAN;
+  const slope = dataSet.floatString('x00281053') || 1;
+  const intercept = dataSet.floatString('x00281052') || 0;
+
+  const values = new Float64Array(pixelCount);
+  let min = Infinity;
+  let max = -Infinity;
+
+  for (let i = 0; i < pixelCount; i++) {
+    let stored;
+    if (bitsAllocated === 8) {
+      stored = signed ? frame.readInt8(i) : frame[i];
+    } else if (bigEndian) {
+      stored = signed ? frame.readInt16BE(i * 2) : frame.readUInt16BE(i * 2);
+    } else {
+      stored = signed ? frame.readInt16LE(i * 2) : frame.readUInt16LE(i * 2);
+    }
+
+    const value = stored * slope + intercept;
+    values[i] = value;
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+
+  const windowCenter = dataSet.floatString('x00281050');
+  const windowWidth = dataSet.floatString('x00281051');
+
+  let lower = min;
+  let upper = max;
+  if (windowWidth > 1) {
+    lower = windowCenter - windowWidth / 2;
+    upper = windowCenter + windowWidth / 2;
+  }
+
+  const range = upper - lower || 1;
+  const invert = photometric === 'MONOCHROME1';
+  const data = Buffer.alloc(pixelCount);
+
+  for (let i = 0; i < pixelCount; i++) {
+    const level = Math.round(Math.min(Math.max((values[i] - lower) / range, 0), 1) * 255);
+    data[i] = invert ? 255 - level : level;
+  }
+
+  return { data, raw: { width: columns, height: rows, channels: 1 } };
+}
+
+/**
+ * Parse a DICOM file. Files on disk have only their tags and first frame read.
+ * @param {Buffer|string} input - DICOM file contents, or path to the file
+ * @returns {Object} - { metadata, frame } where frame is a sharp raw input or null
+ */
+async function readDicomFile(input) {
+  const dicomParser = require('dicom-parser');
+  const handle = typeof input === 'string' ? await fs.promises.open(input, 'r') : null;
+
+  const read = async (position, length) => {
+    if (!handle) {
+      return input.slice(position, position + length);
+    }
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    return buffer.slice(0, bytesRead);
+  };
+
+  try {
+    const header = handle ? await read(0, DICOM_HEADER_READ_SIZE) : input;
+    // Stop at the pixel data; its offset and length are all that's needed
+    const dataSet = dicomParser.parseDicom(
+      new Uint8Array(header.buffer, header.byteOffset, header.length),
+      { untilTag: 'x7fe00010' }
+    );
+
+    let frame = null;
+    try {
+      frame = await renderDicomFrame(dataSet, read);
+    } catch (error) {
+      console.error('DICOM frame rendering error:', error);
+    }
+
+    return {
+      metadata: readDicomMetadata(dataSet),
+      frame
+    };
+  } finally {
+    if (handle) {
+      await handle.close();
+    }
+  }
+}
+
+/**
+ * Render the first page of a PDF as a PNG
+ * @param {Buffer|string} input - PDF file contents, or path to the file
+ * @returns {Buffer} - PNG image
+ */
+function renderPdfPage(input) {
+  const pdftocairo = process.env.PDFTOCAIRO_PATH || 'pdftocairo';
+  const fromFile = typeof input === 'string';
+  const args = ['-png', '-singlefile', '-f', '1', '-l', '1',
+    '-scale-to', String(PREVIEW_FRAME_SIZE), fromFile ? input : '-', '-'];
+
+  return new Promise((resolve, reject) => {
+    const child = execFile(pdftocairo, args, {
+      encoding: 'buffer',
+      maxBuffer: 32 * 1024 * 1024,
+      timeout: PDF_RENDER_TIMEOUT
+    }, (error, stdout) => {
+      if (error) {
+        return reject(error);
+      }
+      resolve(stdout);
+    });
+
+    // pdftocairo may exit before reading all of a broken PDF
+    child.stdin.on('error', () => {});
+    child.stdin.end(fromFile ? undefined : input);
+  });
+}
+
+/**
+ * Create a sharp pipeline from an image source
+ * @param {Buffer|string|Object} source - Encoded image, path to one, or raw pixels { data, raw }
+ * @returns {Object} - sharp instance
+ */
+function loadImage(source) {
+  const sharp = require('sharp');
+  return source.raw ? sharp(source.data, { raw: source.raw }) : sharp(source);
+}
+
+/**
+ * Resize an image to fit within a square
+ * @param {Buffer|Object} source - Image source
+ * @param {number} size - Maximum width and height
+ * @returns {Object} - sharp instance
+ */
+function fitImage(source, size) {
+  return loadImage(source).resize(size, size, {
+    fit: 'inside',
+    withoutEnlargement: true
+  });
+}
+
+/**
+ * Generate thumbnails in every size
+ * @param {Buffer|Object} source - Image source
+ * @returns {Object} - JPEG buffers keyed by size name
+ */
+async function generateThumbnails(source) {
+  const thumbnails = {};
+
+  for (const [name, size] of Object.entries(THUMBNAIL_SIZES)) {
+    thumbnails[name] = await fitImage(source, size)
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: 80 })
+      .toBuffer();
+  }
+
+  return thumbnails;
+}
+
+/**
+ * Render thumbnails and previews, and read metadata, for a file.
+ * PDFs and DICOM files also get a larger preview frame, since browsers
+ * can't display DICOM and PDF thumbnails need a rendered page anyway.
+ * @param {Buffer|string} input - File contents, or path to the file
+ * @param {string} fileType - One of FILE_TYPES
+ * @returns {Object} - { thumbnails, preview, dicom }; thumbnails and preview
+ *                     are null when nothing could be rendered
+ */
+async function renderPreviews(input, fileType) {
+  let source = null;
+  let thumbnails = null;
+  let preview = null;
+  let dicom = null;
+
+  try {
+    if (fileType === FILE_TYPES.PDF) {
+      source = await renderPdfPage(input);
+    } else if (fileType === FILE_TYPES.DICOM) {
+      const parsed = await readDicomFile(input);
+      dicom = parsed.metadata;
+      source = parsed.frame;
+    } else {
+      source = input;
+    }
+  } catch (error) {
+    console.error('Preview rendering error:', error);
+  }
+
+  if (source) {
+    try {
+      thumbnails = await generateThumbnails(source);
+    } catch (error) {
+      console.error('Thumbnail generation error:', error);
+    }
+
+    if (fileType === FILE_TYPES.PDF || fileType === FILE_TYPES.DICOM) {
+      try {
+        preview = await fitImage(source, PREVIEW_FRAME_SIZE).png().toBuffer();
+      } catch (error) {
+        console.error('Preview frame generation error:', error);
+      }
+    }
+  }
+
+  return { thumbnails, preview, dicom };
+}
+
+module.exports = {
+  FILE_TYPES,
+  SUPPORTED_FILE_TYPES,
+  THUMBNAIL_SIZES,
+  THUMBNAIL_TYPE,
+  detectFileType,
+  renderPreviews
+};
\ No newline at end of file
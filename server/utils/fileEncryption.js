@@ -0,0 +1,506 @@
+/**
+ * File Encryption Helpers
+ *
+ * Encrypts medical record files at rest and decrypts them as streams,
+ * so plaintext never has to be written back to disk.
+ *
+ * Each record has its own random data key. The data key is stored on the
+ * record wrapped (encrypted) by a versioned master key from FILE_MASTER_KEYS,
+ * so master keys can be rotated by re-wrapping data keys without touching
+ * the files.
+ *
+ * Files are encrypted with AES-256-GCM in fixed-size chunks, so any byte
+ * range can be decrypted and authenticated without reading the whole file:
+ *
+ *   header: magic "AZE1" | chunk size (uint32 BE) | nonce prefix (8 bytes)
+ *   chunks: ciphertext (chunk size, last chunk shorter) | auth tag (16 bytes)
+ *
+ * Chunk nonces are the nonce prefix followed by the chunk index. Each chunk
+ * authenticates the header, its index and whether it is the last chunk, so
+ * chunks can't be reordered, dropped or truncated without detection.
+ *
+ * Legacy files (.enc written with AES-256-CBC under FILE_ENCRYPTION_KEY, or
+ * plaintext from before encryption) can still be read; scripts/rotateFileKeys.js
+ * re-encrypts them.
+ *
+ * Encrypted files are kept in the configured storage backend (see ./storage)
+ * and addressed by storage key.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { Readable, Transform, pipeline } = require('stream');
+const { getStorage, readRange } = require('./storage');
+
+const ALGORITHM = 'aes-256-gcm-chunked';
+const MAGIC = Buffer.from('AZE1');
+const HEADER_LENGTH = 16;
+const NONCE_PREFIX_LENGTH = 8;
+const TAG_LENGTH = 16;
+const DEFAULT_CHUNK_SIZE = 64 * 1024;
+const KEY_LENGTH = 32;
+
+const LEGACY_ALGORITHM = 'aes-256-cbc';
+const LEGACY_BLOCK_SIZE = 16;
+
+/**
+ * Parse the master keys from FILE_MASTER_KEYS ("version:base64key,...")
+ * @returns {Map<number, Buffer>} - Master keys by version
+ */
+function getMasterKeys() {
+  const keys = new Map();
+
+  (process.env.FILE_MASTER_KEYS || '').split(',').filter(Boolean).forEach(entry => {
+    const [version, encoded] = entry.trim().split(':');
+    const key = Buffer.from(encoded || '', 'base64');
+
+    if (!/^\d+$/.test(version) || key.length !== KEY_LENGTH) {
+      throw new Error('FILE_MASTER_KEYS entries must be "<version>:<base64 32-byte key>"');
+    }
+    keys.set(Number(version), key);
+  });
+
+  return keys;
+}
+
+/**
+ * Version of the master key new data keys are wrapped with:
+ * FILE_MASTER_KEY_VERSION, or the highest configured version
+ * @returns {number} - Key version
+ */
+function getCurrentKeyVersion() {
+  const keys = getMasterKeys();
+  if (!keys.size) {
+    throw new Error('FILE_MASTER_KEYS is not configured');
+  }
+
+  const version = process.env.FILE_MASTER_KEY_VERSION
+    ? Number(process.env.FILE_MASTER_KEY_VERSION)
+    : Math.max(...keys.keys());
+
+  if (!keys.has(version)) {
+    throw new Error(`Master key version ${version} is not in FILE_MASTER_KEYS`);
+  }
+
+  return version;
+}
+
+/**
+ * Get a master key by version
+ * @param {number} version - Key version
+ * @returns {Buffer} - Master key
+ */
+function getMasterKey(version) {
+  const key = getMasterKeys().get(version);
+  if (!key) {
+    throw new Error(`Master key version ${version} is not configured`);
+  }
+  return key;
+}
+
+/**
+ * Wrap a data key with a master key
+ * @param {Buffer} dataKey - Data key
+ * @param {number} keyVersion - Master key version
+ * @returns {Object} - Encryption settings to store on the record
+ */
+function wrapDataKey(dataKey, keyVersion) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getMasterKey(keyVersion), iv);
+  cipher.setAAD(Buffer.from(`${ALGORITHM}:${keyVersion}`));
+
+  const wrapped = Buffer.concat([iv, cipher.update(dataKey), cipher.final(), cipher.getAuthTag()]);
+
+  return {
+    algorithm: ALGORITHM,
+    keyVersion,
+    wrappedKey: wrapped.toString('base64')
+  };
+}
+
+/**
+ * Unwrap the data key of a record
+ * @param {Object} encryption - Record encryption settings
+ * @returns {Buffer} - Data key
+ */
+function unwrapDataKey(encryption) {
+  const wrapped = Buffer.from(encryption.wrappedKey, 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getMasterKey(encryption.keyVersion), wrapped.slice(0, 12));
+  decipher.setAAD(Buffer.from(`${encryption.algorithm}:${encryption.keyVersion}`));
+  decipher.setAuthTag(wrapped.slice(wrapped.length - TAG_LENGTH));
+
+  return Buffer.concat([decipher.update(wrapped.slice(12, wrapped.length - TAG_LENGTH)), decipher.final()]);
+}
+
+/**
+ * Create a new data key for a record
+ * @returns {Object} - { dataKey, encryption } where encryption is stored on the record
+ */
+function generateDataKey() {
+  const dataKey = crypto.randomBytes(KEY_LENGTH);
+  return {
+    dataKey,
+    encryption: wrapDataKey(dataKey, getCurrentKeyVersion())
+  };
+}
+
+/**
+ * Re-wrap a record's data key with the current master key
+ * @param {Object} encryption - Record encryption settings
+ * @returns {Object} - New encryption settings
+ */
+function rewrapDataKey(encryption) {
+  return wrapDataKey(unwrapDataKey(encryption), getCurrentKeyVersion());
+}
+
+/**
+ * Nonce and additional authenticated data of a chunk
+ * @param {Buffer} header - File header
+ * @param {number} index - Chunk index
+ * @param {boolean} final - Whether this is the last chunk
+ * @returns {Object} - { nonce, aad }
+ */
+function chunkParameters(header, index, final) {
+  const counter = Buffer.alloc(4);
+  counter.writeUInt32BE(index);
+
+  return {
+    nonce: Buffer.concat([header.slice(8, 8 + NONCE_PREFIX_LENGTH), counter]),
+    aad: Buffer.concat([header, counter, Buffer.from([final ? 1 : 0])])
+  };
+}
+
+/**
+ * Stream that encrypts its input into the chunked file format
+ * @param {Buffer} dataKey - Data key
+ * @param {number} chunkSize - Plaintext bytes per chunk
+ * @returns {Transform} - Encrypting stream
+ */
+function createEncryptStream(dataKey, chunkSize = DEFAULT_CHUNK_SIZE) {
+  const header = Buffer.alloc(HEADER_LENGTH);
+  MAGIC.copy(header, 0);
+  header.writeUInt32BE(chunkSize, 4);
+  crypto.randomBytes(NONCE_PREFIX_LENGTH).copy(header, 8);
+
+  let headerWritten = false;
+  let pending = Buffer.alloc(0);
+  let index = 0;
+
+  const seal = (plaintext, final) => {
+    const { nonce, aad } = chunkParameters(header, index++, final);
+    const cipher = crypto.createCipheriv('aes-256-gcm', dataKey, nonce);
+    cipher.setAAD(aad);
+    return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (!headerWritten) {
+        headerWritten = true;
+        this.push(header);
+      }
+
+      pending = Buffer.concat([pending, chunk]);
+
+      // Hold back a full chunk until we know whether more data follows
+      while (pending.length > chunkSize) {
+        this.push(seal(pending.slice(0, chunkSize), false));
+        pending = pending.slice(chunkSize);
+      }
+      callback();
+    },
+
+    flush(callback) {
+      if (!headerWritten) {
+        this.push(header);
+      }
+      this.push(seal(pending, true));
+      callback();
+    }
+  });
+}
+
+/**
+ * Encrypt a local file (e.g. an upload) into storage with a record's data key.
+ * The plaintext is deleted once the encrypted file is stored. On failure
+ * nothing is stored and the error is thrown, so callers never end up
+ * storing plaintext by accident.
+ * @param {string} filePath - Path to the local file to encrypt
+ * @param {Buffer} dataKey - Record data key
+ * @param {string} key - Storage key of the encrypted file
+ * @returns {string} - Storage key
+ */
+async function encryptFile(filePath, dataKey, key) {
+  await encryptStream(fs.createReadStream(filePath), dataKey, key);
+  await fs.promises.unlink(filePath);
+  return key;
+}
+
+/**
+ * Encrypt a stream into storage with a record's data key
+ * @param {Readable} input - Plaintext stream
+ * @param {Buffer} dataKey - Record data key
+ * @param {string} key - Storage key of the encrypted file
+ * @returns {string} - Storage key
+ */
+async function encryptStream(input, dataKey, key) {
+  const storage = getStorage();
+  const encrypted = createEncryptStream(dataKey);
+
+  input.on('error', error => encrypted.destroy(error));
+  input.pipe(encrypted);
+
+  try {
+    await storage.write(key, encrypted);
+  } catch (error) {
+    await storage.remove(key).catch(() => {});
+    throw error;
+  }
+
+  return key;
+}
+
+/**
+ * Encrypt an in-memory buffer (e.g. a rendered thumbnail) into storage
+ * @param {Buffer} buffer - Plaintext
+ * @param {Buffer} dataKey - Record data key
+ * @param {string} key - Storage key of the encrypted file
+ * @returns {string} - Storage key
+ */
+function encryptBuffer(buffer, dataKey, key) {
+  return encryptStream(Readable.from([buffer]), dataKey, key);
+}
+
+/**
+ * Stream that drops the first `skip` bytes and passes on at most `length` bytes
+ * @param {number} skip - Bytes to drop
+ * @param {number} length - Bytes to keep
+ * @returns {Transform} - Trimming stream
+ */
+function trimStream(skip, length) {
+  let toSkip = skip;
+  let remaining = length;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (toSkip >= chunk.length) {
+        toSkip -= chunk.length;
+        return callback();
+      }
+
+      const data = chunk.slice(toSkip, toSkip + remaining);
+      toSkip = 0;
+      remaining -= data.length;
+      callback(null, data.length ? data : undefined);
+    }
+  });
+}
+
+/**
+ * Open a file in the chunked AES-256-GCM format
+ * @param {Object} storage - Storage driver
+ * @param {string} key - Storage key of the encrypted file
+ * @param {number} fileSize - Encrypted file size
+ * @param {Buffer} dataKey - Record data key
+ * @returns {Object} - { size, createReadStream(start, end) }
+ */
+async function openChunkedFile(storage, key, fileSize, dataKey) {
+  const header = await readRange(storage, key, 0, HEADER_LENGTH);
+  if (header.length !== HEADER_LENGTH || !header.slice(0, 4).equals(MAGIC)) {
+    throw new Error('Unrecognized encrypted file format');
+  }
+
+  const chunkSize = header.readUInt32BE(4);
+  const sealedSize = chunkSize + TAG_LENGTH;
+  const bodySize = fileSize - HEADER_LENGTH;
+  const chunkCount = Math.ceil(bodySize / sealedSize);
+  const lastSealedSize = bodySize - (chunkCount - 1) * sealedSize;
+
+  if (!chunkSize || chunkCount < 1 || lastSealedSize < TAG_LENGTH) {
+    throw new Error('Encrypted file is truncated');
+  }
+
+  return {
+    size: (chunkCount - 1) * chunkSize + lastSealedSize - TAG_LENGTH,
+
+    /**
+     * Decrypt a byte range of the plaintext
+     * @param {number} start - First byte (inclusive)
+     * @param {number} end - Last byte (inclusive)
+     * @returns {Readable} - Plaintext stream
+     */
+    createReadStream: (start, end) => {
+      const firstChunk = Math.floor(start / chunkSize);
+      const lastChunk = Math.floor(end / chunkSize);
+      let index = firstChunk;
+      let pending = Buffer.alloc(0);
+
+      const open = (sealed) => {
+        const { nonce, aad } = chunkParameters(header, index, index === chunkCount - 1);
+        const decipher = crypto.createDecipheriv('aes-256-gcm', dataKey, nonce);
+        decipher.setAAD(aad);
+        decipher.setAuthTag(sealed.slice(sealed.length - TAG_LENGTH));
+        index++;
+        return Buffer.concat([decipher.update(sealed.slice(0, sealed.length - TAG_LENGTH)), decipher.final()]);
+      };
+
+      const decrypt = new Transform({
+        transform(chunk, encoding, callback) {
+          pending = Buffer.concat([pending, chunk]);
+          try {
+            while (pending.length >= sealedSize) {
+              this.push(open(pending.slice(0, sealedSize)));
+              pending = pending.slice(sealedSize);
+            }
+            callback();
+          } catch (error) {
+            callback(new Error('Encrypted file failed authentication'));
+          }
+        },
+
+        flush(callback) {
+          try {
+            if (pending.length) {
+              this.push(open(pending));
+            }
+            callback();
+          } catch (error) {
+            callback(new Error('Encrypted file failed authentication'));
+          }
+        }
+      });
+
+      const output = trimStream(start - firstChunk * chunkSize, end - start + 1);
+      const input = storage.createReadStream(key, {
+        start: HEADER_LENGTH + firstChunk * sealedSize,
+        end: Math.min(HEADER_LENGTH + (lastChunk + 1) * sealedSize, fileSize) - 1
+      });
+
+      pipeline(input, decrypt, output, error => {
+        if (error) output.destroy(error);
+      });
+
+      return output;
+    }
+  };
+}
+
+/**
+ * Open a legacy AES-256-CBC file: a 16-byte IV followed by ciphertext.
+ * Any CBC block can be decrypted using the ciphertext block before it as IV.
+ * @param {Object} storage - Storage driver
+ * @param {string} key - Storage key of the encrypted file
+ * @param {number} fileSize - Encrypted file size
+ * @returns {Object} - { size, createReadStream(start, end) }
+ */
+async function openLegacyFile(storage, key, fileSize) {
+  if (!process.env.FILE_ENCRYPTION_KEY) {
+    throw new Error('FILE_ENCRYPTION_KEY is required to read legacy encrypted files');
+  }
+
+  const legacyKey = Buffer.from(process.env.FILE_ENCRYPTION_KEY);
+  const cipherLength = fileSize - LEGACY_BLOCK_SIZE;
+  if (cipherLength <= 0 || cipherLength % LEGACY_BLOCK_SIZE !== 0) {
+    throw new Error('Encrypted file is truncated');
+  }
+
+  // The plaintext size is the ciphertext size minus the PKCS#7 padding,
+  // which is found by decrypting only the last block
+  const tail = await readRange(storage, key, fileSize - 2 * LEGACY_BLOCK_SIZE, 2 * LEGACY_BLOCK_SIZE);
+  const lastBlock = crypto.createDecipheriv(LEGACY_ALGORITHM, legacyKey, tail.slice(0, LEGACY_BLOCK_SIZE))
+    .setAutoPadding(false)
+    .update(tail.slice(LEGACY_BLOCK_SIZE));
+  const padding = lastBlock[lastBlock.length - 1];
+
+  if (padding < 1 || padding > LEGACY_BLOCK_SIZE) {
+    throw new Error('Failed to decrypt file');
+  }
+
+  return {
+    size: cipherLength - padding,
+
+    createReadStream: (start, end) => {
+      const firstBlock = Math.floor(start / LEGACY_BLOCK_SIZE);
+      const lastBlock = Math.floor(end / LEGACY_BLOCK_SIZE);
+
+      // The IV of block n is ciphertext block n - 1, stored at offset n * 16
+      // (block 0 uses the file IV at offset 0)
+      const ivOffset = firstBlock * LEGACY_BLOCK_SIZE;
+      const output = trimStream(start - firstBlock * LEGACY_BLOCK_SIZE, end - start + 1);
+
+      readRange(storage, key, ivOffset, LEGACY_BLOCK_SIZE).then(iv => {
+        const decipher = crypto.createDecipheriv(LEGACY_ALGORITHM, legacyKey, iv).setAutoPadding(false);
+        const input = storage.createReadStream(key, {
+          start: ivOffset + LEGACY_BLOCK_SIZE,
+          end: (lastBlock + 2) * LEGACY_BLOCK_SIZE - 1
+        });
+
+        pipeline(input, decipher, output, error => {
+          if (error) output.destroy(error);
+        });
+      }).catch(error => output.destroy(error));
+
+      return output;
+    }
+  };
+}
+
+/**
+ * Open a stored file for streaming decryption
+ * @param {string} key - Storage key of the file
+ * @param {Object} encryption - Record encryption settings; unset for legacy files
+ * @returns {Object} - { size, createReadStream(start, end) } where size is the plaintext size
+ */
+async function openStoredFile(key, encryption) {
+  const storage = getStorage();
+  const { size } = await storage.stat(key);
+
+  if (encryption && encryption.algorithm) {
+    if (encryption.algorithm !== ALGORITHM) {
+      throw new Error(`Unsupported encryption algorithm: ${encryption.algorithm}`);
+    }
+    return openChunkedFile(storage, key, size, unwrapDataKey(encryption));
+  }
+
+  if (key.endsWith('.enc')) {
+    return openLegacyFile(storage, key, size);
+  }
+
+  // Stored before encryption was enabled
+  return {
+    size,
+    createReadStream: (start, end) => storage.createReadStream(key, { start, end })
+  };
+}
+
+/**
+ * Decrypt a whole stored file into memory
+ * @param {string} key - Storage key of the file
+ * @param {Object} encryption - Record encryption settings; unset for legacy files
+ * @returns {Buffer} - Plaintext
+ */
+async function readStoredFile(key, encryption) {
+  const file = await openStoredFile(key, encryption);
+  if (!file.size) {
+    return Buffer.alloc(0);
+  }
+
+  const chunks = [];
+  for await (const chunk of file.createReadStream(0, file.size - 1)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+module.exports = {
+  ALGORITHM,
+  getCurrentKeyVersion,
+  generateDataKey,
+  unwrapDataKey,
+  rewrapDataKey,
+  encryptFile,
+  encryptStream,
+  encryptBuffer,
+  openStoredFile,
+  readStoredFile
+};
\ No newline at end of file
@@ -0,0 +1,138 @@
+/**
+ * File Response Helpers
+ *
+ * Streams stored medical record files to the client with HTTP Range
+ * support and the headers needed for PHI: the right Content-Type and
+ * Content-Disposition, no caching and no MIME sniffing.
+ */
+
+const { commitAudit } = require('../middleware/audit');
+
+/**
+ * Parse a Range header for a single byte range
+ * @param {string} header - Range header value
+ * @param {number} size - Total size in bytes
+ * @returns {Object|null|false} - { start, end }, null to send the whole file, false if unsatisfiable
+ */
+function parseRange(header, size) {
+  if (!header) {
+    return null;
+  }
+
+  // Multiple ranges and other units are allowed to be ignored
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (!match[1] && !match[2])) {
+    return null;
+  }
+
+  let start;
+  let end;
+
+  if (!match[1]) {
+    // Suffix range: the last N bytes
+    const suffixLength = Number(match[2]);
+    if (suffixLength === 0) {
+      return false;
+    }
+    start = Math.max(size - suffixLength, 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  }
+
+  if (start >= size || start > end) {
+    return false;
+  }
+
+  return { start, end };
+}
+
+/**
+ * Build a Content-Disposition header with an ASCII fallback name and
+ * the UTF-8 name in RFC 5987 encoding
+ * @param {string} type - 'inline' or 'attachment'
+ * @param {string} fileName - File name to suggest
+ * @returns {string} - Header value
+ */
+function contentDisposition(type, fileName) {
+  if (!fileName) {
+    return type;
+  }
+
+  const fallback = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  const encoded = encodeURIComponent(fileName)
+    .replace(/['()*]/g, char => '%' + char.charCodeAt(0).toString(16).toUpperCase());
+
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * Stream a stored file as the response. The request's audit event is
+ * written before anything is sent; if that fails, nothing is sent and the
+ * returned promise rejects.
+ * @param {Object} req - Express request of a route declared with audit()
+ * @param {Object} res - Express response
+ * @param {Object} file - Opened file: { size, createReadStream(start, end) }
+ * @param {Object} options - { contentType, fileName, download }
+ */
+async function streamFile(req, res, file, { contentType, fileName, download = false } = {}) {
+  const { size } = file;
+
+  const range = parseRange(req.headers.range, size);
+
+  if (range === false) {
+    res.set('Content-Range', `bytes */${size}`);
+    return res.status(416).end();
+  }
+
+  const start = range ? range.start : 0;
+  const end = range ? range.end : size - 1;
+
+  if (range) {
+    res.status(206);
+  }
+
+  await commitAudit(req);
+
+  res.set({
+    'Content-Type': contentType || 'application/octet-stream',
+    'Content-Disposition': contentDisposition(download ? 'attachment' : 'inline', fileName),
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': 'no-store',
+    'X-Content-Type-Options': 'nosniff'
+  });
+
+  if (size === 0) {
+    res.set('Content-Length', '0');
+    return res.end();
+  }
+
+  if (range) {
+    res.set('Content-Range', `bytes ${start}-${end}/${size}`);
+  }
+  res.set('Content-Length', String(end - start + 1));
+
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+
+  const stream = file.createReadStream(start, end);
+
+  stream.on('error', error => {
+    console.error('File stream error:', error);
+    // The status and Content-Length are already committed, so abort the response
+    res.destroy(error);
+  });
+
+  // Stop reading and decrypting when the client goes away
+  res.on('close', () => stream.destroy());
+
+  stream.pipe(res);
+}
+
+module.exports = {
+  parseRange,
+  contentDisposition,
+  streamFile
+};
\ No newline at end of file
@@ -0,0 +1,73 @@
+/**
+ * Mailer
+ *
+ * Sends transactional email (password resets, notifications, etc.) through
+ * a pluggable transport. The transport is selected with MAIL_TRANSPORT:
+ *   - console: print messages to stdout (default in development)
+ *   - file:    write each message as JSON into MAIL_OUTBOX_DIR
+ *   - smtp:    deliver to the SMTP server in SMTP_HOST/SMTP_PORT (see utils/smtp.js)
+ * Additional transports can be added with registerTransport().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { sendSmtp } = require('./smtp');
+
+const transports = {
+  console: async (message) => {
+    console.log('--- Outgoing email ---');
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log('');
+    console.log(message.text);
+    console.log('----------------------');
+  },
+
+  file: async (message) => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../mail-outbox');
+    if (!fs.existsSync(outboxDir)) {
+      fs.mkdirSync(outboxDir, { recursive: true });
+    }
+
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    await fs.promises.writeFile(
+      path.join(outboxDir, fileName),
+      JSON.stringify(message, null, 2)
+    );
+  },
+
+  smtp: (message) => sendSmtp(message)
+};
+
+/**
+ * Register a mail transport
+ * @param {string} name - Name used in MAIL_TRANSPORT
+ * @param {Function} send - async (message) => void
+ */
+function registerTransport(name, send) {
+  transports[name] = send;
+}
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text, html }
+ */
+async function sendMail(message) {
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  await transport({
+    from: process.env.MAIL_FROM || 'ALZO <no-reply@alzo.com>',
+    ...message
+  });
+}
+
+module.exports = {
+  registerTransport,
+  sendMail
+};
\ No newline at end of file
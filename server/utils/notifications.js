@@ -0,0 +1,306 @@
+/**
+ * Notification Helpers
+ *
+ * Creates notifications for the users an event concerns, honoring each
+ * user's preferences:
+ *   - In-app notifications are stored and pushed to the user's open event
+ *     streams (GET /api/notifications/stream)
+ *   - Emails go through the mailer's transport. They say what happened
+ *     without naming patients or records; the details are behind sign-in.
+ *
+ * Event streams are held in this process, so with several server
+ * processes a user only receives live events from the one they are
+ * connected to; the notification list is always complete.
+ */
+
+const { EventEmitter } = require('events');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const Patient = require('../models/Patient');
+const { sendMail } = require('./mailer');
+
+// Listeners of open event streams, keyed by user ID
+const streams = new EventEmitter();
+streams.setMaxListeners(0);
+
+// Email subject and text per notification type
+const EMAILS = {
+  new_record: {
+    subject: 'A patient added a new record',
+    text: 'A patient in your care team added a new document to their medical records.'
+  },
+  access_requested: {
+    subject: 'A doctor asked for access to your records',
+    text: 'A doctor asked for access to your medical records. You can approve or reject the request from your care team.'
+  },
+  access_granted: {
+    subject: 'You were given access to a patient\'s records',
+    text: 'A patient gave you access to their medical records.'
+  },
+  access_revoked: {
+    subject: 'Your access to a patient\'s records was revoked',
+    text: 'A patient revoked your access to their medical records.'
+  },
+  break_glass: {
+    subject: 'Emergency access to medical records',
+    text: 'A doctor used emergency (break-glass) access to medical records. Everything they do during the session is recorded in the access history.'
+  }
+};
+
+// How new records are described, per document type
+const DOCUMENT_LABELS = {
+  lab_report: 'lab report',
+  prescription: 'prescription',
+  imaging: 'imaging study',
+  discharge: 'discharge summary',
+  other: 'document'
+};
+
+/**
+ * Notification types a user can turn off: those their role receives,
+ * except the required ones
+ * @param {Object} user - User
+ * @returns {string[]} - Notification types
+ */
+function optionalTypes(user) {
+  return Notification.TYPES_BY_ROLE[user.role]
+    .filter(type => !Notification.REQUIRED_TYPES.includes(type));
+}
+
+/**
+ * The notification preferences of a user, for the types they can turn off
+ * @param {Object} user - User
+ * @returns {Object} - Type to { inApp, email }
+ */
+function getPreferences(user) {
+  const { mutedInApp = [], mutedEmail = [] } = user.notificationPreferences || {};
+
+  return optionalTypes(user).reduce((preferences, type) => {
+    preferences[type] = { inApp: !mutedInApp.includes(type), email: !mutedEmail.includes(type) };
+    return preferences;
+  }, {});
+}
+
+/**
+ * Validate a preferences update, e.g. { new_record: { email: false } }
+ * @param {Object} body - Request body
+ * @param {Object} user - User whose preferences change
+ * @returns {Object} - { error } or { mutedInApp, mutedEmail } to store
+ */
+function parsePreferences(body, user) {
+  const types = optionalTypes(user);
+  const preferences = getPreferences(user);
+
+  if (!body || typeof body !== 'object' || Array.isArray(body) || !Object.keys(body).length) {
+    return { error: 'No preference changes given' };
+  }
+
+  for (const [type, channels] of Object.entries(body)) {
+    if (Notification.REQUIRED_TYPES.includes(type)) {
+      return { error: `${type} notifications can't be turned off` };
+    }
+    if (!types.includes(type)) {
+      return { error: `Notification type must be one of: ${types.join(', ') || 'none'}` };
+    }
+    if (!channels || typeof channels !== 'object') {
+      return { error: `${type} must be an object with inApp and/or email` };
+    }
+
+    for (const [channel, enabled] of Object.entries(channels)) {
+      if (!['inApp', 'email'].includes(channel) || typeof enabled !== 'boolean') {
+        return { error: `${type} can only set inApp and email to true or false` };
+      }
+      preferences[type][channel] = enabled;
+    }
+  }
+
+  return {
+    mutedInApp: types.filter(type => !preferences[type].inApp),
+    mutedEmail: types.filter(type => !preferences[type].email)
+  };
+}
+
+/**
+ * Listen for a user's notification events: 'notification' with a new
+ * notification in the API format, and 'unread' with { count } when
+ * notifications were marked read or unread
+ * @param {string} userId - User ID
+ * @param {Function} listener - (event, data) => void
+ * @returns {Function} - Stops listening
+ */
+function subscribe(userId, listener) {
+  streams.on(String(userId), listener);
+  return () => streams.off(String(userId), listener);
+}
+
+/**
+ * Send an event to a user's open event streams
+ * @param {string} userId - User ID
+ * @param {string} event - Event name
+ * @param {Object} data - Event data
+ */
+function publish(userId, event, data) {
+  streams.emit(String(userId), event, data);
+}
+
+/**
+ * Number of open event streams of a user
+ * @param {string} userId - User ID
+ * @returns {number} - Open streams
+ */
+function subscriberCount(userId) {
+  return streams.listenerCount(String(userId));
+}
+
+/**
+ * Notify users of an event. Users whose role doesn't receive the type,
+ * or who turned it off, are skipped; inactive accounts get nothing.
+ * @param {ObjectId[]} userIds - Users to notify
+ * @param {Object} notification - { type, title, message, patientId, doctorId, recordId, grantId, breakGlassSessionId }
+ * @returns {Object[]} - Created notifications
+ */
+async function notify(userIds, notification) {
+  if (!userIds.length) {
+    return [];
+  }
+
+  const users = await User.find({ _id: { $in: userIds }, isActive: true })
+    .select('role email notificationPreferences');
+  const recipients = users.filter(user =>
+    Notification.TYPES_BY_ROLE[user.role].includes(notification.type)
+  );
+
+  // Whether a recipient gets the notification on a channel
+  const wants = (user, channel) => Notification.REQUIRED_TYPES.includes(notification.type) ||
+    getPreferences(user)[notification.type][channel];
+
+  const created = await Notification.insertMany(recipients
+    .filter(user => wants(user, 'inApp'))
+    .map(user => ({ ...notification, userId: user._id })));
+
+  created.forEach(entry => publish(entry.userId, 'notification', entry.toResponse()));
+
+  const appUrl = process.env.APP_URL || 'http://localhost:5000';
+  const email = EMAILS[notification.type];
+
+  await Promise.all(recipients
+    .filter(user => wants(user, 'email'))
+    .map(user => sendMail({
+      to: user.email,
+      subject: email.subject,
+      text: `${email.text}\n\n` +
+        `Sign in to ALZO to see the details:\n\n${appUrl}\n\n` +
+        'You can choose which notifications you receive by email in your notification settings.'
+    }).catch(error => {
+      console.error('Notification email error:', error);
+    })));
+
+  return created;
+}
+
+/**
+ * Tell the doctors who can see a new record about it. Never throws, so
+ * callers don't need to wait for it.
+ * @param {Object} record - Saved medical record
+ */
+async function notifyNewRecord(record) {
+  try {
+    const patient = await Patient.findById(record.patientId)
+      .select('name doctors accessGrants consentForms');
+    if (!patient) return;
+
+    const doctorIds = patient.doctors.filter(doctorId =>
+      patient.checkDoctorRecordAccess(doctorId, record).allowed
+    );
+
+    await notify(doctorIds, {
+      type: 'new_record',
+      title: 'New record',
+      message: `${patient.name} added a new ${DOCUMENT_LABELS[record.documentType] || 'document'}`,
+      patientId: patient._id,
+      recordId: record._id
+    });
+  } catch (error) {
+    console.error('New record notification error:', error);
+  }
+}
+
+/**
+ * Tell the other side of an access grant that it changed: the doctor when
+ * access is granted or revoked, the patient when a doctor asks for access.
+ * Never throws, so callers don't need to wait for it.
+ * @param {string} type - 'access_requested', 'access_granted' or 'access_revoked'
+ * @param {Object} patient - Patient
+ * @param {Object} grant - Access grant subdocument
+ */
+async function notifyAccessChange(type, patient, grant) {
+  try {
+    const doctorId = grant.doctorId._id || grant.doctorId;
+    const related = { patientId: patient._id, doctorId, grantId: grant._id };
+
+    if (type === 'access_requested') {
+      const doctor = await User.findById(doctorId).select('name');
+      await notify([patient._id], {
+        type,
+        title: 'Access requested',
+        message: `${doctor ? doctor.name : 'A doctor'} asked for access to your records`,
+        ...related
+      });
+      return;
+    }
+
+    await notify([doctorId], {
+      type,
+      title: type === 'access_granted' ? 'Access granted' : 'Access revoked',
+      message: type === 'access_granted'
+        ? `${patient.name} gave you access to their records`
+        : `${patient.name} revoked your access to their records`,
+      ...related
+    });
+  } catch (error) {
+    console.error('Access notification error:', error);
+  }
+}
+
+/**
+ * Tell the patient and all admins that a doctor started a break-glass
+ * session, so the patient knows and the admins can review it.
+ * Never throws, so callers don't need to wait for it.
+ * @param {Object} session - Break-glass session
+ * @param {Object} doctor - Doctor who started it
+ * @param {Object} patient - Patient whose records were opened
+ */
+async function notifyBreakGlass(session, doctor, patient) {
+  try {
+    const related = { patientId: patient._id, doctorId: doctor._id, breakGlassSessionId: session._id };
+
+    await notify([patient._id], {
+      type: 'break_glass',
+      title: 'Emergency access',
+      message: `${doctor.name} used emergency access to open your records`,
+      ...related
+    });
+
+    const admins = await User.find({ role: 'admin', isActive: true }).select('_id');
+    await notify(admins.map(admin => admin._id), {
+      type: 'break_glass',
+      title: 'Emergency access to review',
+      message: `${doctor.name} used emergency access to ${patient.name}'s records`,
+      ...related
+    });
+  } catch (error) {
+    console.error('Break-glass notification error:', error);
+  }
+}
+
+module.exports = {
+  getPreferences,
+  parsePreferences,
+  subscribe,
+  publish,
+  subscriberCount,
+  notify,
+  notifyNewRecord,
+  notifyAccessChange,
+  notifyBreakGlass
+};
\ No newline at end of file
@@ -0,0 +1,326 @@
+/**
+ * Patient Search Helpers
+ *
+ * Finds patients for doctors by any combination of name, date of birth,
+ * email, phone number and patient ID:
+ *   - Names match by word prefix, tolerating small typos
+ *   - Dates of birth match whatever timezone they were entered in
+ *   - Email addresses, phone numbers and IDs must match exactly
+ *
+ * Doctors search their own care team. To find a patient to request access
+ * from, they can search all patients, but only with criteria that identify
+ * the patient, and only see the patient's name and date of birth.
+ */
+
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const { parsePagination, escapeRegExp } = require('./queryParams');
+
+// Criteria a search can combine
+const SEARCH_CRITERIA = ['name', 'dob', 'email', 'phone', 'id'];
+
+// Most patients ranked per search; narrower criteria find the rest
+const MAX_CANDIDATES = 500;
+
+// Most words in a name search
+const MAX_NAME_WORDS = 5;
+
+// Fewest digits in a phone number search
+const MIN_PHONE_DIGITS = 7;
+
+// Score of a name word matching exactly, by prefix, or with typos
+const NAME_SCORES = { exact: 3, prefix: 2, fuzzy: 1 };
+
+// Score of each exact identifier that matched
+const IDENTIFIER_SCORE = 10;
+
+/**
+ * Parse a date of birth, ignoring any time or timezone: 1975-08-22,
+ * 1975-08-22T04:00:00Z and 1975-08-22T00:00:00+02:00 are the same date
+ * @param {string} value - Date of birth
+ * @returns {Date|null} - UTC midnight of the date, or null if invalid
+ */
+function parseBirthDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:$|T)/.exec(value);
+  if (!match) {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.getUTCDate() === Number(match[3]) ? date : null;
+}
+
+/**
+ * Filter for dates of birth on a date. Dates of birth are stored as
+ * midnight in the timezone they were entered in, which can be up to half
+ * a day either side of UTC midnight.
+ * @param {Date} date - UTC midnight of the date of birth
+ * @returns {Object} - MongoDB condition
+ */
+function birthDateFilter(date) {
+  const halfDay = 12 * 60 * 60 * 1000;
+  return { $gte: new Date(date.getTime() - halfDay), $lt: new Date(date.getTime() + halfDay) };
+}
+
+/**
+ * Pattern matching a whole phone number whatever its formatting, e.g.
+ * 5551234567 matches "(555) 123-4567" and "+1 555 123 4567", while
+ * 1234567 matches neither. A stored "+" country code is optional in the search.
+ * @param {string} digits - Digits of the number
+ * @returns {RegExp} - Pattern for the stored number
+ */
+function phonePattern(digits) {
+  return new RegExp(`^\\D*(?:\\+\\d{1,3}\\D*)?${digits.split('').join('\\D*')}\\D*$`);
+}
+
+/**
+ * Parse the search criteria, scope and pagination of a patient search.
+ * The older type/query parameters are read as a single criterion.
+ * @param {Object} query - req.query
+ * @returns {Object} - { error } or { criteria, scope, page, limit }
+ */
+function parsePatientSearch(query) {
+  const criteria = {};
+
+  SEARCH_CRITERIA.forEach(name => {
+    if (typeof query[name] === 'string' && query[name].trim()) {
+      criteria[name] = query[name].trim();
+    }
+  });
+
+  if (query.type !== undefined || query.query !== undefined) {
+    if (!SEARCH_CRITERIA.includes(query.type)) {
+      return { error: 'Invalid search type' };
+    }
+    if (typeof query.query === 'string' && query.query.trim()) {
+      criteria[query.type] = query.query.trim();
+    }
+  }
+
+  if (!Object.keys(criteria).length) {
+    return { error: 'At least one of name, dob, email, phone or id is required' };
+  }
+
+  if (criteria.name !== undefined) {
+    const words = Patient.nameWords(criteria.name);
+    if (!words.length) {
+      return { error: 'Name must contain letters or digits' };
+    }
+    if (words.length > MAX_NAME_WORDS) {
+      return { error: `Names can have at most ${MAX_NAME_WORDS} words` };
+    }
+    criteria.name = words;
+  }
+
+  if (criteria.dob !== undefined) {
+    criteria.dob = parseBirthDate(criteria.dob);
+    if (!criteria.dob) {
+      return { error: 'Date of birth must be a date (YYYY-MM-DD)' };
+    }
+  }
+
+  if (criteria.email !== undefined) {
+    criteria.email = criteria.email.toLowerCase();
+  }
+
+  if (criteria.phone !== undefined) {
+    criteria.phone = criteria.phone.replace(/\D/g, '');
+    if (criteria.phone.length < MIN_PHONE_DIGITS) {
+      return { error: `Phone numbers must have at least ${MIN_PHONE_DIGITS} digits` };
+    }
+  }
+
+  if (criteria.id !== undefined && !mongoose.Types.ObjectId.isValid(criteria.id)) {
+    return { error: 'Invalid patient ID' };
+  }
+
+  const scope = query.scope || 'care_team';
+  if (!['care_team', 'all'].includes(scope)) {
+    return { error: 'Scope must be care_team or all' };
+  }
+
+  // Outside the care team, only look up patients the doctor can already identify
+  const identifies = criteria.id || criteria.email || criteria.phone || (criteria.name && criteria.dob);
+  if (scope === 'all' && !identifies) {
+    return { error: 'Searching all patients requires a patient ID, email, phone number, or name and date of birth' };
+  }
+
+  const { page, limit } = parsePagination(query, { defaultLimit: 10, maxLimit: 50 });
+
+  return { criteria, scope, page, limit };
+}
+
+/**
+ * Edit distance between two words, counting swapped neighbouring letters
+ * as one edit
+ * @param {string} a - Word
+ * @param {string} b - Word
+ * @returns {number} - Distance
+ */
+function editDistance(a, b) {
+  const rows = [];
+
+  for (let i = 0; i <= a.length; i++) {
+    rows.push([i]);
+    for (let j = 1; j <= b.length; j++) {
+      if (i === 0) {
+        rows[i][j] = j;
+        continue;
+      }
+
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+}
+
+/**
+ * Score of a searched word against the words of a patient's name
+ * @param {string} word - Searched word
+ * @param {string[]} words - Words of the name
+ * @returns {number} - Best score, 0 if no word matches
+ */
+function scoreNameWord(word, words) {
+  const maxEdits = word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0;
+  let best = 0;
+
+  words.forEach(candidate => {
+    if (candidate === word) {
+      best = Math.max(best, NAME_SCORES.exact);
+    } else if (candidate.startsWith(word)) {
+      best = Math.max(best, NAME_SCORES.prefix);
+    } else if (maxEdits && (editDistance(word, candidate) <= maxEdits ||
+      editDistance(word, candidate.slice(0, word.length)) <= maxEdits)) {
+      best = Math.max(best, NAME_SCORES.fuzzy);
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Rank a patient against the search criteria
+ * @param {Object} patient - Patient
+ * @param {Object} criteria - Criteria from parsePatientSearch()
+ * @returns {number} - Score, 0 if the name doesn't match
+ */
+function scorePatient(patient, criteria) {
+  let score = ['id', 'email', 'phone', 'dob'].filter(name => criteria[name]).length * IDENTIFIER_SCORE;
+
+  if (criteria.name) {
+    const words = Patient.nameWords(patient.name || '');
+    for (const word of criteria.name) {
+      const wordScore = scoreNameWord(word, words);
+      if (!wordScore) {
+        return 0;
+      }
+      score += wordScore;
+    }
+  }
+
+  return score;
+}
+
+/**
+ * MongoDB filter for the candidates of a search. Names are narrowed to
+ * words starting with the first letters of each searched word, compared
+ * without accents (see Patient nameWords); typos are allowed after those.
+ * @param {Object} criteria - Criteria from parsePatientSearch()
+ * @param {string} scope - 'care_team' or 'all'
+ * @param {string} doctorId - Searching doctor
+ * @returns {Object} - MongoDB filter
+ */
+function candidateFilter(criteria, scope, doctorId) {
+  const filter = { isActive: { $ne: false } };
+
+  if (scope === 'care_team') {
+    filter.doctors = doctorId;
+  }
+  if (criteria.id) {
+    filter._id = criteria.id;
+  }
+  if (criteria.email) {
+    filter.email = criteria.email;
+  }
+  if (criteria.phone) {
+    filter.phone = phonePattern(criteria.phone);
+  }
+  if (criteria.dob) {
+    filter.dob = birthDateFilter(criteria.dob);
+  }
+  if (criteria.name) {
+    filter.$and = criteria.name.map(word => ({
+      nameWords: new RegExp(`^${escapeRegExp(word.slice(0, 2))}`)
+    }));
+  }
+
+  return filter;
+}
+
+/**
+ * Summary of a patient for search results. Patients whose records the
+ * doctor can't access only show what identifies them.
+ * @param {Object} patient - Patient
+ * @param {string} doctorId - Searching doctor
+ * @returns {Object} - Patient summary with the doctor's access
+ */
+function toSearchResult(patient, doctorId) {
+  const inCareTeam = patient.isDoctorAuthorized(doctorId);
+  const result = {
+    _id: patient._id,
+    name: patient.name,
+    dob: patient.dob,
+    inCareTeam,
+    hasAccess: patient.checkDoctorAccess(doctorId).allowed,
+    accessRequestPending: patient.accessGrants.some(grant =>
+      grant.doctorId.toString() === doctorId && grant.status === 'pending'
+    )
+  };
+
+  if (inCareTeam) {
+    Object.assign(result, { gender: patient.gender, email: patient.email, phone: patient.phone });
+  }
+
+  return result;
+}
+
+/**
+ * Find, rank and paginate the patients matching a search
+ * @param {Object} search - Result of parsePatientSearch()
+ * @param {string} doctorId - Searching doctor
+ * @returns {Object} - { patients, page, limit, total, totalPages }
+ */
+async function searchPatients({ criteria, scope, page, limit }, doctorId) {
+  const candidates = await Patient.find(candidateFilter(criteria, scope, doctorId))
+    .select('name dob gender email phone doctors accessGrants consentForms')
+    .sort({ name: 1 })
+    .limit(MAX_CANDIDATES);
+
+  const ranked = candidates
+    .map(patient => ({ patient, score: scorePatient(patient, criteria) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  const total = ranked.length;
+
+  return {
+    patients: ranked
+      .slice((page - 1) * limit, page * limit)
+      .map(({ patient }) => toSearchResult(patient, doctorId)),
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit)
+  };
+}
+
+module.exports = {
+  parsePatientSearch,
+  searchPatients
+};
\ No newline at end of file
@@ -0,0 +1,86 @@
+/**
+ * Query Parameter Helpers
+ *
+ * Parsing of common query string parameters (dates, pagination,
+ * cursors, text search) shared by the API routes.
+ */
+
+/**
+ * Parse a date query parameter
+ * @param {string} value - ISO date or YYYY-MM-DD
+ * @param {boolean} endOfDay - Treat a bare date as the end of that day
+ * @returns {Date|undefined|false} - Date, undefined if absent, false if invalid
+ */
+function parseDateParam(value, endOfDay = false) {
+  if (!value) {
+    return undefined;
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return false;
+  }
+
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+
+  return date;
+}
+
+/**
+ * Parse page and limit query parameters
+ * @param {Object} query - req.query
+ * @param {Object} options - { defaultLimit, maxLimit }
+ * @returns {Object} - { page, limit, skip }
+ */
+function parsePagination(query, { defaultLimit = 20, maxLimit = 100 } = {}) {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+/**
+ * Encode the sort key of the last item of a page as an opaque cursor
+ * @param {Array} values - Sort key values, e.g. [date, id]
+ * @returns {string} - URL-safe cursor
+ */
+function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+/**
+ * Decode a cursor created by encodeCursor
+ * @param {string} value - Cursor from the query string
+ * @returns {Array|undefined|false} - Sort key values, undefined if absent, false if invalid
+ */
+function decodeCursor(value) {
+  if (!value) {
+    return undefined;
+  }
+
+  try {
+    const values = JSON.parse(Buffer.from(String(value), 'base64url').toString());
+    return Array.isArray(values) ? values : false;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Escape user input for use in a regular expression
+ * @param {string} text - Text to match literally
+ * @returns {string} - Escaped pattern
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  parseDateParam,
+  parsePagination,
+  encodeCursor,
+  decodeCursor,
+  escapeRegExp
+};
\ No newline at end of file
@@ -0,0 +1,169 @@
+/**
+ * Record File Helpers
+ *
+ * Keeps track of the files that belong to a medical record: for each page,
+ * the original upload, its rendered preview, its thumbnails and its
+ * extracted text, plus the
+ * earlier files of replaced pages and the pages that were removed. All of them
+ * are encrypted with the record's data key and stored under storage keys
+ * "medical-records/<patientId>/<file>" (see ./storage).
+ */
+
+const crypto = require('crypto');
+const { THUMBNAIL_SIZES } = require('./documentPreview');
+const { encryptBuffer } = require('./fileEncryption');
+const { getStorage } = require('./storage');
+
+/**
+ * Storage key for a new record file
+ * @param {string} patientId - Patient the record belongs to
+ * @param {string} extension - Original file extension, including the dot
+ * @returns {string} - Storage key
+ */
+function newStorageKey(patientId, extension = '') {
+  // Unique name from the timestamp and a random string
+  const uniqueName = Date.now() + '-' + crypto.randomBytes(8).toString('hex');
+  return `medical-records/${patientId}/${uniqueName}${extension.toLowerCase()}.enc`;
+}
+
+/**
+ * Key of a rendition stored next to the original file.
+ * A random tag keeps regenerated renditions from overwriting the current ones.
+ * @param {string} storageKey - Storage key of the original file
+ * @param {string} name - Rendition name, e.g. 'thumb-small'
+ * @returns {string} - Rendition storage key
+ */
+function renditionKey(storageKey, name) {
+  const baseKey = storageKey.replace(/\.[^/]*$/, '');
+  return `${baseKey}-${name}.${crypto.randomBytes(4).toString('hex')}.enc`;
+}
+
+/**
+ * Encrypt and store rendered thumbnails and preview of a record
+ * @param {string} storageKey - Storage key of the original file
+ * @param {Object} renditions - { thumbnails, preview } from renderPreviews()
+ * @param {Buffer} dataKey - Record data key
+ * @returns {Object} - { thumbnails, previewKey } to store on the record
+ */
+async function storeRenditions(storageKey, { thumbnails, preview }, dataKey) {
+  const written = [];
+  const result = { thumbnails: undefined, previewKey: undefined };
+
+  try {
+    if (thumbnails) {
+      result.thumbnails = {};
+      for (const size of Object.keys(THUMBNAIL_SIZES)) {
+        result.thumbnails[size] = await encryptBuffer(thumbnails[size], dataKey, renditionKey(storageKey, `thumb-${size}`));
+        written.push(result.thumbnails[size]);
+      }
+    }
+
+    if (preview) {
+      result.previewKey = await encryptBuffer(preview, dataKey, renditionKey(storageKey, 'preview'));
+      written.push(result.previewKey);
+    }
+  } catch (error) {
+    await removeFiles(...written);
+    throw error;
+  }
+
+  return result;
+}
+
+/**
+ * Encrypt and store the text extracted from a page
+ * @param {string} storageKey - Storage key of the page's file
+ * @param {string} text - Extracted text
+ * @param {Buffer} dataKey - Record data key
+ * @returns {string} - Storage key of the text, to store on the page as textKey
+ */
+function storeText(storageKey, text, dataKey) {
+  return encryptBuffer(Buffer.from(text, 'utf8'), dataKey, renditionKey(storageKey, 'text'));
+}
+
+/**
+ * Add the encrypted files of a page to a map of files by field
+ * @param {Object} files - Map to add to
+ * @param {Object} page - Page, or a record stored before records had pages
+ * @param {string} prefix - Field prefix, e.g. 'pages.0.'
+ */
+function addPageFiles(files, page, prefix) {
+  if (page.storageKey) files[`${prefix}storageKey`] = page.storageKey;
+  if (page.previewKey) files[`${prefix}previewKey`] = page.previewKey;
+  if (page.textKey) files[`${prefix}textKey`] = page.textKey;
+
+  Object.keys(THUMBNAIL_SIZES).forEach(size => {
+    if (page.thumbnails && page.thumbnails[size]) {
+      files[`${prefix}thumbnails.${size}`] = page.thumbnails[size];
+    }
+  });
+
+  (page.versions || []).forEach((version, index) => {
+    files[`${prefix}versions.${index}.storageKey`] = version.storageKey;
+  });
+}
+
+/**
+ * Files of a record encrypted with its data key, by record field
+ * @param {Object} record - Medical record
+ * @returns {Object} - e.g. { 'pages.0.storageKey': '...', 'pages.0.thumbnails.small': '...' }
+ */
+function encryptedFiles(record) {
+  const files = {};
+
+  (record.pages || []).forEach((page, index) => addPageFiles(files, page, `pages.${index}.`));
+  (record.removedPages || []).forEach((page, index) => addPageFiles(files, page, `removedPages.${index}.`));
+
+  // Records stored before records had pages (see scripts/migratePages.js)
+  addPageFiles(files, record, '');
+
+  return files;
+}
+
+/**
+ * All files stored for a page, including earlier versions and a legacy
+ * plaintext thumbnail
+ * @param {Object} page - Page
+ * @returns {string[]} - Storage keys
+ */
+function pageFiles(page) {
+  const files = {};
+  addPageFiles(files, page, '');
+  return Object.values(files).concat(page.legacyThumbnailKey || []);
+}
+
+/**
+ * All files stored for a record, including legacy plaintext thumbnails
+ * @param {Object} record - Medical record
+ * @returns {string[]} - Storage keys
+ */
+function allFiles(record) {
+  return (record.pages || [])
+    .concat(record.removedPages || [])
+    .reduce((keys, page) => keys.concat(pageFiles(page)), pageFiles(record));
+}
+
+/**
+ * Delete stored files, ignoring unset keys.
+ * Failures are logged rather than thrown, since this runs during cleanup.
+ * @param {...string} keys - Storage keys to delete
+ */
+async function removeFiles(...keys) {
+  const storage = getStorage();
+
+  await Promise.all(keys.filter(Boolean).map(key =>
+    storage.remove(key).catch(error => {
+      console.error(`Error removing stored file ${key}:`, error);
+    })
+  ));
+}
+
+module.exports = {
+  newStorageKey,
+  storeRenditions,
+  storeText,
+  encryptedFiles,
+  pageFiles,
+  allFiles,
+  removeFiles
+};
\ No newline at end of file
@@ -0,0 +1,292 @@
+/**
+ * Record Search Helpers
+ *
+ * Makes the text of medical records searchable without storing it in the
+ * clear:
+ *   - After an upload, the text of each new page is extracted (see
+ *     ./textExtraction) and stored encrypted with the record's data key.
+ *   - The words of all pages are stored on the record as a blind index:
+ *     HMAC-SHA256 hashes under SEARCH_INDEX_KEY, salted with the patient ID,
+ *     so the same word has different hashes for different patients.
+ *   - A search hashes its words the same way, finds the records that have
+ *     all of them, and decrypts their text to show matching snippets.
+ *
+ * Only whole words match. Extraction runs in the background, one record at
+ * a time; scripts/indexRecordText.js catches up on records it missed.
+ */
+
+const crypto = require('crypto');
+const MedicalRecord = require('../models/MedicalRecord');
+const { unwrapDataKey, readStoredFile } = require('./fileEncryption');
+const { storeText, removeFiles } = require('./recordFiles');
+const { extractText } = require('./textExtraction');
+
+// Most words a search can have
+const MAX_SEARCH_TERMS = 10;
+
+// Characters of context on each side of a match in a snippet
+const SNIPPET_CONTEXT = 60;
+
+// Most snippets returned per record
+const MAX_SNIPPETS = 3;
+
+// Attempts to save an index when the record keeps changing meanwhile
+const MAX_INDEX_ATTEMPTS = 3;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Key for the blind index, from SEARCH_INDEX_KEY (base64, 32 bytes).
+ * Changing the key requires rebuilding the index of every record with
+ * scripts/indexRecordText.js --all.
+ * @returns {Buffer} - HMAC key
+ */
+function getSearchIndexKey() {
+  const key = Buffer.from(process.env.SEARCH_INDEX_KEY || '', 'base64');
+  if (key.length !== 32) {
+    throw new Error('SEARCH_INDEX_KEY must be a base64 32-byte key');
+  }
+  return key;
+}
+
+/**
+ * Normalize a word for matching: lowercase, without accents
+ * @param {string} word - Word
+ * @returns {string} - Normalized word
+ */
+function normalizeWord(word) {
+  return word.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Distinct normalized words of a text
+ * @param {string} text - Text
+ * @returns {string[]} - Words
+ */
+function tokenize(text) {
+  return [...new Set((text.match(WORD_PATTERN) || []).map(normalizeWord))];
+}
+
+/**
+ * Blind index hashes of words
+ * @param {string} patientId - Patient the words belong to
+ * @param {string[]} words - Normalized words
+ * @returns {string[]} - Hashes
+ */
+function hashWords(patientId, words) {
+  const key = getSearchIndexKey();
+
+  return words.map(word => crypto.createHmac('sha256', key)
+    .update(`${patientId}:${word}`)
+    .digest('base64url')
+    .slice(0, 22));
+}
+
+/**
+ * Parse a search query
+ * @param {string} query - Search text
+ * @returns {Object} - { error } or { words }
+ */
+function parseSearchQuery(query) {
+  const words = tokenize(typeof query === 'string' ? query : '');
+
+  if (!words.length) {
+    return { error: 'Search text is required' };
+  }
+  if (words.length > MAX_SEARCH_TERMS) {
+    return { error: `Searches can have at most ${MAX_SEARCH_TERMS} words` };
+  }
+
+  return { words };
+}
+
+/**
+ * Filter for the records of a patient that contain all the words
+ * @param {string} patientId - Patient ID
+ * @param {string[]} words - Words from parseSearchQuery()
+ * @returns {Object} - MongoDB filter
+ */
+function searchFilter(patientId, words) {
+  return { patientId, searchTokens: { $all: hashWords(String(patientId), words) } };
+}
+
+/**
+ * Positions of the search words in a text
+ * @param {string} text - Text
+ * @param {Set<string>} words - Normalized search words
+ * @returns {Object[]} - [{ start, length }]
+ */
+function findWords(text, words) {
+  return [...text.matchAll(WORD_PATTERN)]
+    .filter(match => words.has(normalizeWord(match[0])))
+    .map(match => ({ start: match.index, length: match[0].length }));
+}
+
+/**
+ * Snippets of a text around the search words
+ * @param {string} text - Page text
+ * @param {Set<string>} words - Normalized search words
+ * @param {number} max - Most snippets to return
+ * @returns {Object[]} - [{ text, highlights: [{ start, length }] }]
+ */
+function buildSnippets(text, words, max) {
+  const snippets = [];
+  let covered = 0;
+
+  for (const match of findWords(text, words)) {
+    if (snippets.length >= max) break;
+    if (match.start < covered) continue;
+
+    let start = Math.max(0, match.start - SNIPPET_CONTEXT);
+    let end = Math.min(text.length, match.start + match.length + SNIPPET_CONTEXT);
+
+    // Don't cut words in half
+    while (start > 0 && /[\p{L}\p{N}]/u.test(text[start - 1])) start--;
+    while (end < text.length && /[\p{L}\p{N}]/u.test(text[end])) end++;
+    covered = end;
+
+    const snippet = (start > 0 ? '…' : '') +
+      text.slice(start, end).replace(/\s+/g, ' ').trim() +
+      (end < text.length ? '…' : '');
+
+    snippets.push({ text: snippet, highlights: findWords(snippet, words) });
+  }
+
+  return snippets;
+}
+
+/**
+ * Matching snippets of a record, read from its encrypted page text
+ * @param {Object} record - Medical record
+ * @param {string[]} words - Words from parseSearchQuery()
+ * @returns {Object[]} - [{ pageId, pageNumber, text, highlights }]
+ */
+async function recordSnippets(record, words) {
+  const wordSet = new Set(words);
+  const matches = [];
+
+  for (const [index, page] of record.pages.entries()) {
+    if (matches.length >= MAX_SNIPPETS) break;
+    if (!page.textKey) continue;
+
+    const text = (await readStoredFile(page.textKey, record.encryption)).toString('utf8');
+    buildSnippets(text, wordSet, MAX_SNIPPETS - matches.length).forEach(snippet => {
+      matches.push({ pageId: page._id, pageNumber: index + 1, ...snippet });
+    });
+  }
+
+  return matches;
+}
+
+/**
+ * Extract the text of the record's pages that haven't been processed yet,
+ * then rebuild its blind index from the text of all its pages
+ * @param {string} recordId - Medical record ID
+ * @param {Object} options - { retryFailed } to extract pages that failed before again
+ * @returns {Object|null} - { extracted, failed } pages, or null if the
+ *                          record can't be indexed
+ */
+async function indexRecordText(recordId, { retryFailed = false } = {}) {
+  // Fail before extracting anything if the index can't be written
+  getSearchIndexKey();
+
+  for (let attempt = 1; attempt <= MAX_INDEX_ATTEMPTS; attempt++) {
+    const record = await MedicalRecord.findOne({ _id: recordId, purgedAt: null }).select('+searchTokens');
+
+    // Records from before per-record data keys can't store encrypted text
+    // until they have been migrated (see scripts/rotateFileKeys.js)
+    if (!record || !record.encryption || !record.encryption.algorithm) {
+      return null;
+    }
+
+    const dataKey = unwrapDataKey(record.encryption);
+    const written = [];
+    const replaced = [];
+    const texts = new Map();
+    const counts = { extracted: 0, failed: 0 };
+
+    for (const page of record.pages) {
+      const pending = !page.textStatus || (retryFailed && page.textStatus === 'failed');
+      if (!pending) continue;
+
+      try {
+        const contents = await readStoredFile(page.storageKey, record.encryption);
+        const text = await extractText(contents, page.fileType);
+        const textKey = text ? await storeText(page.storageKey, text, dataKey) : undefined;
+
+        if (textKey) written.push(textKey);
+        if (page.textKey) replaced.push(page.textKey);
+        page.textKey = textKey;
+        page.textStatus = 'done';
+        texts.set(String(page._id), text);
+        counts.extracted++;
+      } catch (error) {
+        console.error(`Text extraction error for record ${record._id}, page ${page._id}:`, error.message);
+        page.textStatus = 'failed';
+        counts.failed++;
+      }
+    }
+
+    const words = new Set();
+    for (const page of record.pages) {
+      let text = texts.get(String(page._id));
+      if (text === undefined && page.textKey) {
+        text = (await readStoredFile(page.textKey, record.encryption)).toString('utf8');
+      }
+      tokenize(text || '').forEach(word => words.add(word));
+    }
+    record.searchTokens = hashWords(String(record.patientId), [...words]);
+
+    try {
+      await record.save();
+    } catch (error) {
+      await removeFiles(...written);
+      if (error.name === 'VersionError' && attempt < MAX_INDEX_ATTEMPTS) {
+        continue;
+      }
+      throw error;
+    }
+
+    await removeFiles(...replaced);
+    return counts;
+  }
+}
+
+// Records waiting to be indexed, and the running queue, if any
+const queued = new Set();
+let running = null;
+
+/**
+ * Index the text of a record in the background. Records are processed one
+ * at a time, since text recognition is CPU heavy.
+ * @param {string} recordId - Medical record ID
+ */
+function queueTextIndexing(recordId) {
+  queued.add(String(recordId));
+
+  if (!running) {
+    running = processQueue().finally(() => {
+      running = null;
+    });
+  }
+}
+
+async function processQueue() {
+  for (const recordId of queued) {
+    queued.delete(recordId);
+
+    try {
+      await indexRecordText(recordId);
+    } catch (error) {
+      console.error(`Text indexing error for record ${recordId}:`, error);
+    }
+  }
+}
+
+module.exports = {
+  parseSearchQuery,
+  searchFilter,
+  recordSnippets,
+  indexRecordText,
+  queueTextIndexing
+};
\ No newline at end of file
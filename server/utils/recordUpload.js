@@ -0,0 +1,320 @@
+/**
+ * Record Upload Helpers
+ *
+ * Turns uploaded files into the pages of a medical record: checks their
+ * contents, renders thumbnails and previews, encrypts everything into
+ * storage and saves the record. The text of new pages is then extracted
+ * in the background (see ./recordSearch). Shared by the single-request upload routes
+ * and the resumable upload API, so both produce the same records.
+ */
+
+const os = require('os');
+const path = require('path');
+const MedicalRecord = require('../models/MedicalRecord');
+const {
+  FILE_TYPES,
+  SUPPORTED_FILE_TYPES,
+  detectFileType,
+  renderPreviews
+} = require('./documentPreview');
+const { generateDataKey, unwrapDataKey, encryptFile } = require('./fileEncryption');
+const { newStorageKey, storeRenditions, pageFiles, allFiles, removeFiles } = require('./recordFiles');
+const { queueTextIndexing } = require('./recordSearch');
+const { notifyNewRecord } = require('./notifications');
+
+// Uploads are staged in a local temporary directory until they are
+// encrypted into the storage backend
+const UPLOAD_TMP_DIR = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'alzocare-uploads');
+
+// Largest file accepted through the resumable upload API (default 200MB)
+const MAX_UPLOAD_SIZE = parseInt(process.env.MAX_UPLOAD_SIZE) || 200 * 1024 * 1024;
+
+// Size of the chunks clients send to the resumable upload API (default 5MB)
+const UPLOAD_CHUNK_SIZE = parseInt(process.env.UPLOAD_CHUNK_SIZE) || 5 * 1024 * 1024;
+
+// Most pages a record can have
+const MAX_PAGES = 50;
+
+/**
+ * Check the name and client-supplied MIME type of an upload.
+ * Browsers rarely know the DICOM MIME type, so .dcm files are accepted by
+ * extension; the actual type is checked from the file contents later.
+ * @param {string} fileName - Original file name
+ * @param {string} mimeType - MIME type reported by the client
+ * @returns {boolean} - Whether the upload may be a supported file
+ */
+function isAcceptedUpload(fileName, mimeType) {
+  const isDicomFile = path.extname(fileName).toLowerCase() === '.dcm' &&
+    ['', 'application/octet-stream'].includes(mimeType || '');
+
+  return SUPPORTED_FILE_TYPES.includes(mimeType) || isDicomFile;
+}
+
+/**
+ * Error with the HTTP status and message to send to the client
+ * @param {number} status - HTTP status code
+ * @param {string} message - Response message
+ * @returns {Error} - Error with a `status` property
+ */
+function uploadError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Check the contents of uploaded files and render their thumbnails and
+ * previews in memory, reading the files from disk
+ * @param {Object[]} files - [{ filePath, fileName, fileSize }]
+ * @returns {Object[]} - Files with their fileType and renditions
+ * @throws {Error} - With `status` 400 if a file isn't a supported type
+ */
+async function preparePages(files) {
+  const prepared = [];
+
+  for (const file of files) {
+    // Don't trust the client-supplied MIME type
+    const fileType = await detectFileType(file.filePath);
+    if (!fileType) {
+      throw uploadError(400, `${file.fileName}: File contents do not match a supported file type`);
+    }
+
+    const renditions = await renderPreviews(file.filePath, fileType);
+    prepared.push({ ...file, fileType, renditions });
+  }
+
+  return prepared;
+}
+
+/**
+ * Encrypt prepared files and their renditions into storage.
+ * The local files are deleted once they have been encrypted.
+ * Nothing is left in storage if any file fails.
+ * @param {string} patientId - Patient the record belongs to
+ * @param {Object[]} prepared - Files from preparePages()
+ * @param {Buffer} dataKey - Record data key
+ * @returns {Object[]} - Pages to add to the record
+ * @throws {Error} - With `status` 500 if encryption fails
+ */
+async function storePages(patientId, prepared, dataKey) {
+  const pages = [];
+  let stored;
+
+  try {
+    for (const file of prepared) {
+      const storageKey = newStorageKey(patientId, path.extname(file.fileName));
+      stored = await storeRenditions(storageKey, file.renditions, dataKey);
+      await encryptFile(file.filePath, dataKey, storageKey);
+
+      pages.push({
+        fileName: file.fileName,
+        fileType: file.fileType,
+        fileSize: file.fileSize,
+        storageKey,
+        thumbnails: stored.thumbnails,
+        previewKey: stored.previewKey,
+        dicom: file.fileType === FILE_TYPES.DICOM ? file.renditions.dicom : undefined
+      });
+      stored = null;
+    }
+  } catch (error) {
+    console.error('File encryption error:', error);
+    await removeFiles(
+      ...pages.reduce((keys, page) => keys.concat(pageFiles(page)), []),
+      ...(stored ? pageFiles(stored) : [])
+    );
+    throw uploadError(500, 'Server error while encrypting file');
+  }
+
+  return pages;
+}
+
+/**
+ * Create a medical record from uploaded files, one page per file.
+ * The local files are deleted once they have been encrypted into storage;
+ * callers remove them themselves if this throws. The record's text is
+ * indexed and the patient's doctors are notified in the background.
+ * @param {Object} upload - { patientId, files: [{ filePath, fileName, fileSize }], documentType, documentDate, notes }
+ * @returns {Object} - Saved medical record
+ * @throws {Error} - With `status` 400 for invalid files, 500 if encryption fails
+ */
+async function ingestRecordFiles({ patientId, files, documentType, documentDate, notes }) {
+  if (files.length > MAX_PAGES) {
+    throw uploadError(400, `A record can have at most ${MAX_PAGES} pages`);
+  }
+
+  const prepared = await preparePages(files);
+
+  // DICOM uploads default to the study date
+  const dicomPage = prepared.find(file => file.renditions.dicom && file.renditions.dicom.studyDate);
+  documentDate = documentDate || (dicomPage && dicomPage.renditions.dicom.studyDate);
+  if (!documentDate) {
+    throw uploadError(400, 'Missing required fields');
+  }
+
+  // Encrypt the files, thumbnails and previews with a new data key.
+  // Never store the upload if encryption fails.
+  let dataKey;
+  try {
+    dataKey = generateDataKey();
+  } catch (error) {
+    console.error('File encryption error:', error);
+    throw uploadError(500, 'Server error while encrypting file');
+  }
+
+  const pages = await storePages(patientId, prepared, dataKey.dataKey);
+
+  const record = new MedicalRecord({
+    patientId,
+    pages,
+    encryption: dataKey.encryption,
+    documentType,
+    documentDate,
+    notes,
+    uploadDate: new Date()
+  });
+
+  try {
+    await record.save();
+  } catch (error) {
+    await removeFiles(...allFiles(record));
+    throw error;
+  }
+
+  queueTextIndexing(record._id);
+  notifyNewRecord(record);
+
+  return record;
+}
+
+/**
+ * Add uploaded files to a record as new pages.
+ * The local files are deleted once they have been encrypted into storage;
+ * callers remove them themselves if this throws.
+ * @param {Object} record - Medical record
+ * @param {Object[]} files - [{ filePath, fileName, fileSize }]
+ * @param {number} position - Index to insert the pages at (default: at the end)
+ * @returns {Object} - Saved medical record
+ * @throws {Error} - With `status` 400 for invalid files, 409 if the record
+ *                   can't take new pages yet, 500 if encryption fails; a
+ *                   mongoose VersionError if the record changed meanwhile
+ */
+async function addRecordPages(record, files, position = record.pages.length) {
+  if (record.pages.length + files.length > MAX_PAGES) {
+    throw uploadError(400, `A record can have at most ${MAX_PAGES} pages`);
+  }
+
+  checkMigrated(record);
+  const prepared = await preparePages(files);
+  const pages = await storePages(record.patientId, prepared, recordDataKey(record));
+  record.pages.splice(position, 0, ...pages);
+
+  try {
+    await record.save();
+  } catch (error) {
+    await removeFiles(...pages.reduce((keys, page) => keys.concat(pageFiles(page)), []));
+    throw error;
+  }
+
+  queueTextIndexing(record._id);
+
+  return record;
+}
+
+/**
+ * Replace the file of a page. The current file is kept as an earlier
+ * version of the page; its thumbnails and preview are deleted.
+ * The local file is deleted once it has been encrypted into storage;
+ * callers remove it themselves if this throws.
+ * @param {Object} record - Medical record
+ * @param {Object} page - Page of the record
+ * @param {Object} file - { filePath, fileName, fileSize }
+ * @returns {Object} - Saved medical record
+ * @throws {Error} - With `status` 400 for an invalid file, 409 if the record
+ *                   hasn't been migrated, 500 if encryption fails; a
+ *                   mongoose VersionError if the record changed meanwhile
+ */
+async function replacePageFile(record, page, file) {
+  checkMigrated(record);
+  const prepared = await preparePages([file]);
+  const [stored] = await storePages(record.patientId, prepared, recordDataKey(record));
+  const renditions = pageFiles({
+    thumbnails: page.thumbnails,
+    previewKey: page.previewKey,
+    legacyThumbnailKey: page.legacyThumbnailKey,
+    textKey: page.textKey
+  });
+
+  record.replacePageFile(page, stored);
+
+  try {
+    await record.save();
+  } catch (error) {
+    await removeFiles(...pageFiles(stored));
+    throw error;
+  }
+
+  // The replaced file is kept; its renditions and text can be extracted again from it
+  await removeFiles(...renditions);
+  queueTextIndexing(record._id);
+
+  return record;
+}
+
+/**
+ * Check that a record can take new files
+ * @param {Object} record - Medical record
+ * @throws {Error} - With `status` 409 for records from before pages or
+ *                   per-record data keys (see scripts/migratePages.js and
+ *                   scripts/rotateFileKeys.js)
+ */
+function checkMigrated(record) {
+  if (!record.pages.length || !record.encryption || !record.encryption.algorithm) {
+    throw uploadError(409, 'This record can\'t be changed until it has been migrated');
+  }
+}
+
+/**
+ * Unwrap the data key of a record
+ * @param {Object} record - Medical record
+ * @returns {Buffer} - Data key
+ * @throws {Error} - With `status` 500 if the key can't be unwrapped
+ */
+function recordDataKey(record) {
+  try {
+    return unwrapDataKey(record.encryption);
+  } catch (error) {
+    console.error('File encryption error:', error);
+    throw uploadError(500, 'Server error while encrypting file');
+  }
+}
+
+/**
+ * Summary of a new record for upload responses
+ * @param {Object} record - Medical record
+ * @returns {Object} - Record fields for the response
+ */
+function toUploadedRecord(record) {
+  return {
+    id: record._id,
+    fileName: record.fileName,
+    fileType: record.fileType,
+    documentType: record.documentType,
+    documentDate: record.documentDate,
+    pageCount: record.pages.length,
+    dicom: (record.pages.find(page => page.dicom && page.dicom.studyDate) || {}).dicom,
+    uploadDate: record.uploadDate
+  };
+}
+
+module.exports = {
+  UPLOAD_TMP_DIR,
+  MAX_UPLOAD_SIZE,
+  UPLOAD_CHUNK_SIZE,
+  MAX_PAGES,
+  isAcceptedUpload,
+  ingestRecordFiles,
+  addRecordPages,
+  replacePageFile,
+  toUploadedRecord
+};
\ No newline at end of file
@@ -0,0 +1,280 @@
+/**
+ * SMTP Client
+ *
+ * Minimal SMTP client behind the mailer's 'smtp' transport. It speaks
+ * SMTP over TLS with SMTP_SECURE=true, or plain SMTP upgraded with
+ * STARTTLS when the server offers it, with optional AUTH PLAIN. That is
+ * enough for local stand-ins such as scripts/devSmtpServer.js, MailHog or
+ * smtp4dev, and for mail relays. Credentials are only sent over an
+ * encrypted connection. Configuration:
+ *   - SMTP_HOST, SMTP_PORT: server address (default localhost:1025)
+ *   - SMTP_SECURE: 'true' to connect with TLS
+ *   - SMTP_USER, SMTP_PASSWORD: credentials, if the server needs them
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+// Give up on a server that stops answering
+const SMTP_TIMEOUT_MS = 30 * 1000;
+
+// Longest line of base64 body text
+const BODY_LINE_LENGTH = 76;
+
+/**
+ * Email address of a sender or recipient, e.g. "ALZO <no-reply@alzo.com>"
+ * @param {string} address - Address, optionally with a display name
+ * @returns {string} - Bare address
+ */
+function bareAddress(address) {
+  const match = /<([^>]+)>/.exec(address);
+  return (match ? match[1] : address).trim();
+}
+
+/**
+ * Remove line breaks, so header values can't add headers
+ * @param {string} value - Header value
+ * @returns {string} - Single-line value
+ */
+function headerValue(value) {
+  return String(value).replace(/[\r\n]+/g, ' ');
+}
+
+/**
+ * Encode a header value with non-ASCII characters (RFC 2047)
+ * @param {string} value - Header value
+ * @returns {string} - Encoded value
+ */
+function encodeHeader(value) {
+  const text = headerValue(value);
+  return /[^\x20-\x7e]/.test(text)
+    ? `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`
+    : text;
+}
+
+/**
+ * Base64-encode a body part in lines of the allowed length
+ * @param {string} text - Body text
+ * @returns {string} - Encoded body
+ */
+function encodeBody(text) {
+  const encoded = Buffer.from(text).toString('base64');
+  return encoded.match(new RegExp(`.{1,${BODY_LINE_LENGTH}}`, 'g')).join('\r\n');
+}
+
+/**
+ * Build the MIME message of an email: plain text, or plain text and HTML
+ * alternatives
+ * @param {Object} message - { from, to, subject, text, html }
+ * @returns {string} - Message with CRLF line endings
+ */
+function buildMessage({ from, to, subject, text, html }) {
+  const domain = bareAddress(from).split('@')[1] || 'localhost';
+  const headers = [
+    `From: ${headerValue(from)}`,
+    `To: ${[].concat(to).map(headerValue).join(', ')}`,
+    `Subject: ${encodeHeader(subject || '')}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomBytes(16).toString('hex')}@${domain}>`,
+    'MIME-Version: 1.0'
+  ];
+
+  const part = (type, body) => [
+    `Content-Type: ${type}; charset=utf-8`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(body || '')
+  ];
+
+  if (!html) {
+    return [...headers, ...part('text/plain', text)].join('\r\n');
+  }
+
+  const boundary = `alzo-${crypto.randomBytes(12).toString('hex')}`;
+  return [
+    ...headers,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    ...part('text/plain', text),
+    `--${boundary}`,
+    ...part('text/html', html),
+    `--${boundary}--`
+  ].join('\r\n');
+}
+
+/**
+ * Talk SMTP over a connected socket. Replies are read in order, with
+ * multiline replies joined into one.
+ * @param {Object} socket - Plain or TLS socket
+ * @returns {Object} - { socket, command }
+ */
+function converse(socket) {
+  socket.setEncoding('utf8');
+  socket.setTimeout(SMTP_TIMEOUT_MS);
+
+  const replies = [];
+  const waiting = [];
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+
+  socket.on('data', chunk => {
+    buffer += chunk;
+
+    let end;
+    while ((end = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      lines.push(line);
+
+      // "250-..." continues a reply, "250 ..." ends it
+      if (line[3] === '-') continue;
+
+      const reply = { code: Number(line.slice(0, 3)), text: lines.map(l => l.slice(4)).join('\n') };
+      lines = [];
+      if (waiting.length) {
+        waiting.shift().resolve(reply);
+      } else {
+        replies.push(reply);
+      }
+    }
+  });
+
+  const fail = error => {
+    failure = failure || error;
+    waiting.splice(0).forEach(({ reject }) => reject(failure));
+  };
+  socket.on('error', fail);
+  socket.on('timeout', () => {
+    fail(new Error('SMTP server timed out'));
+    socket.destroy();
+  });
+  socket.on('close', () => fail(new Error('SMTP connection closed')));
+
+  const reply = () => {
+    if (replies.length) return Promise.resolve(replies.shift());
+    if (failure) return Promise.reject(failure);
+    return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+  };
+
+  /**
+   * Send a command and check the reply code
+   * @param {string|null} line - Command, or null to only read a reply
+   * @param {number[]} expected - Accepted reply codes
+   * @returns {Object} - Reply
+   */
+  const command = async (line, expected) => {
+    if (line !== null) {
+      socket.write(`${line}\r\n`);
+    }
+
+    const response = await reply();
+    if (!expected.includes(response.code)) {
+      const shown = line && line.startsWith('AUTH') ? 'AUTH' : line;
+      throw new Error(`SMTP ${shown || 'greeting'} failed: ${response.code} ${response.text}`);
+    }
+    return response;
+  };
+
+  return { socket, command };
+}
+
+/**
+ * Open a connection to the SMTP server
+ * @param {Object} options - { host, port, secure }
+ * @returns {Object} - { socket, command }
+ */
+function connect({ host, port, secure }) {
+  return converse(secure
+    ? tls.connect({ host, port, servername: host })
+    : net.connect({ host, port }));
+}
+
+/**
+ * Upgrade a plain connection to TLS with STARTTLS
+ * @param {Object} connection - Connection from connect()
+ * @param {string} host - Server name to verify the certificate against
+ * @returns {Object} - { socket, command } of the encrypted connection
+ */
+async function startTls(connection, host) {
+  await connection.command('STARTTLS', [220]);
+
+  // The TLS socket takes over the connection, and its timeout
+  connection.socket.setTimeout(0);
+  const socket = tls.connect({ socket: connection.socket, servername: host });
+  await new Promise((resolve, reject) => {
+    socket.once('secureConnect', resolve);
+    socket.once('error', reject);
+  });
+
+  return converse(socket);
+}
+
+/**
+ * Whether an EHLO reply lists an extension
+ * @param {Object} reply - EHLO reply
+ * @param {string} keyword - Extension keyword, e.g. 'STARTTLS'
+ * @returns {boolean} - Whether the server supports it
+ */
+function hasExtension(reply, keyword) {
+  return reply.text.split('\n').some(line => line.trim().split(' ')[0].toUpperCase() === keyword);
+}
+
+/**
+ * Send an email over SMTP
+ * @param {Object} message - { from, to, subject, text, html }
+ * @param {Object} options - Server options; default to the SMTP_* settings
+ */
+async function sendSmtp(message, {
+  host = process.env.SMTP_HOST || 'localhost',
+  port = Number(process.env.SMTP_PORT) || 1025,
+  secure = process.env.SMTP_SECURE === 'true',
+  user = process.env.SMTP_USER,
+  password = process.env.SMTP_PASSWORD
+} = {}) {
+  let connection = connect({ host, port, secure });
+
+  try {
+    await connection.command(null, [220]);
+    const capabilities = await connection.command(`EHLO ${os.hostname()}`, [250]);
+
+    let encrypted = secure;
+    if (!encrypted && hasExtension(capabilities, 'STARTTLS')) {
+      connection = await startTls(connection, host);
+      encrypted = true;
+      // The server forgets the session once TLS starts
+      await connection.command(`EHLO ${os.hostname()}`, [250]);
+    }
+
+    const { command } = connection;
+
+    if (user) {
+      if (!encrypted) {
+        throw new Error('SMTP server does not support STARTTLS; not sending credentials unencrypted');
+      }
+      const credentials = Buffer.from(`\0${user}\0${password || ''}`).toString('base64');
+      await command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+
+    await command(`MAIL FROM:<${bareAddress(message.from)}>`, [250]);
+    for (const recipient of [].concat(message.to)) {
+      await command(`RCPT TO:<${bareAddress(recipient)}>`, [250, 251]);
+    }
+
+    await command('DATA', [354]);
+    // Lines starting with a dot are escaped by doubling it
+    const data = buildMessage(message).replace(/^\./gm, '..');
+    await command(`${data}\r\n.`, [250]);
+
+    await command('QUIT', [221]).catch(() => {});
+  } finally {
+    connection.socket.end();
+  }
+}
+
+module.exports = {
+  sendSmtp
+};
\ No newline at end of file
@@ -0,0 +1,238 @@
+/**
+ * File Storage
+ *
+ * Stores medical record files under storage keys such as
+ * "medical-records/<patientId>/<file>" through a pluggable driver,
+ * selected with STORAGE_DRIVER:
+ *   - local: files under STORAGE_LOCAL_DIR (default server/uploads)
+ *   - s3:    objects in S3_BUCKET on AWS S3 or an S3-compatible service
+ *            such as MinIO (S3_ENDPOINT, S3_FORCE_PATH_STYLE=true)
+ * Additional drivers can be added with registerDriver().
+ *
+ * Drivers store opaque bytes; files are encrypted before they get here.
+ * Every driver implements:
+ *   write(key, readable)                -> Promise
+ *   createReadStream(key, { start, end }) -> Readable (end inclusive)
+ *   stat(key)                           -> Promise<{ size }>
+ *   exists(key)                         -> Promise<boolean>
+ *   remove(key)                         -> Promise (no error if missing)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { PassThrough, pipeline } = require('stream');
+
+/**
+ * Driver that stores files on the local filesystem
+ * @param {Object} options - { rootDir }
+ * @returns {Object} - Storage driver
+ */
+function createLocalDriver({ rootDir = process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '../uploads') } = {}) {
+  const root = path.resolve(rootDir);
+
+  // Keys must not escape the storage root
+  const resolve = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async write(key, input) {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+      // Write to a temporary file first so readers never see a partial file
+      const tempPath = `${filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+      await new Promise((resolvePromise, reject) => {
+        pipeline(input, fs.createWriteStream(tempPath, { flags: 'wx', mode: 0o600 }), error => {
+          error ? reject(error) : resolvePromise();
+        });
+      }).catch(async error => {
+        await fs.promises.unlink(tempPath).catch(() => {});
+        throw error;
+      });
+
+      await fs.promises.rename(tempPath, filePath);
+    },
+
+    createReadStream(key, { start, end } = {}) {
+      return fs.createReadStream(resolve(key), { start, end });
+    },
+
+    async stat(key) {
+      const stats = await fs.promises.stat(resolve(key));
+      return { size: stats.size };
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolve(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolve(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+}
+
+/**
+ * Driver that stores files as objects in an S3-compatible bucket
+ * @param {Object} options - { bucket, region, endpoint, forcePathStyle, prefix }
+ * @returns {Object} - Storage driver
+ */
+function createS3Driver({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT,
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true',
+  prefix = process.env.S3_PREFIX || ''
+} = {}) {
+  const {
+    S3Client,
+    GetObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand
+  } = require('@aws-sdk/client-s3');
+  const { Upload } = require('@aws-sdk/lib-storage');
+
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  // Credentials come from the default AWS chain (env, profile, instance role)
+  const client = new S3Client({ region, endpoint, forcePathStyle });
+  const objectKey = (key) => prefix + key;
+
+  const isNotFound = (error) =>
+    error.name === 'NotFound' || error.name === 'NoSuchKey' ||
+    (error.$metadata && error.$metadata.httpStatusCode === 404);
+
+  return {
+    name: 's3',
+
+    async write(key, input) {
+      const body = new PassThrough();
+      input.on('error', error => body.destroy(error));
+      input.pipe(body);
+
+      await new Upload({
+        client,
+        params: {
+          Bucket: bucket,
+          Key: objectKey(key),
+          Body: body,
+          ServerSideEncryption: process.env.S3_SERVER_SIDE_ENCRYPTION || undefined
+        }
+      }).done();
+    },
+
+    createReadStream(key, { start, end } = {}) {
+      const output = new PassThrough();
+      const range = start !== undefined
+        ? `bytes=${start}-${end !== undefined ? end : ''}`
+        : undefined;
+
+      client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key), Range: range }))
+        .then(response => {
+          pipeline(response.Body, output, error => {
+            if (error) output.destroy(error);
+          });
+        })
+        .catch(error => output.destroy(error));
+
+      return output;
+    },
+
+    async stat(key) {
+      const response = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+      return { size: response.ContentLength };
+    },
+
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return true;
+      } catch (error) {
+        if (isNotFound(error)) return false;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      // S3 deletes succeed for missing objects
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    }
+  };
+}
+
+const driverFactories = {
+  local: createLocalDriver,
+  s3: createS3Driver
+};
+
+const drivers = {};
+
+/**
+ * Register a storage driver
+ * @param {string} name - Name used in STORAGE_DRIVER
+ * @param {Function} factory - (options) => driver
+ */
+function registerDriver(name, factory) {
+  driverFactories[name] = factory;
+  delete drivers[name];
+}
+
+/**
+ * Get a storage driver. Drivers are created once and reused.
+ * @param {string} name - Driver name (defaults to STORAGE_DRIVER, then 'local')
+ * @returns {Object} - Storage driver
+ */
+function getStorage(name = process.env.STORAGE_DRIVER || 'local') {
+  if (!drivers[name]) {
+    const factory = driverFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    drivers[name] = factory();
+  }
+  return drivers[name];
+}
+
+/**
+ * Read a byte range of a stored file into memory
+ * @param {Object} storage - Storage driver
+ * @param {string} key - Storage key
+ * @param {number} position - Offset to read from
+ * @param {number} length - Number of bytes
+ * @returns {Buffer} - Bytes read
+ */
+async function readRange(storage, key, position, length) {
+  const chunks = [];
+  for await (const chunk of storage.createReadStream(key, { start: position, end: position + length - 1 })) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+module.exports = {
+  registerDriver,
+  getStorage,
+  readRange,
+  createLocalDriver,
+  createS3Driver
+};
\ No newline at end of file
@@ -0,0 +1,139 @@
+/**
+ * Text Extraction Helpers
+ *
+ * Extracts the text of medical record files so they can be searched:
+ *   - PDFs with a text layer have it read with pdftotext (poppler-utils)
+ *   - Scanned PDFs have their pages rendered with pdftocairo and recognized
+ *     with tesseract
+ *   - JPEG/PNG images are recognized with tesseract
+ *
+ * Both engines run locally; file contents are passed on stdin and never
+ * written to disk. DICOM files have no text extracted.
+ */
+
+const { execFile } = require('child_process');
+const { FILE_TYPES } = require('./documentPreview');
+
+// Recognizing a page of a large scan is slow, but must not hang the queue
+const OCR_TIMEOUT = 120 * 1000;
+
+// Scanned PDF pages recognized per file
+const OCR_MAX_PDF_PAGES = parseInt(process.env.OCR_MAX_PDF_PAGES) || 20;
+
+// Resolution PDF pages are rendered at for recognition
+const OCR_PDF_DPI = 300;
+
+// A text layer shorter than this is taken to be a scan without text
+const MIN_PDF_TEXT_LENGTH = 20;
+
+/**
+ * Run a command with input on stdin
+ * @param {string} command - Executable
+ * @param {string[]} args - Arguments
+ * @param {Buffer} input - Data for stdin
+ * @param {string} encoding - 'buffer' or 'utf8'
+ * @returns {Buffer|string} - stdout
+ */
+function run(command, args, input, encoding) {
+  return new Promise((resolve, reject) => {
+    const child = execFile(command, args, {
+      encoding,
+      maxBuffer: 64 * 1024 * 1024,
+      timeout: OCR_TIMEOUT
+    }, (error, stdout) => {
+      if (error) {
+        return reject(error);
+      }
+      resolve(stdout);
+    });
+
+    // The command may exit before reading all of a broken file
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+  });
+}
+
+/**
+ * Recognize the text in an image with tesseract
+ * @param {Buffer} image - JPEG or PNG image
+ * @returns {string} - Recognized text
+ */
+function recognizeImage(image) {
+  const tesseract = process.env.TESSERACT_PATH || 'tesseract';
+  const languages = process.env.OCR_LANGUAGES || 'eng';
+
+  return run(tesseract, ['stdin', 'stdout', '-l', languages], image, 'utf8');
+}
+
+/**
+ * Read the text layer of a PDF
+ * @param {Buffer} contents - PDF file contents
+ * @returns {string} - Text of all pages
+ */
+function readPdfText(contents) {
+  const pdftotext = process.env.PDFTOTEXT_PATH || 'pdftotext';
+  return run(pdftotext, ['-enc', 'UTF-8', '-', '-'], contents, 'utf8');
+}
+
+/**
+ * Render one page of a PDF for recognition
+ * @param {Buffer} contents - PDF file contents
+ * @param {number} pageNumber - Page number, counting from 1
+ * @returns {Buffer} - PNG image
+ */
+function renderPdfPageForOcr(contents, pageNumber) {
+  const pdftocairo = process.env.PDFTOCAIRO_PATH || 'pdftocairo';
+  const args = ['-png', '-singlefile', '-gray', '-r', String(OCR_PDF_DPI),
+    '-f', String(pageNumber), '-l', String(pageNumber), '-', '-'];
+
+  return run(pdftocairo, args, contents, 'buffer');
+}
+
+/**
+ * Recognize the pages of a scanned PDF, stopping at its last page or at
+ * OCR_MAX_PDF_PAGES
+ * @param {Buffer} contents - PDF file contents
+ * @returns {string} - Recognized text of the pages
+ */
+async function recognizePdf(contents) {
+  const pages = [];
+
+  for (let pageNumber = 1; pageNumber <= OCR_MAX_PDF_PAGES; pageNumber++) {
+    let image;
+    try {
+      image = await renderPdfPageForOcr(contents, pageNumber);
+    } catch (error) {
+      // pdftocairo fails for page numbers past the end of the document
+      if (pageNumber > 1) break;
+      throw error;
+    }
+    pages.push(await recognizeImage(image));
+  }
+
+  return pages.join('\n\f');
+}
+
+/**
+ * Extract the text of a file
+ * @param {Buffer} contents - File contents
+ * @param {string} fileType - One of FILE_TYPES
+ * @returns {string} - Extracted text, trimmed; empty if there is none
+ */
+async function extractText(contents, fileType) {
+  let text = '';
+
+  if (fileType === FILE_TYPES.PDF) {
+    text = await readPdfText(contents);
+    if (text.trim().length < MIN_PDF_TEXT_LENGTH) {
+      text = await recognizePdf(contents);
+    }
+  } else if (fileType === FILE_TYPES.JPEG || fileType === FILE_TYPES.PNG) {
+    text = await recognizeImage(contents);
+  }
+
+  return text.trim();
+}
+
+module.exports = {
+  extractText
+};
\ No newline at end of file